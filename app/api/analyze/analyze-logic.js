@@ -0,0 +1,610 @@
+// app/api/analyze/analyze-logic.js
+import { Readability } from '@mozilla/readability';
+import { JSDOM } from 'jsdom';
+import * as ipaddr from 'ipaddr.js';
+import * as cheerio from 'cheerio';
+import { detectContent } from '../detection/detection-logic.js';
+import { saveReport } from '../reports/report-store.js';
+import { getCachedResult, setCachedResult } from './result-cache.js';
+import { safeFetch, FETCH_ERROR_STATUS } from './safe-fetcher.js';
+import { validateDocument, extractDocumentText } from './document-extractor.js';
+import { assessSource } from './source-reputation.js';
+import { extractArticleMetadata } from './article-metadata.js';
+import { analyzeImage } from './image-forensics.js';
+import { recognizeText } from './ocr.js';
+import { matchSocialPost, extractSocialPost } from './social-extractors.js';
+import { validateInput } from './input-validation.js';
+
+export const VALID_MODES = ['link', 'text', 'photo', 'document'];
+
+// Candidate labels for the zero-shot credibility and content type classification
+export const ZERO_SHOT_LABELS = [
+    "authentic", "fabricated", "misinformation", "report", "opinion", "analysis", "advertisement", "sponsored",
+    "blog", "press_release", "interview", "extreme", "emotional", "clickbait", "conspiracy", "scam",
+];
+
+// Messages that are safe to show to the client verbatim; anything else is reported generically.
+const CLIENT_ERROR_MESSAGES = [
+    'Mode parameter is required',
+    'Invalid mode',
+    'URL is required',
+    'Invalid URL format',
+    'URL too long',
+    'Access to private/local URLs',
+    'Could not extract article content',
+    'Text content is required',
+    'Text content too large',
+    'Text content cannot be empty',
+    'Text content is not readable text',
+    'Failed to fetch content',
+    'Photo is required',
+    'Photo size too large',
+    'Unsupported file type',
+    'Photo name contains potentially malicious content',
+    'Failed to extract text from image',
+    'Invalid or corrupted photo data',
+    'No discernible text was found',
+    'Document data is required',
+    'Document data is incomplete',
+    'Document size too large',
+    'Unsupported document type',
+    'Invalid document name',
+    'Document name contains potentially malicious content',
+    'Invalid or corrupted document data',
+    'Could not extract text from the document',
+    'Batch input',
+    'Could not extract the social media post',
+];
+
+// --- HELPER FUNCTIONS FOR SECURITY AND ERRORS ---
+
+/**
+ * Checks whether an error carries a message that can be returned to the client.
+ * @param {Error} error - The error thrown while handling a request.
+ * @returns {boolean}
+ */
+export function isClientError(error) {
+    if (error?.code in FETCH_ERROR_STATUS) return true;
+    return Boolean(error?.message && CLIENT_ERROR_MESSAGES.some((message) => error.message.includes(message)));
+}
+
+/**
+ * Picks the HTTP status for a client-safe error: fetch failures carry their own, everything else is a 400.
+ * @param {Error} error - An error for which isClientError() is true.
+ * @returns {number}
+ */
+export function getClientErrorStatus(error) {
+    return FETCH_ERROR_STATUS[error?.code] || 400;
+}
+
+/**
+ * Validates a URL for format, protocol, length, and SSRF risks.
+ * @param {string} url - The URL to validate.
+ * @returns {string} The validated and trimmed URL.
+ */
+function validateURL(url) {
+    if (!url || typeof url !== 'string') {
+        throw new Error('URL is required and must be a string');
+    }
+
+    let trimmedUrl = url.trim();
+
+    if (!trimmedUrl) {
+        throw new Error('URL cannot be empty');
+    }
+
+    // Check if the URL has a protocol, and if not, prepend 'https://'
+    if (!trimmedUrl.startsWith('http://') && !trimmedUrl.startsWith('https://')) {
+        trimmedUrl = `https://${trimmedUrl}`;
+    }
+
+    // Format and protocol checks
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(trimmedUrl);
+    } catch (error) {
+        throw new Error('Invalid URL format');
+    }
+
+    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+        throw new Error('Only HTTP and HTTPS URLs are allowed');
+    }
+
+    if (trimmedUrl.length > 2048) {
+        throw new Error('URL too long (maximum 2048 characters allowed)');
+    }
+
+    // Check for suspicious URL patterns
+    const suspiciousPatterns = [
+        /javascript:/gi,
+        /data:/gi,
+        /file:/gi,
+        /ftp:/gi,
+        /<script/gi,
+        /(?:\/|^)\.\.(?:\/|$)/g
+    ];
+
+    for (const pattern of suspiciousPatterns) {
+        if (pattern.test(trimmedUrl)) {
+            throw new Error('URL contains potentially malicious content');
+        }
+    }
+
+    // SSRF protection: check for private/local IP addresses using ipaddr.js
+    const hostname = parsedUrl.hostname;
+
+    // Check for common local/suspicious hostnames first
+    const suspiciousHostnames = [
+        'localhost',
+        '0.0.0.0',
+        '::1',
+        'ip6-localhost',
+        'ip6-loopback',
+        'broadcasthost'
+    ];
+    if (suspiciousHostnames.includes(hostname.toLowerCase())) {
+        throw new Error('Access to private/local URLs is not allowed');
+    }
+
+    // Check if the hostname is a valid IP and if it's private/loopback/special
+    if (ipaddr.isValid(hostname)) {
+        const addr = ipaddr.parse(hostname);
+        if (addr.isPrivate() || addr.isLoopback() || addr.isLinkLocal() || addr.isBroadcast()) {
+            throw new Error('Access to private/local URLs is not allowed');
+        }
+
+        // Additional IPv6 checks for special ranges
+        if (addr.kind() === 'ipv6') {
+            const ipv6String = addr.toString();
+            // Check for other IPv6 special ranges
+            if (ipv6String.startsWith('ff') || // Multicast
+                ipv6String.startsWith('fe80:') || // Link-local
+                ipv6String.startsWith('fc') || // Unique local
+                ipv6String.startsWith('fd')) { // Unique local
+                throw new Error('Access to private/local URLs is not allowed');
+            }
+        }
+    }
+
+    return trimmedUrl;
+}
+
+/**
+ * Validates photo data, including size, type, and filename for security.
+ * @param {object} photoData - The photo data object.
+ * @returns {object} The validated photo data.
+ */
+function validatePhoto(photoData) {
+    if (!photoData || typeof photoData !== 'object') {
+        throw new Error('Photo data is required');
+    }
+
+    const { data, name, size, type } = photoData;
+
+    if (!data || !name || typeof size !== 'number' || !type) {
+        throw new Error('Photo data is incomplete or invalid');
+    }
+
+    // Enforce size limit (10MB)
+    const maxSize = 10 * 1024 * 1024;
+    if (size > maxSize) {
+        throw new Error('Photo size too large (maximum 10MB allowed)');
+    }
+
+    if (size <= 0) {
+        throw new Error('Invalid photo size');
+    }
+
+    // Validate file type against a whitelist
+    const allowedTypes = [
+        'image/jpeg',
+        'image/jpg',
+        'image/png',
+        'image/gif',
+        'image/webp',
+        'image/bmp'
+    ];
+    if (!allowedTypes.includes(type.toLowerCase())) {
+        throw new Error('Unsupported file type. Only JPEG, PNG, GIF, WebP, and BMP are allowed');
+    }
+
+    // Validate filename for malicious patterns
+    const suspiciousPatterns = [
+        /\.\./g, // Path traversal
+        /<script/gi, // Script tags
+        /javascript:/gi, // JavaScript protocol
+        /\.exe$|\.bat$|\.cmd$|\.scr$|\.com$|\.pif$/gi, // Executable extensions
+        /\.php$|\.asp$|\.jsp$|\.py$/gi // Server-side script extensions
+    ];
+
+    if (suspiciousPatterns.some(pattern => pattern.test(name))) {
+        throw new Error('Photo name contains potentially malicious content');
+    }
+
+    if (name.length > 255) {
+        throw new Error('Photo name too long (maximum 255 characters allowed)');
+    }
+
+    if (name.length === 0) {
+        throw new Error('Photo name cannot be empty');
+    }
+
+    // Validate base64 data format more strictly
+    if (!data.startsWith('data:image/') || !data.includes('base64,')) {
+        throw new Error('Invalid photo data format - must be base64 encoded image');
+    }
+
+    // Check for reasonable base64 length
+    const base64Data = data.split('base64,')[1];
+    if (!base64Data || base64Data.length < 100) {
+        throw new Error('Invalid or corrupted photo data');
+    }
+
+    return photoData;
+}
+
+// --- FUNCTION FOR CONTENT EXTRACTION ---
+async function extract(url, { onProgress, signal } = {}) {
+    try {
+        // DNS pinning, redirect re-validation, timeouts and size limits live in the safe fetcher
+        const { url: finalUrl, text } = await safeFetch(url, { signal });
+        onProgress?.('fetched', { url: finalUrl });
+
+        // Readability for a structured article, but fall back to cheerio
+        const dom = new JSDOM(text, { url: finalUrl });
+        const reader = new Readability(dom.window.document);
+        const article = reader.parse();
+
+        // Metadata is best effort; a page without it is still worth analyzing
+        const metadata = await extractArticleMetadata(text, { url: finalUrl, readability: article })
+            .catch((error) => {
+                console.warn(`[Extraction] Metadata extraction failed: ${error.message}`);
+                return null;
+            });
+
+        // Fallback to cheerio if readability fails
+        if (!article || !article.textContent) {
+            console.warn('[Extraction] Readability failed, falling back to cheerio...');
+            const $ = cheerio.load(text);
+            const title = $('title').text();
+            const content = $('p').map((i, el) => $(el).text()).get().join('\n');
+            return { url: finalUrl, title, content, metadata };
+        }
+
+        return {
+            url: finalUrl,
+            title: article.title,
+            content: article.textContent,
+            metadata,
+        };
+    } catch (error) {
+        console.error(`[Extraction Error] ${error.code ? `${error.code}: ` : ''}${error.message}`);
+        throw error;
+    }
+}
+
+// --- SHARED FUNCTION TO CALL DETECTION API ---
+async function callDetectionAPI(sanitizedContent, options) {
+    try {
+        // Call the detection logic directly instead of making HTTP request
+        return await detectContent(sanitizedContent, ZERO_SHOT_LABELS, options);
+    } catch (error) {
+        console.error('Error during detection API call:', error);
+        throw new Error(`Internal Server Error while analyzing content: ${error.message}`);
+    }
+}
+
+// --- RESULT CACHE ---
+
+// Returns a cached analysis marked as a cache hit, or null on a miss or when `isUsable` rejects the entry.
+async function lookupCache(lookup, onProgress, isUsable = () => true) {
+    const cached = await getCachedResult(lookup);
+    if (!cached || !isUsable(cached.result)) return null;
+
+    onProgress?.('cached', { cachedAt: cached.cachedAt, matchedOn: cached.matchedOn });
+    return {
+        ...cached.result,
+        cache: { hit: true, cachedAt: cached.cachedAt, matchedOn: cached.matchedOn },
+    };
+}
+
+// Serves the analysis for identical text from cache, otherwise runs detection and caches the outcome.
+// `source` ({ mode, url, title }) describes where the content came from and always reflects this request.
+// `sourceReputation` (link mode only) feeds the synthesis, so a text match from another site is not reused.
+// `articleMetadata` (link mode only) lets the synthesis judge the article's age and attribution.
+// `imageForensics` (photo mode only) describes the uploaded image itself, so it always reflects this request.
+// `socialPost` (social links only) carries the post's author, engagement and attached images, likewise.
+async function analyzeWithCache(sanitizedContent, { source, sourceReputation = null, articleMetadata = null, imageForensics = null, socialPost = null, inputValidation = null, fresh, onProgress, signal }) {
+    if (!fresh) {
+        const sameSource = (result) => (result.sourceReputation?.domain ?? null) === (sourceReputation?.domain ?? null);
+        const cached = await lookupCache({ text: sanitizedContent }, onProgress, sameSource);
+        if (cached) {
+            return {
+                ...cached,
+                source,
+                sourceReputation,
+                articleMetadata: articleMetadata ?? cached.articleMetadata ?? null,
+                imageForensics,
+                socialPost,
+                inputValidation,
+            };
+        }
+    }
+
+    const combinedResults = {
+        ...await callDetectionAPI(sanitizedContent, { onProgress, signal, sourceReputation, articleMetadata, socialPost }),
+        source,
+        sourceReputation,
+        articleMetadata,
+        imageForensics,
+        socialPost,
+        inputValidation,
+    };
+    if (!combinedResults.synthesis?.error) {
+        await setCachedResult({ url: source.url, text: sanitizedContent }, combinedResults);
+    }
+
+    return { ...combinedResults, cache: { hit: false, cachedAt: null } };
+}
+
+
+/**
+ * Reads the text in an image with the configured OCR engine (see ocr.js).
+ * Returns the full OCR result; `text` is empty when the image has no text.
+ */
+async function detectTextFromImage(imageData, signal) {
+    try {
+        return await recognizeText(imageData, { signal });
+    } catch (error) {
+        console.error(`[OCR Error] ${error.message}`);
+        throw new Error("Failed to extract text from image.");
+    }
+}
+
+/**
+ * Runs an image attached to a social media post through the photo pipeline (OCR and forensics).
+ * Either half may fail without the other, or the post, being lost.
+ */
+async function analyzeAttachedPhoto(imageData, signal) {
+    const [ocr, forensics] = await Promise.all([
+        recognizeText(imageData, { signal }).catch((error) => {
+            console.error(`[OCR Error] ${error.message}`);
+            return null;
+        }),
+        analyzeImage(imageData).catch((error) => {
+            console.error(`[Image Forensics Error] ${error.message}`);
+            return null;
+        }),
+    ]);
+    return { ocr: ocr && { engine: ocr.engine, text: ocr.text, confidence: ocr.confidence }, forensics };
+}
+
+// --- HANDLERS FOR EACH MODE ---
+
+/**
+ * Handles 'link' mode by extracting, sanitizing, and analyzing content from a URL.
+ */
+async function handleLinkMode(query, { fresh, onProgress, signal } = {}) {
+    if (!query) {
+        throw new Error('URL is required for link mode');
+    }
+
+    const validatedUrl = validateURL(query);
+
+    // A cached URL skips the fetch entirely
+    if (!fresh) {
+        const cached = await lookupCache({ url: validatedUrl }, onProgress);
+        if (cached) {
+            return { ...cached, source: { mode: 'link', url: validatedUrl, title: cached.source?.title ?? null } };
+        }
+    }
+
+    // Posts on social platforms have their own extractors; the page HTML holds little of the post.
+    // A Mastodon-shaped path on a host that turns out not to serve a post is read as an article.
+    const socialMatch = matchSocialPost(validatedUrl);
+    if (socialMatch) {
+        const result = await handleSocialPost(socialMatch, validatedUrl, { fresh, onProgress, signal });
+        if (result) return result;
+    }
+
+    const extracted = await extract(validatedUrl, { onProgress, signal });
+
+    if (!extracted?.content) {
+        throw new Error(
+            'Could not extract article content from the provided URL. Please check if the URL is accessible and contains readable content.'
+        );
+    }
+
+    const { text: sanitizedContent, report: inputValidation } = validateInput(extracted.content);
+    if (!sanitizedContent) {
+        throw new Error('Text content cannot be empty after sanitization');
+    }
+    onProgress?.('extracted', { title: extracted.title, length: sanitizedContent.length, metadata: extracted.metadata });
+
+    // Rate the site the article was actually served from, after redirects
+    const sourceReputation = await assessSource(extracted.url, { signal });
+    onProgress?.('source', sourceReputation);
+
+    const source = { mode: 'link', url: validatedUrl, title: extracted.title || null };
+    return await analyzeWithCache(sanitizedContent, {
+        source,
+        sourceReputation,
+        articleMetadata: extracted.metadata,
+        inputValidation,
+        fresh,
+        onProgress,
+        signal,
+    });
+}
+
+/**
+ * Handles a link to a post on X/Twitter, Reddit, Mastodon or Telegram: extracts the post, reads the
+ * text in its attached images, and analyzes the post text together with that image text.
+ * Returns null when a match made by URL shape alone (`anyHost`) cannot be extracted.
+ */
+async function handleSocialPost(match, validatedUrl, { fresh, onProgress, signal }) {
+    onProgress?.('fetched', { url: match.url });
+    let post;
+    try {
+        post = await extractSocialPost(match, {
+            analyzePhoto: (imageData) => analyzeAttachedPhoto(imageData, signal),
+            onProgress,
+            signal,
+        });
+    } catch (error) {
+        if (!match.anyHost || signal?.aborted) throw error;
+        console.warn(`[Social] ${match.url} is not a ${match.platform} post, reading it as an article: ${error.message}`);
+        return null;
+    }
+    onProgress?.('social', post);
+
+    const imageTexts = post.media
+        .filter((item) => item.ocr?.text)
+        .map((item, i) => `[Text in attached image ${i + 1}]\n${item.ocr.text}`);
+    const { text: sanitizedContent, report: inputValidation } = validateInput([post.text, ...imageTexts].filter(Boolean).join('\n\n'));
+    if (!sanitizedContent || sanitizedContent.length < 3) {
+        throw new Error('No discernible text was found in the post or its attached images.');
+    }
+    onProgress?.('extracted', { title: post.title, length: sanitizedContent.length });
+
+    const source = { mode: 'link', url: validatedUrl, title: post.title || (post.author.handle && `Post by ${post.author.handle}`) };
+    return await analyzeWithCache(sanitizedContent, { source, socialPost: post, inputValidation, fresh, onProgress, signal });
+}
+
+/**
+ * Handles 'text' mode by validating and analyzing raw text content.
+ */
+async function handleTextMode(content, { fresh, onProgress, signal } = {}) {
+    if (!content) {
+        throw new Error('Text content is required for text mode');
+    }
+
+    const { text: sanitizedContent, report: inputValidation } = validateInput(content);
+    if (!sanitizedContent) {
+        throw new Error('Text content cannot be empty after sanitization');
+    }
+    onProgress?.('extracted', { length: sanitizedContent.length });
+
+    const source = { mode: 'text', url: null, title: null };
+    return await analyzeWithCache(sanitizedContent, { source, inputValidation, fresh, onProgress, signal });
+}
+
+/**
+ * Handles 'photo' mode by validating the provided photo data, extracting text, and then analyzing it.
+ */
+async function handlePhotoMode(photo, { fresh, onProgress, signal } = {}) {
+    if (!photo) {
+        throw new Error('Photo is required for photo mode');
+    }
+
+    validatePhoto(photo);
+
+    // Forensics looks at the image itself and runs alongside OCR; a failure there never blocks the analysis
+    const forensicsPromise = analyzeImage(photo.data)
+        .catch((error) => {
+            console.error(`[Image Forensics Error] ${error.message}`);
+            return null;
+        })
+        .then((imageForensics) => {
+            onProgress?.('image', imageForensics);
+            return imageForensics;
+        });
+
+    const [ocr, imageForensics] = await Promise.all([detectTextFromImage(photo.data, signal), forensicsPromise]);
+    const { text: sanitizedContent, report: inputValidation } = validateInput(ocr.text);
+
+    if (!sanitizedContent || sanitizedContent.length < 3) {
+        throw new Error('No discernible text was found in the provided image.');
+    }
+    onProgress?.('extracted', { length: sanitizedContent.length, engine: ocr.engine, lines: ocr.lines.length });
+
+    const source = { mode: 'photo', url: null, title: photo.name || null };
+    const { text, ...ocrDetails } = ocr;
+    return {
+        ...await analyzeWithCache(sanitizedContent, { source, imageForensics, inputValidation, fresh, onProgress, signal }),
+        ocr: ocrDetails,
+    };
+}
+
+/**
+ * Handles 'document' mode by validating an uploaded PDF, DOCX or EPUB file, extracting its
+ * text (with OCR for scanned PDFs) and then analyzing it.
+ */
+async function handleDocumentMode(document, { fresh, onProgress, signal } = {}) {
+    if (!document) {
+        throw new Error('Document data is required for document mode');
+    }
+
+    const validated = validateDocument(document);
+    const extracted = await extractDocumentText(validated, {
+        ocrImage: async (image, pageSignal) => (await detectTextFromImage(image, pageSignal)).text,
+        onProgress,
+        signal,
+    });
+    const { text: sanitizedContent, report: inputValidation } = validateInput(extracted.text);
+
+    if (!sanitizedContent) {
+        throw new Error('Could not extract text from the document. The file may be corrupted, encrypted or empty.');
+    }
+    onProgress?.('extracted', {
+        title: extracted.title,
+        length: sanitizedContent.length,
+        pages: extracted.pages,
+        ocr: extracted.ocr,
+        condensed: extracted.condensed,
+    });
+
+    const source = { mode: 'document', url: null, title: extracted.title || validated.name };
+    return await analyzeWithCache(sanitizedContent, { source, inputValidation, fresh, onProgress, signal });
+}
+
+// Persists a finished analysis as a shareable report. Storage problems never fail the analysis itself.
+async function storeReport(combinedResults) {
+    if (combinedResults?.synthesis?.error) return null;
+
+    try {
+        return await saveReport(combinedResults);
+    } catch (error) {
+        console.error(`[Report Store Error] ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Validates the request body and runs the pipeline for its mode.
+ * @param {object} requestData - The parsed request body ({ mode, query, content, photo, document, fresh }).
+ *   Set `fresh: true` to bypass the result cache.
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] - Called as (stage, data) while the analysis advances.
+ * @param {AbortSignal} [options.signal] - Cancels extraction and all upstream model calls.
+ * @returns {Promise<object>} The combined detection results, plus `report` when a report store is configured.
+ */
+export async function runAnalysis(requestData, options = {}) {
+    const { mode, query, content, photo, document, fresh } = requestData || {};
+
+    if (!mode || typeof mode !== 'string') {
+        throw new Error('Mode parameter is required and must be a string');
+    }
+
+    const handlerOptions = { ...options, fresh: fresh === true };
+
+    let combinedResults;
+    switch (mode) {
+        case 'link':
+            combinedResults = await handleLinkMode(query, handlerOptions);
+            break;
+        case 'text':
+            combinedResults = await handleTextMode(content, handlerOptions);
+            break;
+        case 'photo':
+            combinedResults = await handlePhotoMode(photo, handlerOptions);
+            break;
+        case 'document':
+            combinedResults = await handleDocumentMode(document, handlerOptions);
+            break;
+        default:
+            throw new Error(`Invalid mode. Must be one of: ${VALID_MODES.join(', ')}`);
+    }
+
+    return { ...combinedResults, report: await storeReport(combinedResults) };
+}
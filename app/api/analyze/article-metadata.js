@@ -0,0 +1,191 @@
+// app/api/analyze/article-metadata.js
+// Collects structured metadata about a fetched article: authors, publish and
+// modified dates, canonical URL, outlet, language, and the schema.org (JSON-LD)
+// and OpenGraph fields it was derived from. Sources are tried in order of
+// reliability: JSON-LD, then meta tags, then Readability, then article-extractor.
+import * as cheerio from 'cheerio';
+
+// schema.org types that describe the article itself
+const ARTICLE_TYPES = new Set([
+    'Article', 'NewsArticle', 'ReportageNewsArticle', 'AnalysisNewsArticle', 'OpinionNewsArticle',
+    'BackgroundNewsArticle', 'ReviewNewsArticle', 'BlogPosting', 'LiveBlogPosting', 'ScholarlyArticle', 'Report',
+]);
+
+const MAX_AUTHORS = 10;
+
+// === Value Helpers ===
+
+const clean = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() || null : null);
+
+const first = (...values) => values.find((value) => value != null && value !== '') ?? null;
+
+const toIsoDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// Resolves a possibly relative link against the page URL; only http(s) links are kept
+const toAbsoluteUrl = (value, baseUrl) => {
+    if (!value) return null;
+    try {
+        const url = new URL(value, baseUrl);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+const asArray = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+// Splits "By Jane Doe and John Roe" into names and drops profile URLs posing as names
+function normalizeAuthors(values) {
+    const names = values
+        .flatMap((value) => (typeof value === 'string' ? value : value?.name ? asArray(value.name) : []))
+        .flatMap((value) => String(value).replace(/^\s*by\s+/i, '').split(/\s*(?:,|;|\band\b|&)\s*/i))
+        .map(clean)
+        .filter((name) => name && !/^https?:\/\//i.test(name) && name.length <= 100);
+
+    return [...new Map(names.map((name) => [name.toLowerCase(), name])).values()].slice(0, MAX_AUTHORS);
+}
+
+// === JSON-LD ===
+
+// Finds the article node in every JSON-LD block, including nodes nested in @graph
+function findSchemaArticle($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((i, el) => {
+        try {
+            const data = JSON.parse($(el).contents().text());
+            for (const item of asArray(data)) {
+                nodes.push(item, ...asArray(item?.['@graph']));
+            }
+        } catch {
+            // Broken JSON-LD is common; the other sources still apply
+        }
+    });
+
+    return nodes.find((node) => asArray(node?.['@type']).some((type) => ARTICLE_TYPES.has(type))) || null;
+}
+
+// === Meta Tags ===
+
+function readMetaTags($) {
+    const meta = {};
+    $('meta').each((i, el) => {
+        const key = ($(el).attr('property') || $(el).attr('name') || $(el).attr('itemprop') || '').toLowerCase();
+        const content = clean($(el).attr('content'));
+        if (!key || !content) return;
+        (meta[key] ||= []).push(content);
+    });
+    return {
+        get: (...keys) => first(...keys.map((key) => meta[key]?.[0])),
+        all: (...keys) => keys.flatMap((key) => meta[key] || []),
+    };
+}
+
+// === Fallback ===
+
+// article-extractor does its own parsing, so it only runs when the cheaper sources miss the basics
+async function extractWithArticleExtractor(html, url) {
+    try {
+        const { extractFromHtml } = await import('@extractus/article-extractor');
+        return await extractFromHtml(html, url);
+    } catch (error) {
+        console.warn(`[Metadata] article-extractor failed: ${error.message}`);
+        return null;
+    }
+}
+
+// === Public API ===
+
+/**
+ * Extracts structured metadata from an article page.
+ * @param {string} html - The raw page HTML.
+ * @param {object} options
+ * @param {string} options.url - The final URL the page was served from.
+ * @param {object} [options.readability] - The Readability result for the page, if parsing succeeded.
+ * @returns {Promise<{
+ *   title: string | null, description: string | null, authors: string[],
+ *   publishedAt: string | null, modifiedAt: string | null, canonicalUrl: string,
+ *   outlet: string | null, language: string | null, section: string | null, keywords: string[],
+ *   type: string | null, image: string | null,
+ *   openGraph: object, schemaOrg: object | null
+ * }>}
+ */
+export async function extractArticleMetadata(html, { url, readability = null }) {
+    const $ = cheerio.load(html);
+    const meta = readMetaTags($);
+    const schema = findSchemaArticle($);
+
+    const openGraph = {
+        title: meta.get('og:title'),
+        description: meta.get('og:description'),
+        type: meta.get('og:type'),
+        siteName: meta.get('og:site_name'),
+        url: toAbsoluteUrl(meta.get('og:url'), url),
+        image: toAbsoluteUrl(meta.get('og:image', 'og:image:url'), url),
+        locale: meta.get('og:locale'),
+    };
+
+    const schemaOrg = schema && {
+        type: asArray(schema['@type'])[0],
+        headline: clean(schema.headline),
+        datePublished: toIsoDate(schema.datePublished),
+        dateModified: toIsoDate(schema.dateModified),
+        authors: normalizeAuthors(asArray(schema.author)),
+        publisher: clean(schema.publisher?.name ?? schema.publisher),
+        inLanguage: clean(schema.inLanguage?.name ?? schema.inLanguage),
+        section: clean(asArray(schema.articleSection)[0]),
+        isAccessibleForFree: schema.isAccessibleForFree ?? null,
+    };
+
+    const authorCandidates = [
+        schemaOrg?.authors || [],
+        normalizeAuthors(meta.all('author', 'article:author', 'parsely-author', 'sailthru.author', 'dc.creator')),
+        normalizeAuthors(readability?.byline ? [readability.byline] : []),
+    ];
+    let authors = authorCandidates.find((candidate) => candidate.length > 0) || [];
+
+    let publishedAt = first(
+        schemaOrg?.datePublished,
+        toIsoDate(meta.get('article:published_time', 'datepublished', 'pubdate', 'publishdate', 'date', 'dc.date', 'parsely-pub-date', 'sailthru.date')),
+        toIsoDate(readability?.publishedTime),
+        toIsoDate($('time[datetime]').first().attr('datetime')),
+    );
+
+    const fallback = (authors.length === 0 || !publishedAt) ? await extractWithArticleExtractor(html, url) : null;
+    if (fallback) {
+        if (authors.length === 0 && fallback.author) authors = normalizeAuthors([fallback.author]);
+        publishedAt ||= toIsoDate(fallback.published);
+    }
+
+    const canonicalUrl = first(
+        toAbsoluteUrl($('link[rel="canonical"]').attr('href'), url),
+        openGraph.url,
+        toAbsoluteUrl(schema?.url ?? schema?.mainEntityOfPage?.['@id'], url),
+        url,
+    );
+
+    return {
+        title: first(schemaOrg?.headline, openGraph.title, clean(readability?.title), clean($('title').first().text())),
+        description: first(openGraph.description, meta.get('description', 'twitter:description'), clean(readability?.excerpt)),
+        authors,
+        publishedAt,
+        modifiedAt: first(
+            schemaOrg?.dateModified,
+            toIsoDate(meta.get('article:modified_time', 'og:updated_time', 'datemodified', 'last-modified')),
+        ),
+        canonicalUrl,
+        outlet: first(openGraph.siteName, schemaOrg?.publisher, clean(readability?.siteName), meta.get('application-name'), clean(fallback?.source)),
+        language: first(clean($('html').attr('lang')), schemaOrg?.inLanguage, openGraph.locale?.replace('_', '-'), clean(readability?.lang)),
+        section: first(schemaOrg?.section, meta.get('article:section')),
+        keywords: [...new Set(
+            [...meta.all('article:tag'), ...(meta.get('keywords', 'news_keywords') || '').split(',')].map(clean).filter(Boolean)
+        )].slice(0, 20),
+        type: first(schemaOrg?.type, openGraph.type),
+        image: first(openGraph.image, toAbsoluteUrl(meta.get('twitter:image'), url)),
+        openGraph,
+        schemaOrg,
+    };
+}
@@ -0,0 +1,198 @@
+// app/api/analyze/batch-logic.js
+// Runs the link pipeline over a list of URLs with bounded concurrency.
+import { runAnalysis, isClientError } from './analyze-logic.js';
+
+const MAX_BATCH_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 25;
+const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 3);
+
+// Header names recognised as the URL column of an uploaded CSV
+const URL_COLUMN_PATTERN = /^(url|link|href|address)s?$/i;
+const URL_CELL_PATTERN = /^(https?:\/\/)?[^\s/$.?#]+\.[^\s]+$/i;
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// === Input Parsing ===
+
+// A URL with no other URL after any separator. URL_CELL_PATTERN alone also accepts 'a.com,b.com'.
+const isSingleUrl = (line) => URL_CELL_PATTERN.test(line)
+    && CSV_DELIMITERS.every((delimiter) => line.split(delimiter).filter((part) => URL_CELL_PATTERN.test(part.trim())).length <= 1);
+
+// The separator used most often outside quotes on the first line (the header, when there is one).
+// Only that one splits cells, so URLs containing ';' stay whole in comma-separated files. A first line
+// that is a single URL means a plain list, which is not split at all.
+function detectDelimiter(csv) {
+    if (isSingleUrl(csv.split(/\r?\n/, 1)[0].trim())) return null;
+
+    const counts = new Map(CSV_DELIMITERS.map((delimiter) => [delimiter, 0]));
+    let inQuotes = false;
+    for (const char of csv) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && (char === '\n' || char === '\r')) break;
+        else if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+    return CSV_DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best));
+}
+
+/**
+ * Parses CSV text into rows of trimmed cells. Handles quoted cells containing
+ * the delimiter, escaped quotes ("") and line breaks. Comma, semicolon and tab
+ * separated files are accepted; the delimiter is detected from the first line.
+ * @param {string} csv - Raw CSV text.
+ * @returns {string[][]}
+ */
+function parseCsvRows(csv) {
+    const delimiter = detectDelimiter(csv);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+
+        if (inQuotes) {
+            if (char === '"' && csv[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csv[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell.trim());
+    rows.push(row);
+
+    return rows.filter((cells) => cells.some(Boolean));
+}
+
+// Uses a "url"/"link" header column when there is one, otherwise the first URL-looking cell of each row
+function extractUrlsFromCsv(csv) {
+    const rows = parseCsvRows(csv);
+    if (rows.length === 0) return [];
+
+    const urlColumn = rows[0].findIndex((cell) => URL_COLUMN_PATTERN.test(cell));
+    if (urlColumn !== -1) {
+        return rows.slice(1).map((cells) => cells[urlColumn]).filter(Boolean);
+    }
+
+    return rows.map((cells) => cells.find((cell) => URL_CELL_PATTERN.test(cell))).filter(Boolean);
+}
+
+/**
+ * Collects the URLs of a batch request from a pasted list and/or CSV text.
+ * Duplicates are dropped; URLs are validated individually when each item runs.
+ * @param {{ urls?: string | string[], csv?: string }} input
+ * @returns {string[]}
+ */
+export function parseBatchInput({ urls, csv } = {}) {
+    const listed = Array.isArray(urls)
+        ? urls
+        : typeof urls === 'string' ? urls.split(/[\s,]+/) : [];
+    const fromCsv = typeof csv === 'string' ? extractUrlsFromCsv(csv) : [];
+
+    const unique = [...new Set(
+        [...listed, ...fromCsv]
+            .filter((url) => typeof url === 'string')
+            .map((url) => url.trim())
+            .filter(Boolean)
+    )];
+
+    if (unique.length === 0) {
+        throw new Error('Batch input must contain at least one URL.');
+    }
+    if (unique.length > MAX_BATCH_ITEMS) {
+        throw new Error(`Batch input is too large (maximum ${MAX_BATCH_ITEMS} URLs per batch).`);
+    }
+
+    return unique;
+}
+
+// === Batch Execution ===
+
+// Reduces a full analysis to the fields shown in the batch table
+function summarizeAnalysis(result) {
+    const synthesis = result?.synthesis || {};
+    return {
+        title: result?.source?.title ?? null,
+        credibility: synthesis.primary_classification?.type ?? null,
+        type: synthesis.secondary_classification?.type ?? null,
+        bias: synthesis.tertiary_classification?.type ?? null,
+        confidence: synthesis.primary_classification?.llm_confidence ?? null,
+        claims: Array.isArray(result?.claims) ? result.claims.length : null,
+        reportId: result?.report?.id ?? null,
+        // Lets the browser that ran the batch delete the report, as with a single analysis
+        deleteToken: result?.report?.deleteToken ?? null,
+        cached: Boolean(result?.cache?.hit),
+        error: synthesis.error ?? null,
+    };
+}
+
+async function runItem(url, index, { fresh, onProgress, signal }) {
+    onProgress?.('item', { index, url, status: 'running' });
+
+    try {
+        const result = await runAnalysis({ mode: 'link', query: url, fresh }, {
+            signal,
+            // Forward stage names only; the per-model payloads are too heavy to repeat for every item
+            onProgress: (stage) => onProgress?.('item-progress', { index, stage }),
+        });
+
+        const item = { index, url, status: 'done', ...summarizeAnalysis(result) };
+        onProgress?.('item', item);
+        return item;
+    } catch (error) {
+        if (signal?.aborted) throw error;
+
+        console.error(`[Batch Item Error] ${url}: ${error.message}`);
+        const item = {
+            index,
+            url,
+            status: 'error',
+            error: isClientError(error) ? error.message : 'An unexpected error occurred while analyzing this URL.',
+        };
+        onProgress?.('item', item);
+        return item;
+    }
+}
+
+/**
+ * Analyzes each URL through the link pipeline, at most BATCH_CONCURRENCY at a time.
+ * A failing item is reported and does not stop the rest of the batch.
+ * @param {string[]} urls - URLs from parseBatchInput.
+ * @param {object} [options]
+ * @param {boolean} [options.fresh] - Bypass the result cache for every item.
+ * @param {Function} [options.onProgress] - Called with 'item' and 'item-progress' events.
+ * @param {AbortSignal} [options.signal] - Cancels all outstanding items.
+ * @returns {Promise<object[]>} One summary per URL, in input order.
+ */
+export async function runBatch(urls, { fresh = false, onProgress, signal } = {}) {
+    const results = new Array(urls.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < urls.length) {
+            signal?.throwIfAborted();
+            const index = next++;
+            results[index] = await runItem(urls[index], index, { fresh, onProgress, signal });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, urls.length) }, worker));
+    return results;
+}
@@ -0,0 +1,40 @@
+// app/api/analyze/batch/route.js
+import { NextResponse } from 'next/server';
+import { isClientError } from '../analyze-logic.js';
+import { parseBatchInput, runBatch } from '../batch-logic.js';
+import { createEventStreamResponse } from '../event-stream.js';
+
+// Batch analysis over SSE. The body is { urls?: string | string[], csv?: string, fresh?: boolean }.
+// Emits queued with the parsed URLs, then item / item-progress per URL, then complete or error.
+export async function POST(request) {
+    let requestData;
+    try {
+        requestData = await request.json();
+    } catch (jsonError) {
+        return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    let urls;
+    try {
+        urls = parseBatchInput(requestData);
+    } catch (error) {
+        return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    return createEventStreamResponse(request, async (send, signal) => {
+        try {
+            send('queued', { items: urls.map((url, index) => ({ index, url })) });
+            const results = await runBatch(urls, { fresh: requestData?.fresh === true, onProgress: send, signal });
+            send('complete', { results });
+        } catch (error) {
+            if (signal.aborted) return;
+
+            console.error("API batch stream error:", error);
+            send('error', {
+                error: isClientError(error)
+                    ? error.message
+                    : 'An unexpected error occurred while processing your request.',
+            });
+        }
+    });
+}
@@ -0,0 +1,364 @@
+// app/api/analyze/document-extractor.js
+// Validates uploaded PDF/DOCX/EPUB documents and extracts their text server-side.
+// Scanned PDFs without a text layer are rendered page by page and sent through OCR.
+import * as cheerio from 'cheerio';
+import { runGeneration } from '../detection/providers.js';
+import { splitText } from '../detection/chunking.js';
+import { fenceUntrusted, scanForInjection } from '../detection/prompt-guard.js';
+
+// Size and volume constants
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10MB
+// Stays under the 50KB text-mode ceiling with room for HTML entities added by sanitization
+const MAX_TEXT_LENGTH = 48000;
+const OCR_MAX_PAGES = Number(process.env.DOCUMENT_OCR_MAX_PAGES) || 10;
+// Pages whose text layer is read; later pages are ignored
+const MAX_PDF_PAGES = Number(process.env.DOCUMENT_MAX_PAGES) || 500;
+// Reading stops once this much text is extracted; condensing only uses MAX_CONDENSE_CHUNKS chunks of it
+const MAX_EXTRACTED_LENGTH = 4 * MAX_TEXT_LENGTH;
+// Limits on DOCX and EPUB archives, checked against the sizes they declare before anything is decompressed
+const MAX_UNCOMPRESSED_SIZE = 100 * 1024 * 1024; // 100MB
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_EPUB_CHAPTERS = 1000;
+const OCR_RENDER_SCALE = 2;
+// Below this many characters per page a PDF is treated as scanned
+const MIN_TEXT_CHARS_PER_PAGE = 40;
+const CONDENSE_CHUNK_LENGTH = 12000;
+const MAX_CONDENSE_CHUNKS = Number(process.env.DOCUMENT_MAX_SUMMARY_CHUNKS) || 12;
+
+export const DOCUMENT_TYPES = {
+    'application/pdf': { kind: 'pdf', extensions: ['pdf'] },
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { kind: 'docx', extensions: ['docx'] },
+    'application/epub+zip': { kind: 'epub', extensions: ['epub'] },
+};
+
+// === Validation ===
+
+const PDF_SIGNATURE = '%PDF-';
+const ZIP_SIGNATURE = 'PK\x03\x04';
+
+/**
+ * Validates document upload data, including size, type, name and file signature.
+ * @param {object} documentData - { data, name, size, type } with `data` as a base64 data URL.
+ * @returns {{ kind: string, buffer: Buffer, name: string }}
+ */
+export function validateDocument(documentData) {
+    if (!documentData || typeof documentData !== 'object') {
+        throw new Error('Document data is required');
+    }
+
+    const { data, name, size, type } = documentData;
+
+    if (!data || !name || typeof size !== 'number' || !type) {
+        throw new Error('Document data is incomplete or invalid');
+    }
+
+    if (size > MAX_DOCUMENT_SIZE) {
+        throw new Error('Document size too large (maximum 10MB allowed)');
+    }
+
+    const documentType = DOCUMENT_TYPES[type.toLowerCase()];
+    if (!documentType) {
+        throw new Error('Unsupported document type. Only PDF, DOCX and EPUB are allowed');
+    }
+
+    if (typeof name !== 'string' || name.length === 0 || name.length > 255) {
+        throw new Error('Invalid document name');
+    }
+
+    // The extension must agree with the declared type
+    const extension = name.toLowerCase().split('.').pop();
+    if (/\.\.|[<>]|[\\/]/.test(name) || !documentType.extensions.includes(extension)) {
+        throw new Error('Document name contains potentially malicious content or does not match its type');
+    }
+
+    if (typeof data !== 'string' || !data.startsWith('data:') || !data.includes('base64,')) {
+        throw new Error('Invalid or corrupted document data');
+    }
+
+    const buffer = Buffer.from(data.split('base64,')[1], 'base64');
+    if (buffer.length === 0 || buffer.length > MAX_DOCUMENT_SIZE) {
+        throw new Error('Invalid or corrupted document data');
+    }
+
+    // Check the file signature so a renamed file cannot reach the parsers
+    const signature = buffer.subarray(0, 5).toString('latin1');
+    const expected = documentType.kind === 'pdf' ? PDF_SIGNATURE : ZIP_SIGNATURE;
+    if (!signature.startsWith(expected)) {
+        throw new Error('Invalid or corrupted document data');
+    }
+
+    return { kind: documentType.kind, buffer, name };
+}
+
+// === PDF ===
+
+const loadPdfjs = () => import('pdfjs-dist/legacy/build/pdf.mjs');
+
+// Renders one page to a PNG data URL for OCR
+async function renderPdfPage(page) {
+    const { createCanvas } = await import('canvas');
+    const viewport = page.getViewport({ scale: OCR_RENDER_SCALE });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+
+    // Scanned pages are usually transparent-backed images; OCR works better on white
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport }).promise;
+
+    return canvas.toDataURL('image/png');
+}
+
+async function extractPdf(buffer, { ocrImage, onProgress, signal }) {
+    const { getDocument } = await loadPdfjs();
+    const pdf = await getDocument({
+        data: new Uint8Array(buffer),
+        isEvalSupported: false,
+        disableFontFace: true,
+        useSystemFonts: false,
+    }).promise;
+
+    try {
+        const metadata = await pdf.getMetadata().catch(() => null);
+        const pages = [];
+
+        let length = 0;
+        const lastPage = Math.min(pdf.numPages, MAX_PDF_PAGES);
+        for (let pageNumber = 1; pageNumber <= lastPage && length < MAX_EXTRACTED_LENGTH; pageNumber++) {
+            signal?.throwIfAborted();
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pages.push(content.items.map((item) => item.str + (item.hasEOL ? '\n' : ' ')).join('').trim());
+            length += pages.at(-1).length;
+            page.cleanup();
+        }
+
+        const text = pages.join('\n\n').trim();
+        const isScanned = text.length < pages.length * MIN_TEXT_CHARS_PER_PAGE;
+        if (!isScanned || !ocrImage) {
+            return { title: metadata?.info?.Title || null, text, pages: pdf.numPages, ocr: false };
+        }
+
+        // No usable text layer: OCR the first pages instead
+        const ocrPages = Math.min(pdf.numPages, OCR_MAX_PAGES);
+        const ocrText = [];
+        for (let pageNumber = 1; pageNumber <= ocrPages; pageNumber++) {
+            signal?.throwIfAborted();
+            onProgress?.('ocr', { page: pageNumber, pages: ocrPages });
+            const page = await pdf.getPage(pageNumber);
+            ocrText.push(await ocrImage(await renderPdfPage(page), signal));
+            page.cleanup();
+        }
+
+        return { title: metadata?.info?.Title || null, text: ocrText.join('\n\n').trim(), pages: pdf.numPages, ocr: true };
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+// === ZIP Archives ===
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const END_RECORD_LENGTH = 22;
+const CENTRAL_ENTRY_LENGTH = 46;
+
+/**
+ * Rejects DOCX and EPUB archives that would decompress to more than MAX_UNCOMPRESSED_SIZE or
+ * hold more than MAX_ZIP_ENTRIES files, judged from the central directory so a zip bomb is
+ * never inflated. ZIP64 archives declare 0xFFFFFFFF sizes here and are rejected too.
+ * @param {Buffer} buffer - The archive.
+ */
+function checkZipLimits(buffer) {
+    // The end record closes the file, followed only by a comment of up to 64KB
+    let end = -1;
+    for (let i = buffer.length - END_RECORD_LENGTH; i >= Math.max(0, buffer.length - END_RECORD_LENGTH - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Invalid or corrupted document data');
+    }
+
+    const entries = buffer.readUInt16LE(end + 10);
+    if (entries > MAX_ZIP_ENTRIES) {
+        throw new Error(`Document archive has too many files (${entries})`);
+    }
+
+    let offset = buffer.readUInt32LE(end + 16);
+    let total = 0;
+    for (let i = 0; i < entries; i++) {
+        if (offset + CENTRAL_ENTRY_LENGTH > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+            throw new Error('Invalid or corrupted document data');
+        }
+        total += buffer.readUInt32LE(offset + 24);
+        offset += CENTRAL_ENTRY_LENGTH + buffer.readUInt16LE(offset + 28) + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    if (total > MAX_UNCOMPRESSED_SIZE) {
+        throw new Error(`Document archive is too large once uncompressed (${total} bytes)`);
+    }
+}
+
+// === DOCX ===
+
+async function extractDocx(buffer) {
+    checkZipLimits(buffer);
+    const mammoth = await import('mammoth');
+    const { value } = await mammoth.extractRawText({ buffer });
+    return { title: null, text: value.trim(), pages: null, ocr: false };
+}
+
+// === EPUB ===
+
+const resolvePath = (base, href) => {
+    const parts = base.split('/').slice(0, -1);
+    for (const segment of decodeURIComponent(href.split('#')[0]).split('/')) {
+        if (segment === '..') parts.pop();
+        else if (segment && segment !== '.') parts.push(segment);
+    }
+    return parts.join('/');
+};
+
+// Reads the spine from the OPF package so chapters come out in reading order
+async function extractEpub(buffer) {
+    checkZipLimits(buffer);
+    const { default: JSZip } = await import('jszip');
+    const zip = await JSZip.loadAsync(buffer);
+
+    const container = await zip.file('META-INF/container.xml')?.async('string');
+    const opfPath = container && cheerio.load(container, { xmlMode: true })('rootfile').attr('full-path');
+    const opf = opfPath && await zip.file(opfPath)?.async('string');
+    if (!opf) {
+        throw new Error('Invalid or corrupted document data');
+    }
+
+    const $opf = cheerio.load(opf, { xmlMode: true });
+    const manifest = Object.fromEntries(
+        $opf('manifest > item').map((i, el) => [[$opf(el).attr('id'), $opf(el).attr('href')]]).get()
+    );
+    const chapterPaths = $opf('spine > itemref')
+        .map((i, el) => manifest[$opf(el).attr('idref')])
+        .get()
+        .filter(Boolean)
+        .slice(0, MAX_EPUB_CHAPTERS)
+        .map((href) => resolvePath(opfPath, href));
+
+    const chapters = [];
+    let length = 0;
+    for (const chapterPath of chapterPaths) {
+        if (length >= MAX_EXTRACTED_LENGTH) break;
+        const html = await zip.file(chapterPath)?.async('string');
+        if (!html) continue;
+        const $ = cheerio.load(html);
+        $('script, style').remove();
+        const paragraphs = $('body').find('h1, h2, h3, h4, p, li, blockquote')
+            .map((i, el) => $(el).text().replace(/\s+/g, ' ').trim())
+            .get()
+            .filter(Boolean);
+        chapters.push(paragraphs.length ? paragraphs.join('\n') : $('body').text().trim());
+        length += chapters.at(-1).length;
+    }
+
+    const title = $opf('metadata').find('dc\\:title, title').first().text().trim() || null;
+    return { title, text: chapters.filter(Boolean).join('\n\n').trim(), pages: null, ocr: false };
+}
+
+// === Long Documents ===
+
+function buildCondensePrompt(chunk, index, total) {
+    const part = fenceUntrusted(chunk, 'DOCUMENT');
+    return `
+You are "CheckMatic," a news analyst preparing a long document for fact-checking.
+Condense part ${index} of ${total} of the document below.
+
+## Instructions:
+1.  Keep every factual claim, figure, date, name and direct quote; quotes must stay verbatim.
+2.  Drop boilerplate, tables of contents, legal notices and repetition.
+3.  Keep the author's tone and framing; do not add commentary or opinions.
+4.  Reply with the condensed text only, in plain prose, at most ${Math.floor(MAX_TEXT_LENGTH / total)} characters.
+
+### Document Part:
+${part.rule}
+${part.block}
+`;
+}
+
+// Cuts at the last paragraph break that fits, so the text never ends mid-sentence
+const truncateAtBoundary = (text, maxLength) => {
+    if (text.length <= maxLength) return text;
+    const cut = text.slice(0, maxLength);
+    const boundary = Math.max(cut.lastIndexOf('\n\n'), cut.lastIndexOf('. '));
+    return (boundary > maxLength / 2 ? cut.slice(0, boundary + 1) : cut).trim();
+};
+
+/**
+ * Brings long documents under the 50KB text ceiling. The document is split into
+ * chunks that are each condensed by the synthesis model; if that fails, or a chunk
+ * tries to instruct the model, the text is truncated at a paragraph boundary instead.
+ * @param {string} text - The extracted document text.
+ * @param {object} [options] - { signal } forwarded to the model.
+ * @returns {Promise<{ text: string, condensed: null | { method: 'summary' | 'truncated', originalLength: number } }>}
+ */
+async function fitToTextLimit(text, { signal } = {}) {
+    if (text.length <= MAX_TEXT_LENGTH) {
+        return { text, condensed: null };
+    }
+
+    const chunks = splitText(text, CONDENSE_CHUNK_LENGTH).slice(0, MAX_CONDENSE_CHUNKS);
+    try {
+        // Condensing would let the injected text rewrite the document before the analysis scans it
+        if (chunks.some((chunk) => scanForInjection(chunk.text).detected)) {
+            throw new Error('Document contains embedded instructions');
+        }
+        const summaries = [];
+        for (const [index, chunk] of chunks.entries()) {
+            const summary = await runGeneration('synthesis', buildCondensePrompt(chunk.text, index + 1, chunks.length), { signal });
+            if (!summary?.trim()) throw new Error('Empty summary');
+            summaries.push(summary.trim());
+        }
+        return {
+            text: truncateAtBoundary(summaries.join('\n\n'), MAX_TEXT_LENGTH),
+            condensed: { method: 'summary', originalLength: text.length },
+        };
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`[Document Condense] Falling back to truncation: ${error.message}`);
+        return {
+            text: truncateAtBoundary(text, MAX_TEXT_LENGTH),
+            condensed: { method: 'truncated', originalLength: text.length },
+        };
+    }
+}
+
+// === Public API ===
+
+const EXTRACTORS = { pdf: extractPdf, docx: extractDocx, epub: extractEpub };
+
+/**
+ * Extracts the text of a validated document and fits it under the text ceiling.
+ * @param {{ kind: string, buffer: Buffer }} document - Output of validateDocument.
+ * @param {object} [options]
+ * @param {(imageDataUrl: string, signal?: AbortSignal) => Promise<string>} [options.ocrImage] - OCR used for scanned PDFs.
+ * @param {Function} [options.onProgress] - Called with 'ocr' events while scanned pages are read.
+ * @param {AbortSignal} [options.signal] - Cancels page reading, OCR and summarization.
+ * @returns {Promise<{ title: string | null, text: string, pages: number | null, ocr: boolean, condensed: object | null }>}
+ */
+export async function extractDocumentText(document, options = {}) {
+    let extracted;
+    try {
+        extracted = await EXTRACTORS[document.kind](document.buffer, options);
+    } catch (error) {
+        if (options.signal?.aborted) throw error;
+        console.error(`[Document Extraction Error] ${error.message}`);
+        throw new Error('Could not extract text from the document. The file may be corrupted, encrypted or empty.');
+    }
+
+    if (!extracted.text) {
+        throw new Error('Could not extract text from the document. The file may be corrupted, encrypted or empty.');
+    }
+
+    const { text, condensed } = await fitToTextLimit(extracted.text, options);
+    return { ...extracted, text, condensed };
+}
@@ -0,0 +1,48 @@
+// app/api/analyze/event-stream.js
+// Server-Sent Events helper shared by the streaming analysis routes.
+
+/**
+ * Wraps a long-running handler in a text/event-stream response.
+ * The handler receives `send(event, data)` and an AbortSignal that fires when the
+ * client disconnects, so upstream work can be cancelled.
+ * @param {Request} request - The incoming request, used to observe client aborts.
+ * @param {(send: Function, signal: AbortSignal) => Promise<void>} handler
+ * @returns {Response}
+ */
+export function createEventStreamResponse(request, handler) {
+    const encoder = new TextEncoder();
+    const abortController = new AbortController();
+    request.signal?.addEventListener('abort', () => abortController.abort());
+
+    let closed = false;
+
+    const stream = new ReadableStream({
+        async start(controller) {
+            const send = (event, data) => {
+                if (closed) return;
+                controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+            };
+
+            try {
+                await handler(send, abortController.signal);
+            } finally {
+                if (!closed) {
+                    closed = true;
+                    controller.close();
+                }
+            }
+        },
+        cancel() {
+            closed = true;
+            abortController.abort();
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+        },
+    });
+}
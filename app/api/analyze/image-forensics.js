@@ -0,0 +1,249 @@
+// app/api/analyze/image-forensics.js
+// Examines an uploaded photo for signs of editing or generation: embedded metadata
+// and C2PA content credentials (see image-metadata.js), error-level analysis (ELA)
+// and perceptual hashes. Pixel work uses the native `canvas` package, loaded lazily
+// so metadata checks still run where it is not installed.
+import { readImageMetadata, readImageSize } from './image-metadata.js';
+
+// Settings, overridable per deployment
+const ELA_QUALITY = 0.9;
+// Larger images are scaled down first; ELA artifacts survive moderate scaling poorly, so keep this generous
+const ELA_MAX_PIXELS = Number(process.env.ELA_MAX_PIXELS) || 4_000_000;
+// Decoding happens at full size before any scaling, so larger images (by their header) are never decoded
+const MAX_DECODE_PIXELS = Number(process.env.IMAGE_MAX_DECODE_PIXELS) || 50_000_000;
+const ELA_GRID_SIZE = 8;
+// A region stands out when its error is this many times the image's median region error...
+const ELA_OUTLIER_RATIO = 3;
+// ...and above this absolute level, so clean images with tiny errors are not flagged
+const ELA_MIN_REGION_ERROR = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Software names that indicate the image passed through an editor
+const EDITING_SOFTWARE = /photoshop|lightroom|gimp|affinity|pixelmator|snapseed|canva|picsart|facetune|paint\.net|photopea|krita|luminar|fotor|meitu|remini/i;
+// Software names of image generators, as written into EXIF/XMP by some of them
+const GENERATOR_SOFTWARE = /dall-?e|midjourney|stable diffusion|firefly|imagen|ideogram|leonardo|flux|comfyui|automatic1111|novelai/i;
+
+// === Pixel Analysis ===
+
+const loadCanvas = () => import('canvas');
+
+// Draws the image at (at most) ELA_MAX_PIXELS and returns the canvas
+async function drawImage(bytes) {
+    const size = readImageSize(bytes);
+    if (!size) {
+        throw new Error('Image dimensions could not be read from the header');
+    }
+    if (size.width * size.height > MAX_DECODE_PIXELS) {
+        throw new Error(`Image is ${size.width}x${size.height}, over the ${MAX_DECODE_PIXELS} pixel decoding limit`);
+    }
+
+    const { createCanvas, loadImage } = await loadCanvas();
+    const image = await loadImage(bytes);
+    const scale = Math.min(1, Math.sqrt(ELA_MAX_PIXELS / (image.width * image.height)));
+    const canvas = createCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return { canvas, width: image.width, height: image.height, scaled: scale < 1 };
+}
+
+/**
+ * Error-level analysis: re-saves the image as JPEG and measures how much each region changes.
+ * Regions pasted in from another image, or edited after the last save, tend to recompress
+ * differently from the rest. The result is a grid of mean errors (0-255) and the outlier regions.
+ */
+async function runErrorLevelAnalysis(canvas) {
+    const { createCanvas, loadImage } = await loadCanvas();
+    const { width, height } = canvas;
+    const original = canvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const resaved = await loadImage(canvas.toBuffer('image/jpeg', { quality: ELA_QUALITY }));
+    const resavedCanvas = createCanvas(width, height);
+    resavedCanvas.getContext('2d').drawImage(resaved, 0, 0);
+    const recompressed = resavedCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const sums = new Float64Array(ELA_GRID_SIZE * ELA_GRID_SIZE);
+    const counts = new Uint32Array(ELA_GRID_SIZE * ELA_GRID_SIZE);
+    let total = 0;
+    let max = 0;
+    for (let y = 0; y < height; y++) {
+        const row = Math.min(ELA_GRID_SIZE - 1, Math.floor((y * ELA_GRID_SIZE) / height));
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const error = Math.max(
+                Math.abs(original[i] - recompressed[i]),
+                Math.abs(original[i + 1] - recompressed[i + 1]),
+                Math.abs(original[i + 2] - recompressed[i + 2]),
+            );
+            const cell = row * ELA_GRID_SIZE + Math.min(ELA_GRID_SIZE - 1, Math.floor((x * ELA_GRID_SIZE) / width));
+            sums[cell] += error;
+            counts[cell] += 1;
+            total += error;
+            if (error > max) max = error;
+        }
+    }
+
+    const cells = Array.from(sums, (sum, cell) => (counts[cell] ? sum / counts[cell] : 0));
+    const median = [...cells].sort((a, b) => a - b)[Math.floor(cells.length / 2)];
+    const threshold = Math.max(ELA_MIN_REGION_ERROR, median * ELA_OUTLIER_RATIO);
+    const round = (value) => Math.round(value * 10) / 10;
+
+    return {
+        quality: ELA_QUALITY,
+        meanError: round(total / (width * height)),
+        maxError: max,
+        grid: Array.from({ length: ELA_GRID_SIZE }, (_, row) => cells.slice(row * ELA_GRID_SIZE, (row + 1) * ELA_GRID_SIZE).map(round)),
+        outliers: cells
+            .map((error, cell) => ({ row: Math.floor(cell / ELA_GRID_SIZE), col: cell % ELA_GRID_SIZE, error: round(error) }))
+            .filter((cell) => cell.error > threshold),
+    };
+}
+
+// Grayscale pixels of the image drawn at a fixed size
+async function grayscale(canvas, width, height) {
+    const { createCanvas } = await loadCanvas();
+    const small = createCanvas(width, height);
+    const context = small.getContext('2d');
+    context.drawImage(canvas, 0, 0, width, height);
+    const { data } = context.getImageData(0, 0, width, height);
+    return Array.from({ length: width * height }, (_, i) => 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+}
+
+const bitsToHex = (bits) =>
+    Array.from({ length: bits.length / 4 }, (_, i) => parseInt(bits.slice(i * 4, i * 4 + 4).join(''), 2).toString(16)).join('');
+
+/**
+ * Perceptual hashes that stay the same when an image is resized, recompressed or lightly edited,
+ * so copies of the same picture can be matched by Hamming distance (about 10 of 64 bits or fewer).
+ * pHash: low frequencies of a 32x32 DCT against their median. dHash: brightness gradients on a 9x8 grid.
+ */
+async function computePerceptualHashes(canvas) {
+    const N = 32;
+    const pixels = await grayscale(canvas, N, N);
+    const cosines = Array.from({ length: 8 }, (_, u) => Array.from({ length: N }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * N))));
+    const dct = [];
+    for (let u = 0; u < 8; u++) {
+        for (let v = 0; v < 8; v++) {
+            let sum = 0;
+            for (let y = 0; y < N; y++) {
+                for (let x = 0; x < N; x++) {
+                    sum += pixels[y * N + x] * cosines[u][y] * cosines[v][x];
+                }
+            }
+            dct.push(sum);
+        }
+    }
+    // The DC term only reflects overall brightness
+    const median = [...dct.slice(1)].sort((a, b) => a - b)[31];
+    const phash = bitsToHex(dct.map((value) => (value > median ? 1 : 0)));
+
+    const gradient = await grayscale(canvas, 9, 8);
+    const dhashBits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            dhashBits.push(gradient[y * 9 + x] > gradient[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+
+    return { phash, dhash: bitsToHex(dhashBits) };
+}
+
+// === Signals ===
+
+function collectSignals({ format, exif, xmp, c2pa, generatorText, aiSourceType }, ela) {
+    const signals = [];
+    const add = (id, severity, message) => signals.push({ id, severity, message });
+    const software = [exif?.software, xmp?.creatorTool, ...(xmp?.historySoftware || []), c2pa?.claimGenerator,
+        ...(c2pa?.actions || []).map((action) => action.softwareAgent)].filter(Boolean);
+
+    if (aiSourceType) {
+        add('ai_generated', 'danger', 'The image is labelled in its metadata as created by generative AI.');
+    } else if (generatorText.length > 0 || software.some((name) => GENERATOR_SOFTWARE.test(name))) {
+        add('ai_generator_metadata', 'danger', 'The image carries settings or a software name from an AI image generator.');
+    }
+
+    if (c2pa) {
+        const edits = c2pa.actions.filter((action) => !['c2pa.created', 'c2pa.opened'].includes(action.action));
+        add('content_credentials', 'info', `Has Content Credentials${c2pa.claimGenerator ? ` from ${c2pa.claimGenerator}` : ''}; the signature was not verified.`);
+        if (edits.length > 0) {
+            add('c2pa_edits', 'info', `Content Credentials record edits: ${[...new Set(edits.map((action) => action.action.replace(/^c2pa\./, '')))].join(', ')}.`);
+        }
+    }
+
+    const editor = software.find((name) => EDITING_SOFTWARE.test(name));
+    if (editor) {
+        add('editing_software', 'warning', `The image was saved by editing software (${editor}).`);
+    }
+
+    if (exif?.takenAt && exif?.modifiedAt) {
+        const days = Math.round((new Date(exif.modifiedAt) - new Date(exif.takenAt)) / DAY_MS);
+        if (days >= 1) {
+            add('modified_after_capture', 'warning', `The file was modified ${days} day${days === 1 ? '' : 's'} after the photo was taken.`);
+        }
+    }
+
+    if (!exif && !xmp && !c2pa) {
+        add('no_metadata', 'info', 'No camera or editing metadata; typical of screenshots and images re-saved by social networks.');
+    }
+
+    // ELA is only meaningful on a JPEG that has not already been flattened into a lossless format
+    if (ela && format === 'jpeg' && ela.outliers.length > 0 && ela.outliers.length <= ELA_GRID_SIZE * 2) {
+        add('ela_inconsistent', 'warning', `${ela.outliers.length} region${ela.outliers.length === 1 ? '' : 's'} recompress differently from the rest of the image, which can indicate pasted or retouched content.`);
+    }
+
+    return signals;
+}
+
+function toVerdict(signals) {
+    if (signals.some((signal) => signal.severity === 'danger')) return 'ai_generated';
+    if (signals.some((signal) => signal.severity === 'warning')) return 'possibly_edited';
+    return 'no_signs';
+}
+
+// === Public API ===
+
+/**
+ * Runs the image forensics stage over an uploaded photo.
+ * Pixel analysis is skipped (with `pixelAnalysis.error` set) when canvas is unavailable or cannot decode the image.
+ * @param {string} dataUrl - The photo as a base64 data URL.
+ * @returns {Promise<{
+ *   format: string | null, width: number | null, height: number | null,
+ *   metadata: { exif: object | null, xmp: object | null, generatorText: string[] },
+ *   c2pa: object | null,
+ *   ela: { quality: number, meanError: number, maxError: number, grid: number[][], outliers: object[], lossless: boolean } | null,
+ *   hashes: { phash: string, dhash: string } | null,
+ *   pixelAnalysis: { scaled: boolean, error: string | null },
+ *   signals: { id: string, severity: 'info' | 'warning' | 'danger', message: string }[],
+ *   verdict: 'ai_generated' | 'possibly_edited' | 'no_signs'
+ * }>}
+ */
+export async function analyzeImage(dataUrl) {
+    const bytes = Buffer.from(dataUrl.split('base64,')[1] || '', 'base64');
+    const metadata = readImageMetadata(bytes);
+
+    let ela = null;
+    let hashes = null;
+    let dimensions = readImageSize(bytes) || { width: metadata.exif?.width ?? null, height: metadata.exif?.height ?? null };
+    const pixelAnalysis = { scaled: false, error: null };
+    try {
+        const { canvas, width, height, scaled } = await drawImage(bytes);
+        dimensions = { width, height };
+        pixelAnalysis.scaled = scaled;
+        ela = { ...await runErrorLevelAnalysis(canvas), lossless: metadata.format !== 'jpeg' };
+        hashes = await computePerceptualHashes(canvas);
+    } catch (error) {
+        console.warn(`[Image Forensics] Pixel analysis skipped: ${error.message}`);
+        pixelAnalysis.error = 'Pixel analysis is unavailable for this image.';
+    }
+
+    const signals = collectSignals(metadata, ela);
+    return {
+        format: metadata.format,
+        ...dimensions,
+        metadata: { exif: metadata.exif, xmp: metadata.xmp, generatorText: metadata.generatorText },
+        c2pa: metadata.c2pa,
+        ela,
+        hashes,
+        pixelAnalysis,
+        signals,
+        verdict: toVerdict(signals),
+    };
+}
@@ -0,0 +1,508 @@
+// app/api/analyze/image-metadata.js
+// Reads the metadata embedded in an uploaded image: EXIF, XMP, PNG text chunks and
+// C2PA content credentials (JUMBF boxes holding CBOR). The parsers only walk the
+// container structure and never decode pixels, so they are safe on untrusted input;
+// anything malformed is skipped rather than thrown.
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// IPTC digital source types that mark generative-AI output
+const AI_SOURCE_TYPES = ['trainedAlgorithmicMedia', 'compositeWithTrainedAlgorithmicMedia', 'algorithmicMedia'];
+
+// PNG text keywords written by image generators (Stable Diffusion web UIs, ComfyUI, NovelAI)
+const GENERATOR_TEXT_KEYWORDS = new Set(['parameters', 'prompt', 'workflow', 'sd-metadata', 'invokeai_metadata', 'comment']);
+
+// === EXIF (TIFF) ===
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const IFD0_TAGS = { 0x010f: 'make', 0x0110: 'model', 0x0131: 'software', 0x0132: 'modifiedAt', 0x013b: 'artist', 0x8298: 'copyright' };
+const EXIF_IFD_TAGS = { 0x9003: 'takenAt', 0x9004: 'digitizedAt', 0xa002: 'width', 0xa003: 'height', 0xa433: 'lensMake', 0xa434: 'lensModel' };
+const EXIF_IFD_POINTER = 0x8769;
+const GPS_IFD_POINTER = 0x8825;
+
+// EXIF dates look like "2024:05:01 12:30:00" and carry no time zone
+const toExifDate = (value) => {
+    const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+    return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+};
+
+function readIfd(tiff, offset, little, tags) {
+    const values = {};
+    const pointers = {};
+    if (offset + 2 > tiff.length) return { values, pointers };
+
+    const count = tiff.readUInt16(offset, little);
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) break;
+
+        const tag = tiff.readUInt16(entry, little);
+        const type = tiff.readUInt16(entry + 2, little);
+        const length = tiff.readUInt32(entry + 4, little);
+        const size = (TIFF_TYPE_SIZES[type] || 0) * length;
+        const dataOffset = size > 4 ? tiff.readUInt32(entry + 8, little) : entry + 8;
+        if (!size || dataOffset + size > tiff.length) continue;
+
+        if (tag === EXIF_IFD_POINTER || tag === GPS_IFD_POINTER) {
+            pointers[tag] = tiff.readUInt32(entry + 8, little);
+        } else if (tags[tag]) {
+            if (type === 2) {
+                values[tags[tag]] = tiff.bytes.toString('latin1', dataOffset, dataOffset + size).replace(/\0+$/, '').trim() || null;
+            } else if (type === 3) {
+                values[tags[tag]] = tiff.readUInt16(dataOffset, little);
+            } else if (type === 4) {
+                values[tags[tag]] = tiff.readUInt32(dataOffset, little);
+            }
+        }
+    }
+    return { values, pointers };
+}
+
+/**
+ * Parses the fields of a TIFF/EXIF block that matter for provenance.
+ * GPS coordinates are deliberately not returned, only whether they are present.
+ */
+function parseExif(bytes) {
+    if (bytes.length < 8) return null;
+    const order = bytes.toString('latin1', 0, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+
+    const little = order === 'II';
+    const tiff = {
+        bytes,
+        length: bytes.length,
+        readUInt16: (offset, le) => (le ? bytes.readUInt16LE(offset) : bytes.readUInt16BE(offset)),
+        readUInt32: (offset, le) => (le ? bytes.readUInt32LE(offset) : bytes.readUInt32BE(offset)),
+    };
+    if (tiff.readUInt16(2, little) !== 42) return null;
+
+    const ifd0 = readIfd(tiff, tiff.readUInt32(4, little), little, IFD0_TAGS);
+    const exifIfd = ifd0.pointers[EXIF_IFD_POINTER] ? readIfd(tiff, ifd0.pointers[EXIF_IFD_POINTER], little, EXIF_IFD_TAGS) : null;
+    const values = { ...ifd0.values, ...exifIfd?.values };
+
+    return {
+        make: values.make || null,
+        model: values.model || null,
+        lens: values.lensModel || null,
+        software: values.software || null,
+        artist: values.artist || null,
+        copyright: values.copyright || null,
+        takenAt: toExifDate(values.takenAt || values.digitizedAt),
+        modifiedAt: toExifDate(values.modifiedAt),
+        width: values.width ?? null,
+        height: values.height ?? null,
+        hasGps: Boolean(ifd0.pointers[GPS_IFD_POINTER]),
+    };
+}
+
+// === XMP ===
+
+const decodeXmlEntities = (value) => value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&amp;/g, '&');
+
+// Reads every value of a property, written either as an attribute or as an element (possibly an rdf list)
+function getXmpValues(xmp, name) {
+    const escaped = name.replace(/[.:]/g, '\\$&');
+    const values = [];
+    for (const match of xmp.matchAll(new RegExp(`${escaped}="([^"]*)"`, 'g'))) {
+        values.push(match[1]);
+    }
+    for (const match of xmp.matchAll(new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`, 'g'))) {
+        const items = [...match[1].matchAll(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g)].map((item) => item[1]);
+        values.push(...(items.length ? items : [match[1]]));
+    }
+    return values.map((value) => decodeXmlEntities(value.replace(/<[^>]+>/g, '')).trim()).filter(Boolean);
+}
+
+function parseXmp(xmp) {
+    if (!xmp?.includes('x:xmpmeta') && !xmp?.includes('rdf:RDF')) return null;
+    const one = (name) => getXmpValues(xmp, name)[0] || null;
+
+    return {
+        creatorTool: one('xmp:CreatorTool'),
+        createdAt: one('xmp:CreateDate') || one('photoshop:DateCreated'),
+        modifiedAt: one('xmp:ModifyDate'),
+        historySoftware: [...new Set(getXmpValues(xmp, 'stEvt:softwareAgent'))],
+        historyActions: [...new Set(getXmpValues(xmp, 'stEvt:action'))],
+        digitalSourceType: one('Iptc4xmpExt:DigitalSourceType'),
+        credit: one('photoshop:Credit') || one('dc:creator'),
+    };
+}
+
+// === CBOR (for C2PA) ===
+
+// Marks the end of an indefinite-length CBOR item
+const BREAK = Symbol('break');
+
+// Minimal CBOR decoder covering what C2PA manifests use; tags are unwrapped to their content
+function decodeCbor(bytes) {
+    let offset = 0;
+
+    const readLength = (info) => {
+        if (info < 24) return info;
+        if (info === 24) return bytes.readUInt8(offset++);
+        if (info === 25) { offset += 2; return bytes.readUInt16BE(offset - 2); }
+        if (info === 26) { offset += 4; return bytes.readUInt32BE(offset - 4); }
+        if (info === 27) { offset += 8; return Number(bytes.readBigUInt64BE(offset - 8)); }
+        if (info === 31) return -1;
+        throw new Error('Invalid CBOR length');
+    };
+
+    const readItem = (depth = 0) => {
+        if (depth > 32) throw new Error('CBOR nested too deeply');
+        const initial = bytes.readUInt8(offset++);
+        const major = initial >> 5;
+        const info = initial & 0x1f;
+
+        if (major === 7) {
+            if (info === 20) return false;
+            if (info === 21) return true;
+            if (info === 22 || info === 23) return null;
+            if (info === 25) { offset += 2; return bytes.readUInt16BE(offset - 2); } // half floats are not needed here
+            if (info === 26) { offset += 4; return bytes.readFloatBE(offset - 4); }
+            if (info === 27) { offset += 8; return bytes.readDoubleBE(offset - 8); }
+            if (info === 31) return BREAK;
+            return null;
+        }
+
+        const length = readLength(info);
+        switch (major) {
+            case 0: return length;
+            case 1: return -1 - length;
+            case 2:
+            case 3: {
+                if (length === -1) {
+                    const parts = [];
+                    for (let part = readItem(depth + 1); part !== BREAK; part = readItem(depth + 1)) parts.push(part);
+                    return major === 3 ? parts.join('') : Buffer.concat(parts);
+                }
+                if (offset + length > bytes.length) throw new Error('CBOR string overruns the buffer');
+                const value = bytes.subarray(offset, offset + length);
+                offset += length;
+                return major === 3 ? value.toString('utf8') : value;
+            }
+            case 4: {
+                const items = [];
+                for (let i = 0; length === -1 || i < length; i++) {
+                    const item = readItem(depth + 1);
+                    if (item === BREAK) break;
+                    items.push(item);
+                }
+                return items;
+            }
+            case 5: {
+                const map = {};
+                for (let i = 0; length === -1 || i < length; i++) {
+                    const key = readItem(depth + 1);
+                    if (key === BREAK) break;
+                    map[String(key)] = readItem(depth + 1);
+                }
+                return map;
+            }
+            case 6: return readItem(depth + 1);
+            default: throw new Error('Invalid CBOR major type');
+        }
+    };
+
+    return readItem();
+}
+
+// === C2PA (JUMBF) ===
+
+// Splits a byte range into ISO BMFF-style boxes: 4-byte length, 4-byte type, payload
+function readBoxes(bytes, start = 0, end = bytes.length) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = bytes.readUInt32BE(offset);
+        const type = bytes.toString('latin1', offset + 4, offset + 8);
+        let header = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(bytes.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type, start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+}
+
+// A JUMBF superbox: its description box carries the label, the remaining boxes are its content
+function readSuperbox(bytes, box) {
+    const [description, ...children] = readBoxes(bytes, box.start, box.end);
+    if (description?.type !== 'jumd') return null;
+
+    const toggles = bytes.readUInt8(description.start + 16);
+    let label = null;
+    if (toggles & 0x02) {
+        const labelStart = description.start + 17;
+        const labelEnd = bytes.indexOf(0, labelStart);
+        label = bytes.toString('utf8', labelStart, labelEnd === -1 || labelEnd > description.end ? description.end : labelEnd);
+    }
+    return { label, children };
+}
+
+const findChild = (bytes, children, label) =>
+    children.filter((child) => child.type === 'jumb').map((child) => readSuperbox(bytes, child)).find((box) => box?.label === label) || null;
+
+function readCborContent(bytes, superbox) {
+    const content = superbox?.children.find((child) => child.type === 'cbor');
+    return content ? decodeCbor(bytes.subarray(content.start, content.end)) : null;
+}
+
+const agentName = (agent) => (typeof agent === 'string' ? agent : agent?.name || null);
+
+function readManifest(bytes, manifestBox) {
+    const claim = readCborContent(bytes, findChild(bytes, manifestBox.children, 'c2pa.claim.v2') || findChild(bytes, manifestBox.children, 'c2pa.claim'));
+    const assertionStore = findChild(bytes, manifestBox.children, 'c2pa.assertions');
+
+    const actions = [];
+    for (const child of assertionStore?.children || []) {
+        if (child.type !== 'jumb') continue;
+        const assertion = readSuperbox(bytes, child);
+        if (!assertion?.label?.startsWith('c2pa.actions')) continue;
+        for (const action of readCborContent(bytes, assertion)?.actions || []) {
+            actions.push({
+                action: action.action,
+                softwareAgent: agentName(action.softwareAgent),
+                digitalSourceType: action.digitalSourceType || null,
+            });
+        }
+    }
+
+    const generatorInfo = Array.isArray(claim?.claim_generator_info) ? claim.claim_generator_info[0] : claim?.claim_generator_info;
+    return {
+        label: manifestBox.label,
+        title: claim?.['dc:title'] || null,
+        claimGenerator: claim?.claim_generator || [generatorInfo?.name, generatorInfo?.version].filter(Boolean).join(' ') || null,
+        actions,
+        signed: Boolean(findChild(bytes, manifestBox.children, 'c2pa.signature')),
+    };
+}
+
+/**
+ * Reads a C2PA manifest store. The active manifest is the last one in the store.
+ * Signatures are only detected, not verified: that needs the COSE signature and a trust list.
+ */
+function parseC2pa(jumbf) {
+    const [storeBox] = readBoxes(jumbf);
+    if (storeBox?.type !== 'jumb') return null;
+    const store = readSuperbox(jumbf, storeBox);
+    if (store?.label !== 'c2pa') return null;
+
+    const manifests = store.children
+        .filter((child) => child.type === 'jumb')
+        .map((child) => readSuperbox(jumbf, child))
+        .filter(Boolean)
+        .map((manifest) => readManifest(jumbf, manifest));
+    if (manifests.length === 0) return null;
+
+    const active = manifests[manifests.length - 1];
+    return {
+        manifestCount: manifests.length,
+        activeManifest: active.label,
+        claimGenerator: active.claimGenerator,
+        title: active.title,
+        actions: active.actions,
+        signed: active.signed,
+        signatureVerified: false,
+    };
+}
+
+// === Containers ===
+
+function readJpegSegments(bytes) {
+    const found = { exif: null, xmp: null, jumbf: [] };
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xd9 || marker === 0xda) break; // end of image, start of scan
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+        const length = bytes.readUInt16BE(offset + 2);
+        const start = offset + 4;
+        const end = Math.min(offset + 2 + length, bytes.length);
+        const segment = bytes.subarray(start, end);
+
+        if (marker === 0xe1 && segment.toString('latin1', 0, 6) === EXIF_HEADER) {
+            found.exif ||= segment.subarray(6);
+        } else if (marker === 0xe1 && segment.toString('latin1', 0, XMP_HEADER.length) === XMP_HEADER) {
+            found.xmp ||= segment.toString('utf8', XMP_HEADER.length);
+        } else if (marker === 0xeb && segment.toString('latin1', 0, 2) === 'JP') {
+            // APP11 carries JUMBF split across segments; each repeats the 8-byte box header after the first
+            const sequence = segment.readUInt32BE(4);
+            found.jumbf.push({ sequence, data: segment.subarray(sequence === 1 ? 8 : 16) });
+        }
+        offset += 2 + length;
+    }
+
+    const jumbf = found.jumbf.length
+        ? Buffer.concat(found.jumbf.sort((a, b) => a.sequence - b.sequence).map((part) => part.data))
+        : null;
+    return { exif: found.exif, xmp: found.xmp, jumbf, text: {} };
+}
+
+function readPngChunks(bytes) {
+    const found = { exif: null, xmp: null, jumbf: null, text: {} };
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const length = bytes.readUInt32BE(offset);
+        const type = bytes.toString('latin1', offset + 4, offset + 8);
+        const data = bytes.subarray(offset + 8, Math.min(offset + 8 + length, bytes.length));
+        if (type === 'IEND') break;
+
+        if (type === 'eXIf') {
+            found.exif = data;
+        } else if (type === 'caBX') {
+            found.jumbf = data;
+        } else if (type === 'tEXt' || type === 'iTXt') {
+            const separator = data.indexOf(0);
+            const keyword = data.toString('latin1', 0, separator);
+            // iTXt: compression flag, method, language tag and translated keyword precede the text
+            let text;
+            if (type === 'iTXt') {
+                const compressed = data[separator + 1] === 1;
+                const languageEnd = data.indexOf(0, separator + 3);
+                const translatedEnd = data.indexOf(0, languageEnd + 1);
+                text = compressed ? null : data.toString('utf8', translatedEnd + 1);
+            } else {
+                text = data.toString('latin1', separator + 1);
+            }
+            if (keyword === 'XML:com.adobe.xmp') {
+                found.xmp = text;
+            } else if (text) {
+                found.text[keyword.toLowerCase()] = text.slice(0, 500);
+            }
+        }
+        offset += 12 + length;
+    }
+    return found;
+}
+
+function readWebpChunks(bytes) {
+    const found = { exif: null, xmp: null, jumbf: null, text: {} };
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const type = bytes.toString('latin1', offset, offset + 4);
+        const length = bytes.readUInt32LE(offset + 4);
+        const data = bytes.subarray(offset + 8, Math.min(offset + 8 + length, bytes.length));
+
+        if (type === 'EXIF') {
+            found.exif = data.toString('latin1', 0, 6) === EXIF_HEADER ? data.subarray(6) : data;
+        } else if (type === 'XMP ') {
+            found.xmp = data.toString('utf8');
+        } else if (type === 'C2PA') {
+            found.jumbf = data;
+        }
+        offset += 8 + length + (length % 2);
+    }
+    return found;
+}
+
+/**
+ * Detects the image format from its signature bytes.
+ * @param {Buffer} bytes
+ * @returns {'jpeg' | 'png' | 'webp' | 'gif' | 'bmp' | null}
+ */
+export function detectImageFormat(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) return 'jpeg';
+    if (bytes.toString('latin1', 1, 4) === 'PNG') return 'png';
+    if (bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    if (bytes.toString('latin1', 0, 3) === 'GIF') return 'gif';
+    if (bytes.toString('latin1', 0, 2) === 'BM') return 'bmp';
+    return null;
+}
+
+// JPEG start-of-frame markers (baseline, progressive, lossless, arithmetic); C4, C8 and CC are not frames
+const JPEG_FRAME_MARKERS = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+
+function readJpegSize(bytes) {
+    let offset = 2;
+    while (offset + 9 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (JPEG_FRAME_MARKERS.has(marker)) {
+            return { width: bytes.readUInt16BE(offset + 7), height: bytes.readUInt16BE(offset + 5) };
+        }
+        if (marker === 0xd9 || marker === 0xda) break;
+        offset += 2 + bytes.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+function readWebpSize(bytes) {
+    const chunk = bytes.toString('latin1', 12, 16);
+    if (chunk === 'VP8X') {
+        return { width: bytes.readUIntLE(24, 3) + 1, height: bytes.readUIntLE(27, 3) + 1 };
+    }
+    if (chunk === 'VP8 ') {
+        return { width: bytes.readUInt16LE(26) & 0x3fff, height: bytes.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = bytes.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return null;
+}
+
+const SIZE_READERS = {
+    jpeg: readJpegSize,
+    png: (bytes) => ({ width: bytes.readUInt32BE(16), height: bytes.readUInt32BE(20) }),
+    webp: readWebpSize,
+    gif: (bytes) => ({ width: bytes.readUInt16LE(6), height: bytes.readUInt16LE(8) }),
+    bmp: (bytes) => ({ width: Math.abs(bytes.readInt32LE(18)), height: Math.abs(bytes.readInt32LE(22)) }),
+};
+
+/**
+ * Reads the pixel dimensions from the image header without decoding it.
+ * @param {Buffer} bytes - The raw image file.
+ * @returns {{ width: number, height: number } | null} Null for unknown formats or truncated headers.
+ */
+export function readImageSize(bytes) {
+    const reader = SIZE_READERS[detectImageFormat(bytes)];
+    const size = reader ? safely(reader, bytes) : null;
+    return size?.width > 0 && size?.height > 0 ? size : null;
+}
+
+const READERS = { jpeg: readJpegSegments, png: readPngChunks, webp: readWebpChunks };
+
+// Each part is parsed on its own so one corrupt block does not hide the others
+function safely(parse, input) {
+    if (!input) return null;
+    try {
+        return parse(input);
+    } catch (error) {
+        console.warn(`[Image Metadata] Skipping unreadable block: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Reads EXIF, XMP, generator text chunks and C2PA content credentials from an image.
+ * @param {Buffer} bytes - The raw image file.
+ * @returns {{
+ *   format: string | null, exif: object | null, xmp: object | null, c2pa: object | null,
+ *   generatorText: string[], aiSourceType: string | null
+ * }}
+ */
+export function readImageMetadata(bytes) {
+    const format = detectImageFormat(bytes);
+    const blocks = READERS[format] ? safely(READERS[format], bytes) : null;
+
+    const exif = safely(parseExif, blocks?.exif);
+    const xmp = safely(parseXmp, blocks?.xmp);
+    const c2pa = safely(parseC2pa, blocks?.jumbf);
+    const generatorText = Object.keys(blocks?.text || {}).filter((keyword) => GENERATOR_TEXT_KEYWORDS.has(keyword)
+        && (keyword !== 'comment' || /steps:|sampler|seed/i.test(blocks.text[keyword])));
+
+    const sourceTypes = [xmp?.digitalSourceType, ...(c2pa?.actions || []).map((action) => action.digitalSourceType)].filter(Boolean);
+    const aiSourceType = sourceTypes.find((type) => AI_SOURCE_TYPES.some((aiType) => type.endsWith(`/${aiType}`) || type === aiType)) || null;
+
+    return { format, exif, xmp, c2pa, generatorText, aiSourceType };
+}
@@ -0,0 +1,192 @@
+// app/api/analyze/input-validation.js
+// Validation pipeline for text entering the analysis. Each stage cleans one kind of problem
+// and reports what it changed; none of them judges the words themselves, so ordinary news
+// text is never refused. Stages run in order: encoding, markup, normalize, invisible,
+// homoglyphs, size.
+import { JSDOM } from 'jsdom';
+import createDOMPurify from 'dompurify';
+
+// Initialize DOMPurify for robust HTML sanitization
+const window = new JSDOM('').window;
+const DOMPurify = createDOMPurify(window);
+
+// Settings, overridable per deployment
+const MAX_LENGTH = Number(process.env.INPUT_MAX_LENGTH) || 50000;
+// NFC keeps the text as written; NFKC also folds compatibility forms (full-width letters, ligatures)
+const UNICODE_FORM = ['NFC', 'NFKC', 'off'].includes(process.env.INPUT_UNICODE_FORM) ? process.env.INPUT_UNICODE_FORM : 'NFC';
+// 'report' lists mixed-script words, 'normalize' also rewrites them in Latin letters
+const HOMOGLYPH_MODE = ['report', 'normalize', 'off'].includes(process.env.INPUT_HOMOGLYPHS) ? process.env.INPUT_HOMOGLYPHS : 'report';
+const REPAIR_MOJIBAKE = process.env.INPUT_REPAIR_MOJIBAKE !== 'false';
+// Text with a larger share of undecodable characters is binary data or a broken upload, not prose
+const MAX_UNDECODABLE_RATIO = Number(process.env.INPUT_MAX_UNDECODABLE_RATIO) || 0.1;
+const MAX_REPORTED_WORDS = 10;
+
+// === Encoding ===
+
+// Windows-1252 characters in 0x80-0x9F, as they appear when UTF-8 bytes are decoded as Windows-1252
+const CP1252_BYTES = new Map([
+    ['€', 0x80], ['‚', 0x82], ['ƒ', 0x83], ['„', 0x84], ['…', 0x85], ['†', 0x86], ['‡', 0x87], ['ˆ', 0x88],
+    ['‰', 0x89], ['Š', 0x8a], ['‹', 0x8b], ['Œ', 0x8c], ['Ž', 0x8e], ['‘', 0x91], ['’', 0x92], ['“', 0x93],
+    ['”', 0x94], ['•', 0x95], ['–', 0x96], ['—', 0x97], ['˜', 0x98], ['™', 0x99], ['š', 0x9a], ['›', 0x9b],
+    ['œ', 0x9c], ['ž', 0x9e], ['Ÿ', 0x9f],
+]);
+const CONTINUATION = `[\\u0080-\\u00BF${[...CP1252_BYTES.keys()].join('')}]`;
+// A UTF-8 lead byte (Â-ô) followed by the continuation bytes it needs, all decoded as single characters
+const MOJIBAKE = new RegExp(`[\\u00C2-\\u00DF]${CONTINUATION}|[\\u00E0-\\u00EF]${CONTINUATION}{2}|[\\u00F0-\\u00F4]${CONTINUATION}{3}`, 'g');
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+
+function repairMojibake(sequence) {
+    const bytes = [...sequence].map((char) => CP1252_BYTES.get(char) ?? char.charCodeAt(0));
+    try {
+        return strictUtf8.decode(Uint8Array.from(bytes));
+    } catch {
+        return sequence;
+    }
+}
+
+// Lone surrogates, replacement characters from an earlier failed decode, and C0 controls other than whitespace
+const UNDECODABLE = /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]|\uFFFD|[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+function checkEncoding(text) {
+    const undecodable = text.match(UNDECODABLE)?.length ?? 0;
+    if (text.length > 0 && undecodable / text.length > MAX_UNDECODABLE_RATIO) {
+        throw new Error('Text content is not readable text. It may be binary data or use an unsupported encoding.');
+    }
+
+    let mojibakeRepaired = 0;
+    const repaired = REPAIR_MOJIBAKE
+        ? text.replace(MOJIBAKE, (sequence) => {
+            const fixed = repairMojibake(sequence);
+            if (fixed !== sequence) mojibakeRepaired++;
+            return fixed;
+        })
+        : text;
+    // Unpaired surrogates cannot be encoded, so they become replacement characters
+    const wellFormed = repaired.toWellFormed ? repaired.toWellFormed() : repaired;
+
+    return { text: wellFormed, details: { undecodable, mojibakeRepaired } };
+}
+
+// === Markup ===
+
+const TAG = /<\/?[a-z][^>]*>/gi;
+
+function stripMarkup(text) {
+    const sanitized = DOMPurify.sanitize(text, { USE_PROFILES: { html: false } });
+    return { text: sanitized, details: { removedTags: text.match(TAG)?.length ?? 0 } };
+}
+
+// === Unicode Normalization ===
+
+function normalizeUnicode(text) {
+    if (UNICODE_FORM === 'off') return { text, details: { form: null } };
+    return { text: text.normalize(UNICODE_FORM), details: { form: UNICODE_FORM } };
+}
+
+// === Invisible Characters ===
+
+const CONTROLS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g;
+const ZERO_WIDTH = /[\u00AD\u180E\u200B\u2060-\u2064\uFEFF]/g;
+// Joiners are part of emoji sequences and of Persian and Indic spelling; only those between ASCII or at word edges are stripped
+const STRAY_JOINERS = /[\u200C\u200D](?![^\x00-\x7F])|(?<![^\x00-\x7F])[\u200C\u200D]/g;
+// Embeddings, overrides and isolates can reorder how text displays; the LRM and RLM marks used in right-to-left text are kept
+const BIDI_CONTROLS = /[\u202A-\u202E\u2066-\u2069]/g;
+
+function stripInvisible(text) {
+    const details = { controls: 0, zeroWidth: 0, bidi: 0 };
+    const strip = (input, pattern, key) => input.replace(pattern, () => {
+        details[key]++;
+        return '';
+    });
+
+    let result = text.replace(/\r\n?/g, '\n');
+    result = strip(result, CONTROLS, 'controls');
+    result = strip(result, ZERO_WIDTH, 'zeroWidth');
+    result = strip(result, STRAY_JOINERS, 'zeroWidth');
+    result = strip(result, BIDI_CONTROLS, 'bidi');
+    return { text: result, details };
+}
+
+// === Homoglyphs ===
+
+// Cyrillic and Greek letters that look like Latin ones
+const CONFUSABLES = new Map(Object.entries({
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x',
+    'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'ү': 'y', 'һ': 'h',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C', 'Т': 'T', 'У': 'Y', 'Х': 'X',
+    'І': 'I', 'Ј': 'J', 'Ѕ': 'S',
+    'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p', 'τ': 't', 'υ': 'u', 'χ': 'x',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X',
+}));
+const WORD = /[\p{L}\p{M}]+/gu;
+const LATIN = /\p{Script=Latin}/u;
+const LOOKALIKE_SCRIPT = /[\p{Script=Cyrillic}\p{Script=Greek}]/u;
+
+const toLatin = (word) => [...word].map((char) => CONFUSABLES.get(char) ?? char).join('');
+
+// Words mixing Latin with Cyrillic or Greek letters, e.g. "pаypal" with a Cyrillic "а", are spoofed;
+// whole words in one script are left alone, so Russian and Greek text is unaffected
+function detectHomoglyphs(text) {
+    if (HOMOGLYPH_MODE === 'off') return { text, details: { mode: 'off', count: 0, words: [] } };
+
+    const words = [];
+    const result = text.replace(WORD, (word) => {
+        if (!LATIN.test(word) || !LOOKALIKE_SCRIPT.test(word)) return word;
+        const latin = toLatin(word);
+        words.push({ word, latin });
+        // Only rewrite when every letter has a Latin lookalike, so the result is a plain Latin word
+        return HOMOGLYPH_MODE === 'normalize' && !LOOKALIKE_SCRIPT.test(latin) ? latin : word;
+    });
+
+    return {
+        text: result,
+        details: { mode: HOMOGLYPH_MODE, count: words.length, words: words.slice(0, MAX_REPORTED_WORDS) },
+    };
+}
+
+// === Size ===
+
+function checkSize(text, maxLength) {
+    const trimmed = text.trim();
+    if (trimmed.length > maxLength) {
+        throw new Error(`Text content too large (maximum ${maxLength} characters allowed)`);
+    }
+    return { text: trimmed, details: { length: trimmed.length, maxLength } };
+}
+
+// === Pipeline ===
+
+const STAGES = [
+    ['encoding', checkEncoding],
+    ['markup', stripMarkup],
+    ['normalize', normalizeUnicode],
+    ['invisible', stripInvisible],
+    ['homoglyphs', detectHomoglyphs],
+    ['size', (text, options) => checkSize(text, options.maxLength ?? MAX_LENGTH)],
+];
+
+/**
+ * Runs text through the validation stages. Only undecodable input and oversized text are refused.
+ * @param {string} text - The raw input text.
+ * @param {object} [options]
+ * @param {number} [options.maxLength] - Overrides INPUT_MAX_LENGTH.
+ * @returns {{
+ *   text: string,
+ *   report: { changed: boolean, stages: { stage: string, changed: boolean, [detail: string]: unknown }[] }
+ * }} The cleaned text, and for each stage whether it changed the text and what it found.
+ */
+export function validateInput(text, options = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('Input must be a string');
+    }
+
+    const stages = [];
+    let current = text;
+    for (const [stage, run] of STAGES) {
+        const { text: next, details } = run(current, options);
+        stages.push({ stage, changed: next !== current, ...details });
+        current = next;
+    }
+
+    return { text: current, report: { changed: stages.some((stage) => stage.changed), stages } };
+}
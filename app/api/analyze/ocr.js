@@ -0,0 +1,167 @@
+// app/api/analyze/ocr.js
+// OCR engines for photo mode and scanned documents, selected through the `ocr` model slot
+// (OCR_PROVIDER, OCR_MODEL, OCR_ENDPOINT, OCR_API_KEY). `gemini` sends the image to Gemini
+// vision; `tesseract` runs Tesseract in-process through tesseract.js, so images never leave
+// the server. Both return the text with one entry per line, each with a bounding box
+// normalized to the image size (0-1) and, where the engine reports it, a confidence (0-1).
+import { tmpdir } from 'os';
+import { getModelConfig, safeFetchWithRetry } from '../detection/providers.js';
+import { isReplayingFixtures } from '../detection/model-fixtures.js';
+import { readImageSize } from './image-metadata.js';
+
+const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const NO_TEXT_FOUND = 'NO_TEXT_FOUND';
+
+// Settings, overridable per deployment
+// Folder holding <lang>.traineddata(.gz); without it tesseract.js downloads language data on first use
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH;
+// Tesseract lines below this confidence are mostly noise from textures and photo backgrounds
+const OCR_MIN_CONFIDENCE = Number(process.env.OCR_MIN_CONFIDENCE) || 0.5;
+
+const decodeDataUrl = (imageData) => ({
+    // Photos arrive as JPEG; rendered document pages are PNG
+    mimeType: /^data:(image\/[\w.+-]+);/.exec(imageData)?.[1] || 'image/jpeg',
+    base64: imageData.split('base64,')[1] || '',
+});
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// === Gemini Vision ===
+
+const GEMINI_PROMPT = `
+Transcribe the text in this image, line by line, in reading order.
+Reply with JSON only, in this format: {"lines": [{"text": "...", "box_2d": [ymin, xmin, ymax, xmax]}]}
+"box_2d" is the line's bounding box, with coordinates normalized to 0-1000.
+If no text is found, reply with the exact phrase "${NO_TEXT_FOUND}".
+`;
+
+// Gemini boxes are [ymin, xmin, ymax, xmax] on a 0-1000 grid
+const fromGeminiBox = (box) => {
+    if (!Array.isArray(box) || box.length !== 4 || !box.every(Number.isFinite)) return null;
+    const [ymin, xmin, ymax, xmax] = box.map((value) => Math.min(1, Math.max(0, value / 1000)));
+    return { x: round(xmin), y: round(ymin), width: round(xmax - xmin), height: round(ymax - ymin) };
+};
+
+const gemini = {
+    async recognize(config, imageData, { signal } = {}) {
+        const key = config.apiKey || process.env.LLM_API_KEY;
+        if (!key && !config.endpoint && !isReplayingFixtures()) {
+            throw new Error('Missing LLM_API_KEY in environment variables.');
+        }
+
+        const { mimeType, base64 } = decodeDataUrl(imageData);
+        const result = await safeFetchWithRetry(config.endpoint || `${GEMINI_BASE}/${config.model}:generateContent`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(key && { 'x-goog-api-key': key }),
+            },
+            body: JSON.stringify({
+                contents: [{ parts: [{ text: GEMINI_PROMPT }, { inlineData: { mimeType, data: base64 } }] }],
+            }),
+            signal,
+        });
+
+        const reply = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+        if (typeof reply !== 'string') {
+            throw new Error('Invalid response from the Gemini API.');
+        }
+        if (reply.trim() === NO_TEXT_FOUND) {
+            return { lines: [] };
+        }
+
+        // A reply that is not the requested JSON is still a usable transcription, just without boxes
+        try {
+            const parsed = JSON.parse(reply.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            return {
+                lines: (parsed.lines || [])
+                    .filter((line) => typeof line?.text === 'string' && line.text.trim())
+                    .map((line) => ({ text: line.text.trim(), confidence: null, box: fromGeminiBox(line.box_2d) })),
+            };
+        } catch {
+            return {
+                lines: reply.split('\n').map((line) => line.trim()).filter(Boolean)
+                    .map((text) => ({ text, confidence: null, box: null })),
+            };
+        }
+    },
+};
+
+// === Tesseract (in-process) ===
+// Workers are created lazily per language list and kept for the lifetime of the server process.
+const tesseractWorkers = new Map();
+
+async function getTesseractWorker(languages) {
+    if (!tesseractWorkers.has(languages)) {
+        const loading = import('tesseract.js').then(({ createWorker }) => createWorker(languages.split('+'), 1, {
+            ...(OCR_LANG_PATH && { langPath: OCR_LANG_PATH }),
+            cachePath: tmpdir(),
+        }));
+        // Drop failed loads so the next request can retry
+        loading.catch(() => tesseractWorkers.delete(languages));
+        tesseractWorkers.set(languages, loading);
+    }
+    return await tesseractWorkers.get(languages);
+}
+
+const tesseract = {
+    async recognize(config, imageData, { signal } = {}) {
+        const bytes = Buffer.from(decodeDataUrl(imageData).base64, 'base64');
+        const size = readImageSize(bytes);
+        const worker = await getTesseractWorker(config.model);
+        // A running recognition cannot be interrupted, so the signal is only checked around it
+        signal?.throwIfAborted();
+        const { data } = await worker.recognize(bytes, {}, { text: true, blocks: true });
+        signal?.throwIfAborted();
+
+        const lines = (data.blocks || [])
+            .flatMap((block) => block.paragraphs)
+            .flatMap((paragraph) => paragraph.lines)
+            .map((line) => ({
+                text: line.text.trim(),
+                confidence: round(line.confidence / 100),
+                box: size && {
+                    x: round(line.bbox.x0 / size.width),
+                    y: round(line.bbox.y0 / size.height),
+                    width: round((line.bbox.x1 - line.bbox.x0) / size.width),
+                    height: round((line.bbox.y1 - line.bbox.y0) / size.height),
+                },
+            }))
+            .filter((line) => line.text && line.confidence >= OCR_MIN_CONFIDENCE);
+
+        return { lines };
+    },
+};
+
+const ENGINES = { gemini, tesseract };
+
+// === Public API ===
+
+/**
+ * Reads the text in an image with the configured OCR engine.
+ * An image without (confident) text yields an empty `text`, whichever engine ran.
+ * @param {string} imageData - The image as a base64 data URL.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request (gemini) or discards the result (tesseract).
+ * @returns {Promise<{
+ *   engine: string, model: string, text: string, confidence: number | null,
+ *   lines: { text: string, confidence: number | null, box: { x: number, y: number, width: number, height: number } | null }[]
+ * }>}
+ */
+export async function recognizeText(imageData, { signal } = {}) {
+    const config = getModelConfig('ocr');
+    const engine = ENGINES[config.provider];
+    if (!engine) {
+        throw new Error(`Unknown provider "${config.provider}" for the ocr model slot.`);
+    }
+
+    const { lines } = await engine.recognize(config, imageData, { signal });
+    const scored = lines.filter((line) => line.confidence != null);
+    return {
+        engine: config.provider,
+        model: config.model,
+        text: lines.map((line) => line.text).join('\n'),
+        confidence: scored.length ? round(scored.reduce((sum, line) => sum + line.confidence, 0) / scored.length) : null,
+        lines,
+    };
+}
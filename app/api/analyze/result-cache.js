@@ -0,0 +1,171 @@
+// app/api/analyze/result-cache.js
+// Caches finished analyses by normalized URL and by a hash of the sanitized text,
+// so repeated requests for the same article skip extraction and every model call.
+import { createHash } from 'crypto';
+import { Redis } from '@upstash/redis';
+
+// Bump when the pipeline output changes shape so stale entries are ignored
+const CACHE_VERSION = 13;
+
+// TTL constants
+const URL_TTL_SECONDS = Number(process.env.RESULT_CACHE_URL_TTL_SECONDS) || 60 * 60; // 1 hour
+const TEXT_TTL_SECONDS = Number(process.env.RESULT_CACHE_TEXT_TTL_SECONDS) || 24 * 60 * 60; // 1 day
+const MEMORY_MAX_ENTRIES = Number(process.env.RESULT_CACHE_MAX_ENTRIES) || 200;
+
+// Query parameters that never change the article being served
+const TRACKING_PARAMS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^mc_(cid|eid)$/i, /^ref$/i, /^igshid$/i];
+
+// === Stores ===
+// Both stores expose get(key) and set(key, value, ttlSeconds).
+
+function createMemoryStore(maxEntries) {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            // Re-insert to mark as most recently used
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, ttlSeconds) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+    };
+}
+
+function createRedisStore() {
+    const redis = new Redis({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    });
+
+    return {
+        async get(key) {
+            return await redis.get(key);
+        },
+
+        async set(key, value, ttlSeconds) {
+            await redis.set(key, value, { ex: ttlSeconds });
+        },
+    };
+}
+
+// RESULT_CACHE_STORE may be 'memory', 'redis' or 'off'. Without it, Redis is used when Upstash is configured.
+function createStore() {
+    const hasRedis = Boolean(process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN);
+    const kind = process.env.RESULT_CACHE_STORE || (hasRedis ? 'redis' : 'memory');
+
+    switch (kind) {
+        case 'off':
+            return null;
+        case 'redis':
+            if (!hasRedis) {
+                console.warn('[Result Cache] RESULT_CACHE_STORE=redis but Upstash is not configured; using memory.');
+                return createMemoryStore(MEMORY_MAX_ENTRIES);
+            }
+            return createRedisStore();
+        default:
+            return createMemoryStore(MEMORY_MAX_ENTRIES);
+    }
+}
+
+const store = createStore();
+
+// === Keys ===
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Normalizes a URL so trivially different links to the same article share a cache entry.
+ * @param {string} url - A validated http(s) URL.
+ * @returns {string}
+ */
+export function normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([name]) => !TRACKING_PARAMS.some((pattern) => pattern.test(name)))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    return parsed.toString();
+}
+
+/**
+ * Hashes sanitized text with whitespace collapsed.
+ * @param {string} text - The sanitized article text.
+ * @returns {string}
+ */
+export function hashText(text) {
+    return sha256(text.replace(/\s+/g, ' ').trim());
+}
+
+const urlKey = (url) => `analysis-cache:v${CACHE_VERSION}:url:${sha256(normalizeUrl(url))}`;
+const textKey = (text) => `analysis-cache:v${CACHE_VERSION}:text:${hashText(text)}`;
+
+// === Public API ===
+
+/**
+ * Looks up a cached analysis by URL first, then by text.
+ * Cache failures are logged and treated as misses.
+ * @param {{ url?: string, text?: string }} lookup
+ * @returns {Promise<{ result: object, cachedAt: string, matchedOn: 'url' | 'text' } | null>}
+ */
+export async function getCachedResult({ url, text }) {
+    if (!store) return null;
+
+    try {
+        const candidates = [
+            ...(url ? [['url', urlKey(url)]] : []),
+            ...(text ? [['text', textKey(text)]] : []),
+        ];
+
+        for (const [matchedOn, key] of candidates) {
+            const entry = await store.get(key);
+            if (entry) {
+                return { result: entry.result, cachedAt: entry.cachedAt, matchedOn };
+            }
+        }
+    } catch (error) {
+        console.error(`[Result Cache Error] ${error.message}`);
+    }
+
+    return null;
+}
+
+/**
+ * Stores an analysis under its URL and text keys.
+ * @param {{ url?: string, text?: string }} lookup
+ * @param {object} result - The combined detection results.
+ */
+export async function setCachedResult({ url, text }, result) {
+    if (!store) return;
+
+    const entry = { result, cachedAt: new Date().toISOString() };
+
+    try {
+        await Promise.all([
+            url && store.set(urlKey(url), entry, URL_TTL_SECONDS),
+            text && store.set(textKey(text), entry, TEXT_TTL_SECONDS),
+        ]);
+    } catch (error) {
+        console.error(`[Result Cache Error] ${error.message}`);
+    }
+}
@@ -0,0 +1,271 @@
+// app/api/analyze/safe-fetcher.js
+// Fetches untrusted URLs without exposing internal services (SSRF).
+// Every hop resolves DNS itself, rejects any non-public address and pins the
+// connection to the validated IP so a second lookup cannot be rebound elsewhere.
+import http from 'http';
+import https from 'https';
+import { lookup } from 'dns/promises';
+import zlib from 'zlib';
+import ipaddr from 'ipaddr.js';
+
+// Limits, overridable per deployment
+const CONNECT_TIMEOUT_MS = Number(process.env.FETCH_CONNECT_TIMEOUT_MS) || 5000;
+const READ_TIMEOUT_MS = Number(process.env.FETCH_READ_TIMEOUT_MS) || 10000;
+const MAX_BYTES = Number(process.env.FETCH_MAX_BYTES) || 5 * 1024 * 1024; // 5MB
+const MAX_REDIRECTS = Number(process.env.FETCH_MAX_REDIRECTS) || 5;
+
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// HTTP status returned to the client for each fetch failure
+export const FETCH_ERROR_STATUS = {
+    dns_resolution_failed: 422,
+    address_not_allowed: 400,
+    redirect_not_allowed: 400,
+    too_many_redirects: 422,
+    connect_timeout: 504,
+    read_timeout: 504,
+    response_too_large: 413,
+    unsupported_content_type: 415,
+    upstream_http_error: 502,
+};
+
+const fetchError = (code, message, details) => Object.assign(new Error(message), { code, details });
+
+// === Address Validation ===
+
+/**
+ * Checks that an IP address is globally routable unicast. IPv4-mapped IPv6 addresses
+ * are unwrapped first, and tunnelling ranges (6to4, Teredo, NAT64) are rejected
+ * because they can embed private IPv4 addresses.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+export function isPublicAddress(address) {
+    try {
+        return ipaddr.process(address).range() === 'unicast';
+    } catch {
+        return false;
+    }
+}
+
+// Resolves every address for the host; one private answer is enough to reject it
+async function resolvePublicAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+
+    if (ipaddr.isValid(host)) {
+        if (!isPublicAddress(host)) {
+            throw fetchError('address_not_allowed', 'Access to private/local URLs is not allowed.', { host });
+        }
+        return { address: host, family: ipaddr.parse(host).kind() === 'ipv6' ? 6 : 4 };
+    }
+
+    let addresses;
+    try {
+        addresses = await lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        throw fetchError('dns_resolution_failed', `Failed to fetch content: could not resolve ${host}.`, { host, reason: error.code });
+    }
+
+    if (addresses.length === 0) {
+        throw fetchError('dns_resolution_failed', `Failed to fetch content: could not resolve ${host}.`, { host });
+    }
+    if (!addresses.every(({ address }) => isPublicAddress(address))) {
+        throw fetchError('address_not_allowed', 'Access to private/local URLs is not allowed.', { host });
+    }
+
+    return addresses[0];
+}
+
+// === Single Request ===
+
+const decompress = (response) => {
+    switch ((response.headers['content-encoding'] || '').trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return response.pipe(zlib.createGunzip());
+        case 'deflate':
+            return response.pipe(zlib.createInflate());
+        case 'br':
+            return response.pipe(zlib.createBrotliDecompress());
+        default:
+            return response;
+    }
+};
+
+// Reads the body, counting decompressed bytes so compressed payloads cannot exceed the cap
+function readBody(request, response, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const declaredLength = Number(response.headers['content-length']);
+        if (declaredLength > maxBytes) {
+            response.destroy();
+            reject(fetchError('response_too_large', `Failed to fetch content: the page exceeds ${maxBytes} bytes.`, { maxBytes }));
+            return;
+        }
+
+        const stream = decompress(response);
+        const chunks = [];
+        let received = 0;
+
+        stream.on('data', (chunk) => {
+            received += chunk.length;
+            if (received > maxBytes) {
+                response.destroy();
+                stream.destroy();
+                reject(fetchError('response_too_large', `Failed to fetch content: the page exceeds ${maxBytes} bytes.`, { maxBytes }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        // A timeout that fires mid-body destroys the socket; report the timeout rather than the reset
+        const onError = (error) => reject(request.fetchError || error);
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', onError);
+        response.on('error', onError);
+        response.on('aborted', () => onError(new Error('Failed to fetch content: the connection was closed early.')));
+    });
+}
+
+function decodeBody(buffer, contentType) {
+    const charset = /charset=["']?([\w-]+)/i.exec(contentType)?.[1] || 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(buffer);
+    } catch {
+        return new TextDecoder('utf-8').decode(buffer);
+    }
+}
+
+// Performs one request against a pinned address and resolves with the raw response
+function requestOnce(url, { address, family }, { signal, connectTimeoutMs, readTimeoutMs, accept }) {
+    return new Promise((resolve, reject) => {
+        const client = url.protocol === 'https:' ? https : http;
+        let connectTimer = null;
+
+        const request = client.request(url, {
+            method: 'GET',
+            headers: {
+                'User-Agent': USER_AGENT,
+                Accept: accept,
+                'Accept-Encoding': 'gzip, deflate, br',
+            },
+            // Pin the connection to the address that was validated; the hostname still drives SNI and certificates
+            lookup: (hostname, options, callback) => {
+                if (options?.all) {
+                    callback(null, [{ address, family }]);
+                } else {
+                    callback(null, address, family);
+                }
+            },
+            // A fresh socket per hop, so a pooled connection can never bypass the pinned address
+            agent: false,
+            signal,
+        });
+
+        const fail = (error) => {
+            clearTimeout(connectTimer);
+            request.fetchError = error;
+            request.destroy();
+            reject(error);
+        };
+
+        connectTimer = setTimeout(
+            () => fail(fetchError('connect_timeout', `Failed to fetch content: connecting to ${url.hostname} timed out.`, { timeoutMs: connectTimeoutMs })),
+            connectTimeoutMs
+        );
+        request.on('socket', (socket) => {
+            socket.once(url.protocol === 'https:' ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+        });
+
+        // Fires when the socket stays idle this long after connecting, including mid-body
+        request.setTimeout(readTimeoutMs, () =>
+            fail(fetchError('read_timeout', `Failed to fetch content: ${url.hostname} stopped responding.`, { timeoutMs: readTimeoutMs }))
+        );
+
+        request.on('response', (response) => {
+            clearTimeout(connectTimer);
+            resolve({ request, response });
+        });
+        request.on('error', (error) => {
+            clearTimeout(connectTimer);
+            reject(error);
+        });
+        request.end();
+    });
+}
+
+// === Public API ===
+
+/**
+ * Fetches an HTML page (or, with `contentTypes`, any other resource) from an untrusted URL.
+ * Each failure carries a `code` from FETCH_ERROR_STATUS.
+ * @param {string} rawUrl - An http(s) URL.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the fetch.
+ * @param {number} [options.maxBytes] - Cap on the decompressed body size.
+ * @param {number} [options.maxRedirects] - Redirect hops to follow.
+ * @param {number} [options.connectTimeoutMs] - Time allowed to establish each connection.
+ * @param {number} [options.readTimeoutMs] - Idle time allowed while waiting for data.
+ * @param {string[]} [options.contentTypes] - Accepted MIME types.
+ * @param {string} [options.accept] - Accept header to send; defaults to preferring HTML.
+ * @param {boolean} [options.binary] - Return the raw `body` Buffer instead of decoded `text`.
+ * @returns {Promise<{ url: string, status: number, contentType: string, text?: string, body?: Buffer }>}
+ */
+export async function safeFetch(rawUrl, options = {}) {
+    const {
+        signal,
+        maxBytes = MAX_BYTES,
+        maxRedirects = MAX_REDIRECTS,
+        connectTimeoutMs = CONNECT_TIMEOUT_MS,
+        readTimeoutMs = READ_TIMEOUT_MS,
+        contentTypes = HTML_CONTENT_TYPES,
+        accept = 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1',
+        binary = false,
+    } = options;
+
+    let url = new URL(rawUrl);
+
+    for (let hop = 0; hop <= maxRedirects; hop++) {
+        if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+            throw fetchError('redirect_not_allowed', 'Failed to fetch content: the page redirected to a URL that is not allowed.', { url: url.href });
+        }
+
+        const pinned = await resolvePublicAddress(url.hostname);
+        const { request, response } = await requestOnce(url, pinned, { signal, connectTimeoutMs, readTimeoutMs, accept });
+
+        if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+            response.resume();
+            request.destroy();
+
+            let next;
+            try {
+                next = new URL(response.headers.location, url);
+            } catch {
+                throw fetchError('redirect_not_allowed', 'Failed to fetch content: the page sent an invalid redirect.', { location: response.headers.location });
+            }
+            url = next;
+            continue;
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            response.resume();
+            throw fetchError('upstream_http_error', `Failed to fetch content: the site responded with status ${response.statusCode}.`, { status: response.statusCode });
+        }
+
+        const contentType = response.headers['content-type'] || '';
+        const mimeType = contentType.split(';')[0].trim().toLowerCase();
+        if (!contentTypes.includes(mimeType)) {
+            response.destroy();
+            throw fetchError('unsupported_content_type', `Failed to fetch content: unsupported content type "${mimeType || 'unknown'}".`, { contentType: mimeType || null });
+        }
+
+        const body = await readBody(request, response, maxBytes);
+        if (binary) {
+            return { url: url.href, status: response.statusCode, contentType, body };
+        }
+        return { url: url.href, status: response.statusCode, contentType, text: decodeBody(body, contentType) };
+    }
+
+    throw fetchError('too_many_redirects', `Failed to fetch content: more than ${maxRedirects} redirects.`, { maxRedirects });
+}
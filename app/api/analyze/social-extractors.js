@@ -0,0 +1,367 @@
+// app/api/analyze/social-extractors.js
+// Dedicated extractors for social media posts, whose pages are rendered by JavaScript
+// and yield little to Readability. Each platform is read through a public, structured
+// source: X/Twitter's syndication JSON (oEmbed as fallback), Reddit's .json listing,
+// Mastodon's ActivityPub object (REST API as fallback) and Telegram's embed preview.
+// Every request goes through the SSRF-safe fetcher.
+import * as cheerio from 'cheerio';
+import { safeFetch } from './safe-fetcher.js';
+
+// Settings, overridable per deployment
+const SOCIAL_MAX_IMAGES = Number(process.env.SOCIAL_MAX_IMAGES) || 4;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// The formats the photo pipeline accepts
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const JSON_TYPES = ['application/json'];
+const ACTIVITY_TYPES = ['application/activity+json', 'application/ld+json', 'application/json'];
+const ACTIVITY_ACCEPT = 'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"';
+
+export const SOCIAL_PLATFORMS = ['twitter', 'reddit', 'mastodon', 'telegram'];
+
+// === Helpers ===
+
+const fetchJson = async (url, { signal, accept = 'application/json', contentTypes = JSON_TYPES } = {}) =>
+    JSON.parse((await safeFetch(url, { signal, accept, contentTypes })).text);
+
+const toIsoDate = (value) => {
+    if (value == null || value === '') return null;
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toCount = (value) => (Number.isFinite(value) ? value : null);
+
+// Telegram shows counts such as "12.3K" or "1.2M"
+const parseShortCount = (value) => {
+    const match = /^([\d.,]+)\s*([KM])?$/i.exec((value || '').trim());
+    if (!match) return null;
+    const number = parseFloat(match[1].replace(',', '.'));
+    return Math.round(number * ({ k: 1e3, m: 1e6 }[match[2]?.toLowerCase()] || 1));
+};
+
+// Turns post HTML into plain text, keeping line and paragraph breaks
+const htmlToText = (html) => {
+    const $ = cheerio.load(`<div>${(html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')}</div>`);
+    return $('div').first().text().replace(/\n{3,}/g, '\n\n').trim();
+};
+
+const emptyEngagement = () => ({ likes: null, reposts: null, replies: null, views: null, score: null, upvoteRatio: null });
+
+const media = (type, url, alt = null) => (url ? { type, url, alt: alt || null } : null);
+
+// === X / Twitter ===
+
+// The syndication endpoint behind embedded tweets expects this token derived from the tweet id
+const syndicationToken = (id) => ((Number(id) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, '');
+
+const TWITTER_MEDIA_TYPES = { photo: 'image', video: 'video', animated_gif: 'gif' };
+
+async function extractTweetFromSyndication({ id }, signal) {
+    const tweet = await fetchJson(`https://cdn.syndication.twimg.com/tweet-result?id=${id}&lang=en&token=${syndicationToken(id)}`, { signal });
+    if (!tweet?.text || tweet.__typename === 'TweetTombstone') {
+        throw new Error('The tweet is unavailable.');
+    }
+
+    // display_text_range counts code points and leaves out trailing media links
+    const range = tweet.display_text_range;
+    const text = range ? Array.from(tweet.text).slice(range[0], range[1]).join('') : tweet.text;
+
+    return {
+        extractor: 'syndication',
+        text,
+        author: {
+            name: tweet.user?.name || null,
+            handle: tweet.user?.screen_name ? `@${tweet.user.screen_name}` : null,
+            url: tweet.user?.screen_name ? `https://x.com/${tweet.user.screen_name}` : null,
+        },
+        publishedAt: toIsoDate(tweet.created_at),
+        engagement: { ...emptyEngagement(), likes: toCount(tweet.favorite_count), replies: toCount(tweet.conversation_count) },
+        media: (tweet.mediaDetails || []).map((item) =>
+            media(TWITTER_MEDIA_TYPES[item.type] || item.type, item.media_url_https, item.ext_alt_text)),
+    };
+}
+
+// oEmbed only carries the text, author and date, but it is the officially supported embed
+async function extractTweetFromOembed({ url }, signal) {
+    const embed = await fetchJson(`https://publish.twitter.com/oembed?url=${encodeURIComponent(url)}&omit_script=1&dnt=1`, { signal });
+    const $ = cheerio.load(embed.html || '');
+    const text = htmlToText($('blockquote p').first().html());
+    if (!text) {
+        throw new Error('The tweet embed has no text.');
+    }
+
+    return {
+        extractor: 'oembed',
+        text,
+        author: {
+            name: embed.author_name || null,
+            handle: embed.author_url ? `@${embed.author_url.split('/').pop()}` : null,
+            url: embed.author_url || null,
+        },
+        publishedAt: toIsoDate($('blockquote > a').last().text()),
+        engagement: emptyEngagement(),
+        media: [],
+    };
+}
+
+// === Reddit ===
+
+async function extractRedditPost({ id }, signal) {
+    // raw_json=1 stops Reddit from HTML-escaping text and URLs
+    const listing = await fetchJson(`https://www.reddit.com/comments/${id}/.json?limit=1&raw_json=1`, { signal });
+    const post = listing?.[0]?.data?.children?.[0]?.data;
+    if (!post) {
+        throw new Error('The Reddit post is unavailable.');
+    }
+    if (post.removed_by_category) {
+        throw new Error('The Reddit post was removed.');
+    }
+
+    const gallery = (post.gallery_data?.items || [])
+        .map((item) => post.media_metadata?.[item.media_id])
+        .filter((item) => item?.s)
+        .map((item) => media(item.e === 'AnimatedImage' ? 'gif' : 'image', item.s.u || item.s.gif, null));
+    const preview = post.post_hint === 'image'
+        ? [media('image', post.url_overridden_by_dest || post.preview?.images?.[0]?.source?.url)]
+        : [];
+    const video = post.is_video ? [media('video', post.media?.reddit_video?.fallback_url)] : [];
+
+    const link = post.url_overridden_by_dest && !post.is_self && post.post_hint !== 'image' && !post.is_gallery && !post.is_video
+        ? post.url_overridden_by_dest
+        : null;
+
+    return {
+        extractor: 'reddit_json',
+        title: post.title || null,
+        text: [post.title, post.selftext].filter(Boolean).join('\n\n'),
+        link,
+        community: post.subreddit_name_prefixed || null,
+        author: {
+            name: null,
+            handle: post.author ? `u/${post.author}` : null,
+            url: post.author && post.author !== '[deleted]' ? `https://www.reddit.com/user/${post.author}` : null,
+        },
+        publishedAt: toIsoDate(post.created_utc),
+        engagement: {
+            ...emptyEngagement(),
+            score: toCount(post.score),
+            upvoteRatio: toCount(post.upvote_ratio),
+            replies: toCount(post.num_comments),
+        },
+        media: [...gallery, ...preview, ...video],
+        sensitive: Boolean(post.over_18),
+    };
+}
+
+// === Mastodon ===
+
+const mastodonMediaType = (mediaType) =>
+    mediaType?.startsWith('image/') ? (mediaType === 'image/gif' ? 'gif' : 'image') : mediaType?.startsWith('video/') ? 'video' : 'other';
+
+async function extractMastodonFromActivityPub({ url, handle }, signal) {
+    const note = await fetchJson(url, { signal, accept: ACTIVITY_ACCEPT, contentTypes: ACTIVITY_TYPES });
+    if (note?.type !== 'Note' && note?.type !== 'Question') {
+        throw new Error('The ActivityPub object is not a post.');
+    }
+
+    return {
+        extractor: 'activitypub',
+        text: [note.summary, htmlToText(note.content)].filter(Boolean).join('\n\n'),
+        author: { name: null, handle, url: typeof note.attributedTo === 'string' ? note.attributedTo : null },
+        publishedAt: toIsoDate(note.published),
+        // Counts are only published by recent Mastodon versions
+        engagement: {
+            ...emptyEngagement(),
+            likes: toCount(note.likes?.totalItems),
+            reposts: toCount(note.shares?.totalItems),
+            replies: toCount(note.replies?.totalItems),
+        },
+        media: (note.attachment || []).map((item) => media(mastodonMediaType(item.mediaType), item.url, item.name)),
+        sensitive: Boolean(note.sensitive),
+    };
+}
+
+// Instances in secure mode refuse unsigned ActivityPub requests but still serve public posts over the REST API
+async function extractMastodonFromApi({ host, id }, signal) {
+    const status = await fetchJson(`https://${host}/api/v1/statuses/${id}`, { signal });
+    if (!status?.content && !status?.media_attachments?.length) {
+        throw new Error('The Mastodon post is unavailable.');
+    }
+
+    return {
+        extractor: 'mastodon_api',
+        text: [status.spoiler_text, htmlToText(status.content)].filter(Boolean).join('\n\n'),
+        author: {
+            name: status.account?.display_name || null,
+            handle: status.account?.acct ? `@${status.account.acct.includes('@') ? status.account.acct : `${status.account.acct}@${host}`}` : null,
+            url: status.account?.url || null,
+        },
+        publishedAt: toIsoDate(status.created_at),
+        engagement: {
+            ...emptyEngagement(),
+            likes: toCount(status.favourites_count),
+            reposts: toCount(status.reblogs_count),
+            replies: toCount(status.replies_count),
+        },
+        media: (status.media_attachments || []).map((item) =>
+            media(item.type === 'gifv' ? 'gif' : item.type === 'image' ? 'image' : item.type, item.url, item.description)),
+        sensitive: Boolean(status.sensitive),
+    };
+}
+
+// === Telegram ===
+
+async function extractTelegramPost({ channel, id }, signal) {
+    const { text: html } = await safeFetch(`https://t.me/${channel}/${id}?embed=1&mode=tme`, { signal });
+    const $ = cheerio.load(html);
+    if ($('.tgme_widget_message_error').length || !$('.tgme_widget_message').length) {
+        throw new Error('The Telegram post is unavailable.');
+    }
+
+    const backgroundUrl = (el) => /background-image:\s*url\(['"]?([^'")]+)['"]?\)/.exec($(el).attr('style') || '')?.[1];
+    const photos = $('.tgme_widget_message_photo_wrap').map((i, el) => media('image', backgroundUrl(el))).get();
+    const videos = $('video.tgme_widget_message_video').map((i, el) => media('video', $(el).attr('src'))).get();
+
+    return {
+        extractor: 'telegram_embed',
+        text: htmlToText($('.tgme_widget_message_text').first().html()),
+        author: {
+            name: $('.tgme_widget_message_owner_name').first().text().trim() || null,
+            handle: `@${channel}`,
+            url: `https://t.me/${channel}`,
+        },
+        publishedAt: toIsoDate($('.tgme_widget_message_date time').attr('datetime')),
+        engagement: { ...emptyEngagement(), views: parseShortCount($('.tgme_widget_message_views').first().text()) },
+        media: [...photos, ...videos],
+    };
+}
+
+// === URL Matching ===
+
+const TWITTER_HOSTS = new Set(['twitter.com', 'x.com', 'mobile.twitter.com', 'mobile.x.com']);
+const REDDIT_HOSTS = new Set(['reddit.com', 'old.reddit.com', 'new.reddit.com', 'np.reddit.com', 'm.reddit.com']);
+const TELEGRAM_HOSTS = new Set(['t.me', 'telegram.me']);
+
+/**
+ * Recognizes a link to a single social media post.
+ * Mastodon is recognized by its URL shape on any host, since instances run on their own domains;
+ * such matches carry `anyHost: true`, as the link may just as well be an ordinary page.
+ * @param {string} url - A validated http(s) URL.
+ * @returns {{ platform: string, id: string, url: string, anyHost?: boolean } & object | null} The platform and the parts its extractor needs.
+ */
+export function matchSocialPost(url) {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const path = parsed.pathname;
+    let match;
+
+    if (TWITTER_HOSTS.has(host) && (match = /^\/(?:[\w]+|i\/web)\/status(?:es)?\/(\d+)/.exec(path))) {
+        return { platform: 'twitter', id: match[1], url: `https://twitter.com/i/status/${match[1]}` };
+    }
+    if (REDDIT_HOSTS.has(host) && (match = /^\/(?:r\/[\w]+\/)?comments\/([a-z0-9]+)/i.exec(path))) {
+        return { platform: 'reddit', id: match[1], url: `https://www.reddit.com/comments/${match[1]}` };
+    }
+    if (host === 'redd.it' && (match = /^\/([a-z0-9]+)\/?$/i.exec(path))) {
+        return { platform: 'reddit', id: match[1], url: `https://www.reddit.com/comments/${match[1]}` };
+    }
+    if (TELEGRAM_HOSTS.has(host) && (match = /^\/(?:s\/)?([a-z][\w]{3,31})\/(\d+)\/?$/i.exec(path)) && match[1] !== 'c') {
+        return { platform: 'telegram', id: match[2], channel: match[1], url: `https://t.me/${match[1]}/${match[2]}` };
+    }
+    if ((match = /^\/@([\w.]+)(?:@([\w.-]+))?\/(\d+)\/?$/.exec(path)) || (match = /^\/users\/([\w.]+)\/statuses\/(\d+)\/?$/.exec(path))) {
+        const [user, remoteHost, id] = match.length === 4 ? match.slice(1) : [match[1], null, match[2]];
+        return { platform: 'mastodon', id, host, handle: `@${user}@${remoteHost || host}`, url: parsed.href.split(/[?#]/)[0], anyHost: true };
+    }
+    return null;
+}
+
+// Extractors per platform, most complete first
+const EXTRACTORS = {
+    twitter: [extractTweetFromSyndication, extractTweetFromOembed],
+    reddit: [extractRedditPost],
+    mastodon: [extractMastodonFromActivityPub, extractMastodonFromApi],
+    telegram: [extractTelegramPost],
+};
+
+// === Attached Images ===
+
+async function fetchImage(url, signal) {
+    const { body, contentType } = await safeFetch(url, {
+        signal,
+        binary: true,
+        maxBytes: MAX_IMAGE_BYTES,
+        accept: IMAGE_TYPES.join(','),
+        contentTypes: IMAGE_TYPES,
+    });
+    return `data:${contentType.split(';')[0].trim().toLowerCase()};base64,${body.toString('base64')}`;
+}
+
+// Images go through the injected photo pipeline one at a time; other media are listed as-is
+async function processMedia(items, { analyzePhoto, onProgress, signal }) {
+    const images = items.filter((item) => item.type === 'image').slice(0, SOCIAL_MAX_IMAGES);
+
+    const processed = [];
+    for (const item of items) {
+        if (!images.includes(item) || !analyzePhoto) {
+            processed.push({ ...item, ocr: null, forensics: null, error: null });
+            continue;
+        }
+        onProgress?.('media', { index: images.indexOf(item) + 1, total: images.length });
+        try {
+            const { ocr, forensics } = await analyzePhoto(await fetchImage(item.url, signal));
+            processed.push({ ...item, ocr, forensics, error: null });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(`[Social] Could not analyze attached image ${item.url}: ${error.message}`);
+            processed.push({ ...item, ocr: null, forensics: null, error: 'The image could not be analyzed.' });
+        }
+    }
+    return processed;
+}
+
+// === Public API ===
+
+/**
+ * Extracts a social media post and runs its attached images through the photo pipeline.
+ * @param {object} match - Output of matchSocialPost.
+ * @param {object} [options]
+ * @param {(imageDataUrl: string) => Promise<{ ocr: object | null, forensics: object | null }>} [options.analyzePhoto]
+ *   OCR and forensics for attached images.
+ * @param {Function} [options.onProgress] - Called as ('media', { index, total }) before each image.
+ * @param {AbortSignal} [options.signal] - Cancels the requests.
+ * @returns {Promise<{
+ *   platform: string, extractor: string, id: string, url: string,
+ *   title: string | null, text: string, link: string | null, community: string | null,
+ *   author: { name: string | null, handle: string | null, url: string | null },
+ *   publishedAt: string | null, sensitive: boolean,
+ *   engagement: { likes: number | null, reposts: number | null, replies: number | null, views: number | null, score: number | null, upvoteRatio: number | null },
+ *   media: { type: string, url: string, alt: string | null, ocr: object | null, forensics: object | null, error: string | null }[]
+ * }>}
+ */
+export async function extractSocialPost(match, { analyzePhoto, onProgress, signal } = {}) {
+    let post = null;
+    for (const extractor of EXTRACTORS[match.platform]) {
+        try {
+            post = await extractor(match, signal);
+            break;
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(`[Social] ${extractor.name} failed for ${match.url}: ${error.message}`);
+        }
+    }
+    if (!post) {
+        throw new Error('Could not extract the social media post. It may be private or deleted, or the platform may be blocking access.');
+    }
+
+    return {
+        platform: match.platform,
+        id: match.id,
+        url: match.url,
+        title: null,
+        link: null,
+        community: null,
+        sensitive: false,
+        ...post,
+        media: await processMedia(post.media.filter(Boolean), { analyzePhoto, onProgress, signal }),
+    };
+}
@@ -0,0 +1,309 @@
+// app/api/analyze/source-reputation.js
+// Rates the site an article came from: a local, editable dataset of outlet ratings,
+// TLD and hostname heuristics, lookalike/typosquat detection against known outlets,
+// and the domain's registration age from RDAP.
+import { readFileSync } from 'fs';
+import ipaddr from 'ipaddr.js';
+import bundledRatings from './source-ratings.json' with { type: 'json' };
+import { safeFetch } from './safe-fetcher.js';
+
+// Settings, overridable per deployment
+const DOMAIN_AGE_LOOKUP = process.env.DOMAIN_AGE_LOOKUP !== 'off';
+const RDAP_ENDPOINT = process.env.RDAP_ENDPOINT || 'https://rdap.org/domain/';
+const DOMAIN_AGE_CACHE_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const DOMAIN_AGE_CACHE_MAX_ENTRIES = 500;
+const YOUNG_DOMAIN_DAYS = 180;
+const NEW_DOMAIN_DAYS = 30;
+
+// Second-level suffixes under which a site registers its own name (a small stand-in for the Public Suffix List)
+const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'com.au', 'net.au', 'org.au', 'co.nz', 'co.jp', 'co.in',
+    'com.br', 'com.mx', 'com.ar', 'co.za', 'com.cn', 'com.tr', 'co.kr', 'com.sg', 'com.hk', 'com.co',
+]);
+
+// TLDs that are cheap to register and over-represented among throwaway and spam sites
+const SUSPICIOUS_TLDS = new Set([
+    'xyz', 'top', 'club', 'buzz', 'click', 'online', 'site', 'live', 'icu', 'work', 'rest',
+    'monster', 'cyou', 'sbs', 'tk', 'ml', 'ga', 'cf', 'gq',
+]);
+
+const FACTUAL_SCORES = {
+    very_high: 0.95,
+    high: 0.85,
+    mostly_factual: 0.7,
+    mixed: 0.5,
+    low: 0.25,
+    very_low: 0.1,
+};
+
+// Caps on the trust score by category, whatever the factual rating says
+const CATEGORY_CAPS = { state_media: 0.45, ad_farm: 0.2, fake_news: 0.1 };
+
+const SIGNAL_PENALTIES = { danger: 0.3, warning: 0.1, info: 0 };
+
+// === Dataset ===
+
+// SOURCE_RATINGS_FILE points at a JSON file with the same shape; its entries override the bundled ones
+function loadRatings() {
+    const sources = { ...bundledRatings.sources };
+    if (process.env.SOURCE_RATINGS_FILE) {
+        try {
+            Object.assign(sources, JSON.parse(readFileSync(process.env.SOURCE_RATINGS_FILE, 'utf8')).sources);
+        } catch (error) {
+            console.error(`[Source Ratings] Could not load ${process.env.SOURCE_RATINGS_FILE}: ${error.message}`);
+        }
+    }
+
+    const byDomain = new Map();
+    for (const [domain, entry] of Object.entries(sources)) {
+        const rating = { domain, ...entry };
+        byDomain.set(domain, rating);
+        for (const alias of entry.aliases || []) byDomain.set(alias, rating);
+    }
+    return byDomain;
+}
+
+const ratings = loadRatings();
+
+// Well-rated outlets are the ones worth impersonating
+const KNOWN_OUTLETS = [...new Set(ratings.values())]
+    .filter((rating) => ['very_high', 'high', 'mostly_factual'].includes(rating.factualReporting))
+    .map((rating) => ({ ...rating, brand: rating.brand || brandOf(rating.domain) }));
+
+// Names used by any rated outlet, including its aliases and official short domains
+const RATED_BRANDS = new Set([...ratings].flatMap(([domain, rating]) => [brandOf(domain), rating.brand].filter(Boolean)));
+
+// === Hostname Helpers ===
+
+/**
+ * Returns the registrable domain of a hostname (e.g. "news.bbc.co.uk" -> "bbc.co.uk").
+ * @param {string} hostname - A lowercase hostname.
+ * @returns {string}
+ */
+export function getRegistrableDomain(hostname) {
+    const labels = hostname.replace(/\.$/, '').split('.');
+    const size = labels.length > 2 && MULTI_PART_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+    return labels.slice(-size).join('.');
+}
+
+function brandOf(domain) {
+    return getRegistrableDomain(domain).split('.')[0];
+}
+
+// Looks up the hostname and each parent domain, so "edition.cnn.com" matches "cnn.com"
+function findRating(hostname) {
+    const labels = hostname.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const rating = ratings.get(labels.slice(i).join('.'));
+        if (rating) return rating;
+    }
+    return null;
+}
+
+// Characters and pairs commonly swapped in lookalike domains
+const HOMOGLYPHS = [[/rn/g, 'm'], [/vv/g, 'w'], [/0/g, 'o'], [/1/g, 'l'], [/3/g, 'e'], [/5/g, 's']];
+const normalizeHomoglyphs = (value) => HOMOGLYPHS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+
+// Optimal string alignment distance: edits, including swapping two adjacent characters
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * Checks whether a domain imitates a known outlet. An embedded domain or the same name wins outright;
+ * otherwise the closest typosquat is reported, then a brand in a hyphenated name.
+ * @param {string} hostname - The article's hostname.
+ * @param {string} domain - Its registrable domain.
+ * @returns {{ kind: 'impersonation' | 'typosquat' | 'embedded' | 'brand_in_name', target: string, name: string, distance?: number } | null}
+ */
+export function findLookalike(hostname, domain) {
+    const brand = brandOf(domain);
+    const normalized = normalizeHomoglyphs(brand);
+    // A rated outlet's own name is not a misspelling of another's ("abcnews" is one edit from "nbcnews")
+    const isRatedBrand = RATED_BRANDS.has(brand);
+    let closest = null;
+    let brandInName = null;
+
+    for (const outlet of KNOWN_OUTLETS) {
+        if (getRegistrableDomain(outlet.domain) === domain) continue;
+        const match = { target: outlet.domain, name: outlet.name };
+
+        // "nytimes.com.example.net" puts a real domain in front of someone else's
+        if (hostname.startsWith(`${outlet.domain}.`) || hostname.includes(`.${outlet.domain}.`)) {
+            return { kind: 'embedded', ...match };
+        }
+        // Same name on a different domain, e.g. "abcnews.com.co"
+        if (brand === outlet.brand) {
+            return { kind: 'impersonation', ...match };
+        }
+        if (isRatedBrand) continue;
+        // One or two edits away, after undoing common character swaps
+        if (outlet.brand.length >= 5) {
+            const distance = editDistance(normalized, outlet.brand);
+            if (distance <= (outlet.brand.length >= 8 ? 2 : 1) && !(closest?.distance <= distance)) {
+                closest = { kind: 'typosquat', distance, ...match };
+            }
+        }
+        // The brand as one hyphenated part of the name, e.g. "cnn-breaking.com"
+        if (!brandInName && outlet.brand.length >= 3 && brand.split('-').length > 1 && brand.split('-').includes(outlet.brand)) {
+            brandInName = { kind: 'brand_in_name', ...match };
+        }
+    }
+    return closest || brandInName;
+}
+
+// === Domain Age (RDAP) ===
+
+const domainAgeCache = new Map();
+
+async function lookupDomainAge(domain, signal) {
+    if (!DOMAIN_AGE_LOOKUP) return null;
+
+    const cached = domainAgeCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    let value = null;
+    try {
+        const { text } = await safeFetch(`${RDAP_ENDPOINT}${encodeURIComponent(domain)}`, {
+            signal,
+            maxBytes: 256 * 1024,
+            connectTimeoutMs: 3000,
+            readTimeoutMs: 4000,
+            contentTypes: ['application/rdap+json', 'application/json'],
+        });
+        const registration = JSON.parse(text).events?.find((event) => event.eventAction === 'registration');
+        const registeredAt = registration && new Date(registration.eventDate);
+        if (registeredAt && !Number.isNaN(registeredAt.getTime())) {
+            value = {
+                registeredAt: registeredAt.toISOString(),
+                ageDays: Math.floor((Date.now() - registeredAt.getTime()) / (24 * 60 * 60 * 1000)),
+            };
+        }
+    } catch (error) {
+        if (signal?.aborted) throw error;
+        console.warn(`[Domain Age] RDAP lookup failed for ${domain}: ${error.message}`);
+    }
+
+    // Oldest entries go first once the cache is full
+    if (domainAgeCache.size >= DOMAIN_AGE_CACHE_MAX_ENTRIES) {
+        domainAgeCache.delete(domainAgeCache.keys().next().value);
+    }
+    domainAgeCache.set(domain, { value, expiresAt: Date.now() + DOMAIN_AGE_CACHE_TTL_MS });
+    return value;
+}
+
+// === Heuristics ===
+
+const LOOKALIKE_MESSAGES = {
+    impersonation: (lookalike) => `Uses the name of ${lookalike.name} (${lookalike.target}) on a different domain.`,
+    typosquat: (lookalike) => `Looks like a misspelling of ${lookalike.target} (${lookalike.name}).`,
+    embedded: (lookalike) => `Puts ${lookalike.target} in front of an unrelated domain.`,
+    brand_in_name: (lookalike) => `Includes the name of ${lookalike.name} but is not its site.`,
+};
+
+function collectSignals(hostname, domain, { rating, lookalike, domainAge }) {
+    const signals = [];
+    const add = (id, severity, message) => signals.push({ id, severity, message });
+    const tld = domain.split('.').pop();
+
+    if (lookalike) {
+        add(`lookalike_${lookalike.kind}`, lookalike.kind === 'brand_in_name' ? 'warning' : 'danger', LOOKALIKE_MESSAGES[lookalike.kind](lookalike));
+    }
+    if (ipaddr.isValid(hostname.replace(/^\[|\]$/g, ''))) {
+        add('ip_address', 'danger', 'Served from a bare IP address instead of a domain name.');
+    }
+    if (!rating && SUSPICIOUS_TLDS.has(tld)) {
+        add('suspicious_tld', 'warning', `Uses the .${tld} domain ending, which is common among throwaway sites.`);
+    }
+    if (hostname.split('.').some((label) => label.startsWith('xn--'))) {
+        add('punycode', 'warning', 'Uses international characters that can imitate other domains.');
+    }
+    if (brandOf(domain).split('-').length > 2) {
+        add('hyphenated_name', 'info', 'The domain name is made of several hyphenated words.');
+    }
+    if (domainAge && !rating) {
+        if (domainAge.ageDays < NEW_DOMAIN_DAYS) {
+            add('new_domain', 'danger', `The domain was registered ${domainAge.ageDays} days ago.`);
+        } else if (domainAge.ageDays < YOUNG_DOMAIN_DAYS) {
+            add('young_domain', 'warning', `The domain was registered ${domainAge.ageDays} days ago.`);
+        }
+    }
+    return signals;
+}
+
+function scoreSource(rating, signals) {
+    let score = rating ? FACTUAL_SCORES[rating.factualReporting] ?? 0.5 : 0.5;
+    if (rating && CATEGORY_CAPS[rating.category] != null) {
+        score = Math.min(score, CATEGORY_CAPS[rating.category]);
+    }
+    score -= signals.reduce((sum, signal) => sum + SIGNAL_PENALTIES[signal.severity], 0);
+    return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
+
+function toVerdict(rating, signals, score) {
+    if (rating?.category === 'satire') return 'satire';
+    if (!rating && signals.every((signal) => signal.severity === 'info')) return 'unknown';
+    if (score >= 0.7) return 'reliable';
+    if (score >= 0.35) return 'mixed';
+    return 'unreliable';
+}
+
+// === Public API ===
+
+/**
+ * Rates the source of an article by its URL.
+ * @param {string} url - The article URL (after redirects).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the RDAP lookup.
+ * @returns {Promise<{
+ *   url: string, hostname: string, domain: string,
+ *   rating: object | null, lookalike: object | null, domainAge: { registeredAt: string, ageDays: number } | null,
+ *   signals: { id: string, severity: 'info' | 'warning' | 'danger', message: string }[],
+ *   score: number, verdict: 'reliable' | 'mixed' | 'unreliable' | 'satire' | 'unknown'
+ * }>}
+ */
+export async function assessSource(url, { signal } = {}) {
+    const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    const isIp = ipaddr.isValid(hostname.replace(/^\[|\]$/g, ''));
+    const domain = isIp ? hostname : getRegistrableDomain(hostname);
+
+    const rating = isIp ? null : findRating(hostname);
+    const lookalike = rating || isIp ? null : findLookalike(hostname, domain);
+    // Listed outlets are already known; only unknown domains are worth the lookup
+    const domainAge = rating || isIp ? null : await lookupDomainAge(domain, signal);
+
+    const signals = collectSignals(hostname, domain, { rating, lookalike, domainAge });
+    const score = scoreSource(rating, signals);
+
+    return {
+        url,
+        hostname,
+        domain,
+        rating: rating && {
+            domain: rating.domain,
+            name: rating.name,
+            category: rating.category,
+            categoryDescription: bundledRatings.categories[rating.category] || null,
+            factualReporting: rating.factualReporting || null,
+            bias: rating.bias || null,
+            notes: rating.notes || null,
+        },
+        lookalike,
+        domainAge,
+        signals,
+        score,
+        verdict: toVerdict(rating, signals, score),
+    };
+}
@@ -0,0 +1,29 @@
+// app/api/analyze/stream/route.js
+import { NextResponse } from 'next/server';
+import { runAnalysis, isClientError } from '../analyze-logic.js';
+import { createEventStreamResponse } from '../event-stream.js';
+
+// Streaming variant of /api/analyze. Emits one SSE event per pipeline stage:
+// fetched, extracted, model (once per detection model), synthesis, then complete or error.
+export async function POST(request) {
+    let requestData;
+    try {
+        requestData = await request.json();
+    } catch (jsonError) {
+        return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    return createEventStreamResponse(request, async (send, signal) => {
+        try {
+            const combinedResults = await runAnalysis(requestData, { onProgress: send, signal });
+            send('complete', combinedResults);
+        } catch (error) {
+            if (signal.aborted) return;
+
+            console.error("API analysis stream error:", error);
+            send('error', isClientError(error)
+                ? { error: error.message, ...(error.code && { code: error.code }) }
+                : { error: 'An unexpected error occurred while processing your request.' });
+        }
+    });
+}
@@ -0,0 +1,161 @@
+// app/api/detection/chunking.js
+// Splits long text on paragraph and sentence boundaries so each piece fits a size limit.
+
+// Splits after sentence-ending punctuation (and any closing quote) while keeping every character
+const SENTENCE_BOUNDARY = /(?<=[.!?。！？]["'”’)\]]*\s+)/;
+
+// Splits a paragraph that is too long on its own into sentences, and a sentence into words
+function splitOversized(paragraph, maxLength) {
+    const sentences = paragraph.split(SENTENCE_BOUNDARY);
+    const pieces = [];
+
+    for (const sentence of sentences) {
+        if (sentence.length <= maxLength) {
+            pieces.push(sentence);
+            continue;
+        }
+        let current = '';
+        for (const word of sentence.split(/(?<=\s)/)) {
+            if (current && current.length + word.length > maxLength) {
+                pieces.push(current);
+                current = '';
+            }
+            // A single "word" longer than the limit (e.g. a URL) is hard-cut
+            for (let i = 0; i < word.length; i += maxLength) {
+                const slice = word.slice(i, i + maxLength);
+                if (current.length + slice.length > maxLength) {
+                    pieces.push(current);
+                    current = '';
+                }
+                current += slice;
+            }
+        }
+        if (current) pieces.push(current);
+    }
+
+    return pieces;
+}
+
+/**
+ * Splits text into chunks of at most `maxLength` characters, packing whole
+ * paragraphs first and falling back to sentence and word boundaries.
+ * @param {string} text - The text to split.
+ * @param {number} maxLength - Maximum characters per chunk.
+ * @returns {{ text: string, start: number, end: number }[]} Chunks with their offsets in `text`.
+ */
+export function splitText(text, maxLength) {
+    const chunks = [];
+    let current = '';
+    let currentStart = 0;
+    let offset = 0;
+
+    const flush = () => {
+        const trimmed = current.trim();
+        if (trimmed) {
+            const start = text.indexOf(trimmed, currentStart);
+            chunks.push({ text: trimmed, start, end: start + trimmed.length });
+        }
+        current = '';
+    };
+
+    // Keep the separators attached so offsets stay exact
+    const paragraphs = text.split(/(?<=\n\s*\n)/);
+    for (const paragraph of paragraphs) {
+        const pieces = paragraph.length > maxLength ? splitOversized(paragraph, maxLength) : [paragraph];
+
+        for (const piece of pieces) {
+            if (current && current.length + piece.length > maxLength) {
+                flush();
+                currentStart = offset;
+            }
+            if (!current) currentStart = offset;
+            current += piece;
+            offset += piece.length;
+        }
+    }
+    flush();
+
+    return chunks;
+}
+
+// === Chunk Scoring ===
+
+// How per-chunk scores are combined: 'weighted_mean', 'max' or 'distribution'
+export const CHUNK_AGGREGATIONS = ['weighted_mean', 'max', 'distribution'];
+const DEFAULT_AGGREGATION = CHUNK_AGGREGATIONS.includes(process.env.CHUNK_AGGREGATION)
+    ? process.env.CHUNK_AGGREGATION
+    : 'weighted_mean';
+// Caps model calls per article; longer articles are sampled evenly from start to end
+const MAX_CHUNKS = Number(process.env.CHUNK_MAX_COUNT) || 8;
+
+// Picks `max` chunks spread evenly across the article so the ending is scored as well as the lede
+export function sampleChunks(chunks, max) {
+    if (chunks.length <= max) return chunks;
+    if (max === 1) return [chunks[0]];
+    const step = (chunks.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => chunks[Math.round(i * step)]);
+}
+
+const topLabel = (scores) => Object.entries(scores).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+/**
+ * Combines per-chunk label scores into one score per label.
+ * - weighted_mean: mean of each label's score, weighted by chunk length.
+ * - max: each label's highest score in any chunk (scores no longer sum to 1).
+ * - distribution: share of the scored text (by length) whose top label is each label.
+ * @param {{ start: number, end: number, scores: Object<string, number> }[]} chunks - Scored chunks.
+ * @param {string} [aggregation] - One of CHUNK_AGGREGATIONS.
+ * @returns {Object<string, number>} Aggregated score per label.
+ */
+export function aggregateChunkScores(chunks, aggregation = DEFAULT_AGGREGATION) {
+    const labels = [...new Set(chunks.flatMap((chunk) => Object.keys(chunk.scores)))];
+    const totalLength = chunks.reduce((sum, chunk) => sum + (chunk.end - chunk.start), 0) || 1;
+
+    switch (aggregation) {
+        case 'max':
+            return Object.fromEntries(
+                labels.map((label) => [label, Math.max(...chunks.map((chunk) => chunk.scores[label] ?? 0))])
+            );
+        case 'distribution': {
+            const shares = Object.fromEntries(labels.map((label) => [label, 0]));
+            for (const chunk of chunks) {
+                shares[topLabel(chunk.scores)] += (chunk.end - chunk.start) / totalLength;
+            }
+            return shares;
+        }
+        case 'weighted_mean':
+        default:
+            return Object.fromEntries(labels.map((label) => [
+                label,
+                chunks.reduce((sum, chunk) => sum + (chunk.scores[label] ?? 0) * (chunk.end - chunk.start), 0) / totalLength,
+            ]));
+    }
+}
+
+/**
+ * Splits text to fit a model's input limit, scores every chunk and aggregates the results.
+ * Chunks that fail are left out; the call only fails if every chunk does.
+ * @param {string} text - The full text.
+ * @param {number} maxLength - The model's input limit in characters.
+ * @param {(chunkText: string) => Promise<Object<string, number>>} scoreChunk - Returns a score per label.
+ * @param {object} [options]
+ * @param {string} [options.aggregation] - One of CHUNK_AGGREGATIONS.
+ * @param {number} [options.maxChunks] - Cap on the number of chunks scored.
+ * @returns {Promise<{ scores: Object<string, number>, aggregation: string, chunks: { index: number, start: number, end: number, scores: Object<string, number> }[] }>}
+ */
+export async function scoreInChunks(text, maxLength, scoreChunk, options = {}) {
+    const { aggregation = DEFAULT_AGGREGATION, maxChunks = MAX_CHUNKS } = options;
+    const chunks = sampleChunks(splitText(text, maxLength), maxChunks);
+
+    const settled = await Promise.allSettled(chunks.map((chunk) => scoreChunk(chunk.text)));
+    const scored = chunks
+        .map((chunk, index) => ({ index, start: chunk.start, end: chunk.end, result: settled[index] }))
+        .filter(({ result }) => result.status === 'fulfilled')
+        .map(({ result, ...chunk }) => ({ ...chunk, scores: result.value }));
+
+    if (scored.length === 0) {
+        throw settled[0]?.reason || new Error('No text to score.');
+    }
+
+    return { scores: aggregateChunkScores(scored, aggregation), aggregation, chunks: scored };
+}
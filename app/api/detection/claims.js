@@ -0,0 +1,104 @@
+// app/api/detection/claims.js
+import { CLAIM_KINDS, CLAIM_VERDICTS, ClaimsSchema, generateStructured, repairClaims } from './structured-output.js';
+import { fenceUntrusted } from './prompt-guard.js';
+
+const MAX_CLAIMS = 8;
+
+// === Span Location ===
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Finds where a verbatim excerpt occurs in the article text.
+ * Falls back to a case- and whitespace-insensitive match because LLMs often
+ * normalize spacing when quoting.
+ * @param {string} text - The sanitized article text.
+ * @param {string} excerpt - The excerpt reported by the model.
+ * @returns {{ start: number, end: number } | null}
+ */
+export function locateSpan(text, excerpt) {
+    if (!excerpt || typeof excerpt !== 'string') return null;
+
+    const exact = text.indexOf(excerpt);
+    if (exact !== -1) {
+        return { start: exact, end: exact + excerpt.length };
+    }
+
+    const words = excerpt.trim().split(/\s+/).map(escapeRegExp);
+    if (words.length === 0) return null;
+
+    const match = new RegExp(words.join('\\s+'), 'i').exec(text);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+// === Claim Extraction ===
+
+function buildClaimsPrompt(text, currentDate, language) {
+    const languageInstruction = language?.name && language.code !== 'eng'
+        ? `\n11. The article is written in ${language.name}. Write "claim" and "rationale" in ${language.name}; keep "kind" and "verdict" values in English exactly as listed.`
+        : '';
+    const article = fenceUntrusted(text);
+
+    return `
+You are "CheckMatic," a fact-checking assistant.
+Your task is to pull out the individual, checkable factual claims in the article text and give each one a verdict.
+
+## Instructions:
+1.  **The current date is: ${currentDate}**
+2.  **Strictly adhere to the JSON output format provided below.** Do not include any text before or after the JSON.
+3.  Extract at most ${MAX_CLAIMS} claims. Prefer specific claims: who said what, numbers and statistics, dates, and concrete events.
+4.  Ignore opinions, predictions and rhetorical questions; they are not checkable claims.
+5.  "source_text" must be copied verbatim from the article, character for character, and be as short as possible while containing the claim.
+6.  "verdict" must be one of: ${CLAIM_VERDICTS.map((verdict) => `'${verdict}'`).join(', ')}. Use 'unverifiable' when the article alone does not allow a judgement.
+7.  "confidence" is a float between 0.0 and 1.0.
+8.  "rationale" is one concise sentence explaining the verdict. Do not use first-person pronouns or refer to yourself except as 'CheckMatic'.
+9.  Do not add any Markdown formatting, asterisks (*), underscores (_), or other symbols for emphasis.
+10. If the article contains no checkable claims, return an empty "claims" array.${languageInstruction}
+
+### Article Text:
+${article.rule}
+${article.block}
+
+## Output Format:
+{
+  "claims": [
+    {
+      "claim": "[the claim restated as a neutral, self-contained sentence]",
+      "source_text": "[verbatim excerpt from the article]",
+      "speaker": "[who makes the claim, or null if it is the article's own assertion]",
+      "kind": "[string... choose one: ${CLAIM_KINDS.map((kind) => `'${kind}'`).join(', ')}]",
+      "verdict": "[string... choose one: ${CLAIM_VERDICTS.map((verdict) => `'${verdict}'`).join(', ')}]",
+      "confidence": [float... 0.0-1.0],
+      "rationale": "[string]"
+    }
+  ]
+}
+`;
+}
+
+/**
+ * Extracts checkable claims from the article and assigns each a verdict.
+ * Every claim is annotated with the character span of its source text, or null
+ * when the model's excerpt cannot be found in the article.
+ * @param {string} text - The sanitized article text.
+ * @param {string} currentDate - Human-readable current date for the prompt.
+ * @param {object} [options] - { signal } forwarded to the provider, and the detected `language`
+ *   so claims and rationales are written in the article's language.
+ * @returns {Promise<object[]>} The extracted claims.
+ */
+export async function extractClaims(text, currentDate, options) {
+    const { data, validation } = await generateStructured(buildClaimsPrompt(text, currentDate, options?.language), ClaimsSchema, {
+        repair: repairClaims,
+        signal: options?.signal,
+    });
+    if (!data) {
+        const problems = validation.errors.map(({ path, message }) => `${path}: ${message}`).join('; ');
+        throw new Error(`Claim extraction output failed validation after ${validation.attempts} attempt(s): ${problems}`);
+    }
+
+    return data.claims.slice(0, MAX_CLAIMS).map((claim, index) => ({
+        id: index + 1,
+        ...claim,
+        span: locateSpan(text, claim.source_text),
+    }));
+}
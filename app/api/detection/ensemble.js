@@ -0,0 +1,239 @@
+// app/api/detection/ensemble.js
+// Deterministic verdict scoring. Combines the zero-shot label scores, the sarcasm score and the
+// political bias probabilities into calibrated probabilities for 'authentic', 'fake' and
+// 'satirical', independently of the LLM synthesis, so the two can be compared. Weights and the
+// calibration live in ensemble-weights.json (see the notes there).
+import { readFileSync } from 'fs';
+import bundledWeights from './ensemble-weights.json' with { type: 'json' };
+import { PRIMARY_TYPES } from './structured-output.js';
+
+// The same verdicts as the synthesis' primary classification
+export const ENSEMBLE_VERDICTS = PRIMARY_TYPES;
+
+// politicalBiasBERT's classes
+const BIAS_CLASSES = { LABEL_0: 'left', LABEL_1: 'center', LABEL_2: 'right' };
+const MAX_CONTRIBUTIONS = 5;
+
+// === Weights ===
+
+// ENSEMBLE_WEIGHTS_FILE replaces the bundled weights entirely, e.g. with a freshly calibrated copy
+function loadWeights() {
+    if (process.env.ENSEMBLE_WEIGHTS_FILE) {
+        try {
+            return JSON.parse(readFileSync(process.env.ENSEMBLE_WEIGHTS_FILE, 'utf8'));
+        } catch (error) {
+            console.error(`[Ensemble] Could not load ${process.env.ENSEMBLE_WEIGHTS_FILE}: ${error.message}`);
+        }
+    }
+    return bundledWeights;
+}
+
+const weights = loadWeights();
+
+/**
+ * The weights in use, including their calibration.
+ * @returns {object}
+ */
+export function getEnsembleWeights() {
+    return weights;
+}
+
+// === Features ===
+
+/**
+ * Turns model outputs into named features.
+ * @param {object} outputs
+ * @param {{ labels: string[], scores: number[] } | null} outputs.zeroShot - Zero-shot result.
+ * @param {number | null} outputs.sarcasm - Probability that the text is sarcastic.
+ * @param {{ label: string, score: number }[][] | null} outputs.politicalBias - Raw bias scores.
+ * @returns {Record<string, number>}
+ */
+export function extractFeatures({ zeroShot, sarcasm, politicalBias }) {
+    const features = {};
+    (zeroShot?.labels || []).forEach((label, i) => {
+        features[`zeroShot.${label}`] = zeroShot.scores[i];
+    });
+    if (Number.isFinite(sarcasm)) {
+        features.sarcasm = sarcasm;
+    }
+    for (const { label, score } of politicalBias?.[0] || []) {
+        if (BIAS_CLASSES[label]) features[`bias.${BIAS_CLASSES[label]}`] = score;
+    }
+    return features;
+}
+
+/**
+ * Features of a finished analysis result, e.g. one saved from the API, for calibration and evaluation.
+ * @param {object} result - An analysis result with zeroShotAnalysis, sarcasmAnalysis and politicalBiasAnalysis.
+ * @returns {Record<string, number>}
+ */
+export function featuresFromResult(result) {
+    const sarcasm = result?.sarcasmAnalysis?.[0]?.find((entry) => entry.label === 'LABEL_1')?.score ?? null;
+    return extractFeatures({ zeroShot: result?.zeroShotAnalysis, sarcasm, politicalBias: result?.politicalBiasAnalysis });
+}
+
+// === Scoring ===
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const softmax = (logits) => {
+    const max = Math.max(...logits);
+    const exps = logits.map((logit) => Math.exp(logit - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return exps.map((value) => value / sum);
+};
+
+// Uncalibrated logits and each feature's contribution to them
+function linearScores(features, model) {
+    return ENSEMBLE_VERDICTS.map((verdict) => {
+        const { intercept = 0, weights: verdictWeights = {} } = model.verdicts[verdict] || {};
+        const contributions = Object.entries(verdictWeights)
+            .map(([feature, weight]) => ({ feature, value: weight * (features[feature] ?? 0) }))
+            .filter((contribution) => contribution.value !== 0);
+        return { logit: intercept + contributions.reduce((sum, contribution) => sum + contribution.value, 0), contributions };
+    });
+}
+
+/**
+ * Applies a calibration (temperature and per-verdict offsets) to raw logits.
+ * @param {number[]} logits - One logit per verdict, in ENSEMBLE_VERDICTS order.
+ * @param {{ temperature: number, offsets: Record<string, number> }} [calibration]
+ * @returns {number[]} Probabilities in ENSEMBLE_VERDICTS order.
+ */
+export function calibrate(logits, calibration) {
+    const temperature = calibration?.temperature || 1;
+    return softmax(logits.map((logit, i) => logit / temperature + (calibration?.offsets?.[ENSEMBLE_VERDICTS[i]] ?? 0)));
+}
+
+/**
+ * Raw logits for a set of features, before calibration.
+ * @param {Record<string, number>} features
+ * @param {object} [model] - Weights; defaults to the loaded ones.
+ * @returns {number[]} One logit per verdict, in ENSEMBLE_VERDICTS order.
+ */
+export function ensembleLogits(features, model = weights) {
+    return linearScores(features, model).map((score) => score.logit);
+}
+
+/**
+ * Scores model outputs into calibrated verdict probabilities.
+ * @param {Record<string, number>} features - From extractFeatures() or featuresFromResult().
+ * @param {object} [model] - Weights; defaults to the loaded ones.
+ * @returns {{
+ *   verdict: string, confidence: number, probabilities: Record<string, number>,
+ *   contributions: { feature: string, value: number }[], weightsVersion: number | null, calibrated: boolean
+ * }} `contributions` are the features that moved the chosen verdict's logit the most.
+ */
+export function scoreEnsemble(features, model = weights) {
+    const scores = linearScores(features, model);
+    const probabilities = calibrate(scores.map((score) => score.logit), model.calibration);
+    const best = probabilities.indexOf(Math.max(...probabilities));
+
+    return {
+        verdict: ENSEMBLE_VERDICTS[best],
+        confidence: round(probabilities[best]),
+        probabilities: Object.fromEntries(ENSEMBLE_VERDICTS.map((verdict, i) => [verdict, round(probabilities[i])])),
+        contributions: scores[best].contributions
+            .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+            .slice(0, MAX_CONTRIBUTIONS)
+            .map(({ feature, value }) => ({ feature, value: round(value) })),
+        weightsVersion: model.version ?? null,
+        calibrated: Boolean(model.calibration?.samples),
+    };
+}
+
+// === Calibration ===
+
+// Dataset labels from LIAR, FakeNewsNet and similar sets, mapped onto the ensemble's verdicts
+const LABEL_ALIASES = {
+    authentic: 'authentic', real: 'authentic', true: 'authentic', 'mostly-true': 'authentic', reliable: 'authentic',
+    fake: 'fake', false: 'fake', 'pants-fire': 'fake', 'barely-true': 'fake', fabricated: 'fake', unreliable: 'fake',
+    satirical: 'satirical', satire: 'satirical', parody: 'satirical',
+};
+
+/**
+ * Maps a dataset label onto an ensemble verdict.
+ * @param {string | boolean} label
+ * @returns {string | null} null for labels without a clear verdict (e.g. LIAR's 'half-true').
+ */
+export function toVerdictLabel(label) {
+    return LABEL_ALIASES[String(label).trim().toLowerCase().replace(/[\s_]+/g, '-')] ?? null;
+}
+
+/**
+ * Expected calibration error: the gap between confidence and accuracy, averaged over confidence bins.
+ * @param {{ probabilities: number[], label: number }[]} predictions - Probabilities per class and the true class index.
+ * @param {number} [bins]
+ * @returns {number}
+ */
+export function expectedCalibrationError(predictions, bins = 10) {
+    const totals = Array.from({ length: bins }, () => ({ count: 0, confidence: 0, correct: 0 }));
+    for (const { probabilities, label } of predictions) {
+        const confidence = Math.max(...probabilities);
+        const bin = totals[Math.min(bins - 1, Math.floor(confidence * bins))];
+        bin.count++;
+        bin.confidence += confidence;
+        bin.correct += probabilities.indexOf(confidence) === label ? 1 : 0;
+    }
+    const error = totals.reduce((sum, bin) => sum + Math.abs(bin.confidence - bin.correct), 0);
+    return predictions.length ? round(error / predictions.length) : 0;
+}
+
+const negativeLogLikelihood = (samples, calibration) =>
+    samples.reduce((sum, { logits, label }) => sum - Math.log(Math.max(calibrate(logits, calibration)[label], 1e-12)), 0) / samples.length;
+
+/**
+ * Fits the temperature and per-verdict offsets that minimize the log loss on a labeled set,
+ * by gradient descent on log-temperature and the offsets. The weights themselves are unchanged.
+ * @param {{ features: Record<string, number>, label: string }[]} samples - Labels are ensemble verdicts.
+ * @param {object} [model] - Weights to calibrate; defaults to the loaded ones.
+ * @param {object} [options]
+ * @param {number} [options.iterations]
+ * @param {number} [options.learningRate]
+ * @returns {{ calibration: object, before: { logLoss: number, ece: number }, after: { logLoss: number, ece: number } }}
+ */
+export function fitCalibration(samples, model = weights, { iterations = 2000, learningRate = 0.05 } = {}) {
+    const data = samples.map(({ features, label }) => ({ logits: ensembleLogits(features, model), label: ENSEMBLE_VERDICTS.indexOf(label) }));
+    if (data.length === 0 || data.some((sample) => sample.label === -1)) {
+        throw new Error('Calibration needs at least one sample, each labeled with an ensemble verdict.');
+    }
+
+    let logTemperature = 0;
+    const offsets = ENSEMBLE_VERDICTS.map(() => 0);
+    for (let step = 0; step < iterations; step++) {
+        let gradTemperature = 0;
+        const gradOffsets = offsets.map(() => 0);
+        const temperature = Math.exp(logTemperature);
+        for (const { logits, label } of data) {
+            const probabilities = softmax(logits.map((logit, i) => logit / temperature + offsets[i]));
+            probabilities.forEach((probability, i) => {
+                const error = probability - (i === label ? 1 : 0);
+                gradOffsets[i] += error;
+                gradTemperature += error * -logits[i] / temperature;
+            });
+        }
+        logTemperature -= learningRate * gradTemperature / data.length;
+        offsets.forEach((_, i) => {
+            offsets[i] -= learningRate * gradOffsets[i] / data.length;
+        });
+    }
+
+    const calibration = {
+        temperature: round(Math.exp(logTemperature)),
+        // Offsets only matter relative to each other, so they are centered on zero
+        offsets: Object.fromEntries(ENSEMBLE_VERDICTS.map((verdict, i) =>
+            [verdict, round(offsets[i] - offsets.reduce((sum, value) => sum + value, 0) / offsets.length)])),
+    };
+    const evaluate = (candidate) => ({
+        logLoss: round(negativeLogLikelihood(data, candidate)),
+        ece: expectedCalibrationError(data.map(({ logits, label }) => ({ probabilities: calibrate(logits, candidate), label }))),
+    });
+    const before = evaluate(model.calibration);
+    const after = evaluate(calibration);
+
+    return {
+        calibration: { ...calibration, fittedAt: new Date().toISOString(), samples: data.length, ece: after.ece },
+        before,
+        after,
+    };
+}
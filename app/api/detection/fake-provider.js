@@ -0,0 +1,111 @@
+// app/api/detection/fake-provider.js
+// A provider that answers every detection slot without a model, for tests, CI and offline
+// development (MODEL_PROVIDER=fake). Outputs are derived from a hash of the input, so the same
+// text always gets the same scores and verdicts, and they have the shape the real models return.
+// They carry no meaning about the text.
+import { createHash } from 'crypto';
+
+// The synthesis schema's primary and tertiary types. Not imported from structured-output.js,
+// which imports providers.js, which imports this file.
+const PRIMARY_TYPES = ['authentic', 'fake', 'satirical'];
+const BIAS_TYPES = ['left_leaning', 'right_leaning', 'neutral'];
+
+const EMBEDDING_DIMENSIONS = 64;
+const MAX_FAKE_CLAIMS = 3;
+
+// A number in [0, 1) fixed by the text and salt
+const hashScore = (text, salt = '') =>
+    createHash('sha256').update(`${salt}\u0000${text}`).digest().readUInt32BE(0) / 2 ** 32;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const sentences = (text) => text.split(/(?<=[.!?])\s+/).map((sentence) => sentence.trim()).filter(Boolean);
+
+// The article fenced by prompt-guard, or the last section for plain prompts (translation, condensing)
+function readPrompt(prompt) {
+    const fenced = /<<<([A-Z]+_[0-9A-F]{12})\n([\s\S]*?)\n\1>>>/.exec(prompt);
+    if (fenced) {
+        return { article: fenced[2], instructions: prompt.replace(fenced[0], '') };
+    }
+    return { article: prompt.split(/^### [^\n]*:\n/m).pop().trim(), instructions: prompt };
+}
+
+const classification = (type, article, salt) => ({
+    type,
+    quote: (sentences(article)[0] || article).slice(0, 200),
+    model_confidence: 0.5,
+    llm_confidence: round(0.5 + hashScore(article, `${salt}:confidence`) * 0.4),
+    llm_reason: 'Deterministic output of the fake model provider.',
+    llm_positive: type !== 'fake',
+});
+
+function fakeSynthesis(article, instructions) {
+    const evidenceIds = [...new Set([...instructions.matchAll(/"id": "(E\d+)"/g)].map((match) => match[1]))];
+    return {
+        summary: `Fake summary of a ${article.length}-character article.`,
+        primary_classification: classification(PRIMARY_TYPES[Math.floor(hashScore(article, 'primary') * PRIMARY_TYPES.length)], article, 'primary'),
+        secondary_classification: classification('news report', article, 'secondary'),
+        tertiary_classification: classification(BIAS_TYPES[Math.floor(hashScore(article, 'tertiary') * BIAS_TYPES.length)], article, 'tertiary'),
+        ...(instructions.includes('"evidence": [') && {
+            evidence: evidenceIds.map((id) => ({ id, stance: 'unrelated', reason: 'Deterministic output of the fake model provider.' })),
+        }),
+    };
+}
+
+// Sentences with a number read as statistics, which every article about events has some of
+function fakeClaims(article) {
+    return {
+        claims: sentences(article).filter((sentence) => /\d/.test(sentence)).slice(0, MAX_FAKE_CLAIMS).map((sentence) => ({
+            claim: sentence,
+            source_text: sentence,
+            speaker: null,
+            kind: 'statistic',
+            verdict: 'unverifiable',
+            confidence: 0.5,
+            rationale: 'Deterministic output of the fake model provider.',
+        })),
+    };
+}
+
+export const fake = {
+    // politicalBiasBERT's three classes for the bias slots, LABEL_0/LABEL_1 (sarcastic) otherwise
+    async classify(config, text) {
+        const labels = config.slot.startsWith('politicalBias') ? ['LABEL_0', 'LABEL_1', 'LABEL_2'] : ['LABEL_0', 'LABEL_1'];
+        const weights = labels.map((label) => hashScore(text, `${config.slot}:${label}`) + 0.1);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return [labels
+            .map((label, index) => ({ label, score: round(weights[index] / total) }))
+            .sort((a, b) => b.score - a.score)];
+    },
+
+    async zeroShot(config, text, labels) {
+        const scored = labels
+            .map((label) => ({ label, score: round(hashScore(text, `${config.slot}:${label}`)) }))
+            .sort((a, b) => b.score - a.score);
+        return { sequence: text, labels: scored.map(({ label }) => label), scores: scored.map(({ score }) => score) };
+    },
+
+    // Hashed bag of words, so texts that share words are similar as with a real embedding model
+    async embed(config, texts) {
+        return texts.map((text) => {
+            const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+            for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+                vector[Math.floor(hashScore(word) * EMBEDDING_DIMENSIONS)] += 1;
+            }
+            const norm = Math.hypot(...vector) || 1;
+            return vector.map((value) => value / norm);
+        });
+    },
+
+    async generate(config, prompt) {
+        const { article, instructions } = readPrompt(prompt);
+        if (instructions.includes('"primary_classification"')) {
+            return JSON.stringify(fakeSynthesis(article, instructions));
+        }
+        if (instructions.includes('"claims"')) {
+            return JSON.stringify(fakeClaims(article));
+        }
+        // Translation and condensing prompts get the passage back unchanged
+        return article;
+    },
+};
@@ -0,0 +1,120 @@
+// app/api/detection/model-fixtures.js
+// Record-and-replay for outbound model calls. In record mode every successful call made through
+// safeFetchWithRetry (Hugging Face, Gemini, OpenAI-compatible endpoints and Gemini OCR) is saved
+// to MODEL_FIXTURES_DIR as <request hash>.json; in replay mode the saved responses are served and
+// nothing goes over the network, so the pipeline runs without API keys.
+import { existsSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { dirname, join, resolve } from 'path';
+
+// Settings, overridable per deployment. Read on every call, like the model slots, so scripts can
+// switch modes at run time.
+// MODEL_FIXTURES: 'record', 'replay' or 'off'
+// MODEL_FIXTURES_DIR: relative paths are resolved against the project root
+const DEFAULT_FIXTURES_DIR = 'fixtures/model-responses';
+
+// Prompt parts that change on every run: prompt-guard's fence nonces and the current date
+const VOLATILE = [
+    [/\b([A-Z]+)_[0-9A-F]{12}\b/g, '$1_NONCE'],
+    [/(The current date is: )[^*\n]+/g, '$1DATE'],
+];
+
+const stats = { recorded: 0, replayed: 0, missing: 0 };
+
+const fixturesMode = () => (['record', 'replay'].includes(process.env.MODEL_FIXTURES) ? process.env.MODEL_FIXTURES : 'off');
+
+// The nearest folder with a package.json above the working directory, so fixtures land in the same
+// place wherever in the project the server or a script was started
+function projectRoot() {
+    for (let dir = process.cwd(); ; dir = dirname(dir)) {
+        if (existsSync(join(dir, 'package.json'))) return dir;
+        if (dirname(dir) === dir) return process.cwd();
+    }
+}
+
+const fixturesDir = () => resolve(projectRoot(), process.env.MODEL_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+
+/**
+ * Whether model calls are being served from fixtures. Providers skip their API key checks then,
+ * since replayed calls never reach the endpoint.
+ * @returns {boolean}
+ */
+export function isReplayingFixtures() {
+    return fixturesMode() === 'replay';
+}
+
+/**
+ * Counts of calls recorded, replayed and missing from the fixtures since the process started.
+ * @returns {{ recorded: number, replayed: number, missing: number }}
+ */
+export function getFixtureStats() {
+    return { ...stats };
+}
+
+/**
+ * Replaces the parts of a prompt that differ between otherwise identical runs with placeholders,
+ * so a recorded call is found again when the same text is analyzed later.
+ * @param {string} text - A prompt or request body.
+ * @returns {string} The text with fence nonces and the current date masked.
+ */
+export function maskVolatile(text) {
+    return VOLATILE.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), text);
+}
+
+const parseBody = (body) => {
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body ?? null;
+    }
+};
+
+// Headers are left out: they carry API keys, and a different key must not change the fixture.
+// Strings are masked after parsing, since escaping in the raw JSON body hides word boundaries.
+function fixtureKey(url, options) {
+    const body = JSON.stringify(parseBody(options?.body), (name, value) => (typeof value === 'string' ? maskVolatile(value) : value));
+    return createHash('sha256').update(JSON.stringify([options?.method || 'GET', url, body])).digest('hex');
+}
+
+/**
+ * Runs a model call through the fixture layer: live when fixtures are off, live and saved in
+ * record mode, and from disk in replay mode. A replayed call without a fixture fails like an
+ * unreachable endpoint.
+ * @param {string} url - The request URL.
+ * @param {object} options - The fetch options.
+ * @param {() => Promise<any>} fetchLive - Performs the call and returns the parsed JSON response.
+ * @returns {Promise<any>} The parsed JSON response.
+ */
+export async function withFixtures(url, options, fetchLive) {
+    const mode = fixturesMode();
+    if (mode === 'off') {
+        return await fetchLive();
+    }
+
+    const key = fixtureKey(url, options);
+    const dir = fixturesDir();
+    const file = join(dir, `${key}.json`);
+
+    if (mode === 'replay') {
+        let fixture;
+        try {
+            fixture = JSON.parse(await readFile(file, 'utf8'));
+        } catch {
+            stats.missing++;
+            throw new Error(`No recorded model response for ${new URL(url).pathname} (fixture ${key}).`);
+        }
+        stats.replayed++;
+        return fixture.response;
+    }
+
+    const response = await fetchLive();
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, `${JSON.stringify({
+        request: { method: options?.method || 'GET', url, body: parseBody(options?.body) },
+        response,
+        recordedAt: new Date().toISOString(),
+    }, null, 2)}\n`);
+    stats.recorded++;
+    return response;
+}
@@ -0,0 +1,371 @@
+// app/api/detection/providers.js
+// Model-provider layer. Every model slot used by the detection pipeline
+// (zeroShot, sarcasm, politicalBias, synthesis, the multilingual variants and the evidence embeddings)
+// resolves to a provider at call time, so hosted, self-hosted and in-process backends can be mixed freely. The ocr slot is configured
+// here too, but its engines live in analyze/ocr.js.
+import { isReplayingFixtures, withFixtures } from './model-fixtures.js';
+import { fake } from './fake-provider.js';
+
+// === Slot Configuration ===
+// Each slot reads <PREFIX>_PROVIDER, <PREFIX>_MODEL, <PREFIX>_ENDPOINT and
+// <PREFIX>_API_KEY from the environment, falling back to the defaults below.
+// MODEL_PROVIDER replaces the default provider of every slot except ocr, whose engines differ.
+// A provider without a default model here needs <PREFIX>_MODEL.
+const MODEL_SLOTS = {
+    zeroShot: {
+        task: 'zero-shot-classification',
+        envPrefix: 'ZERO_SHOT',
+        defaultProvider: 'huggingface',
+        models: {
+            huggingface: 'facebook/bart-large-mnli',
+            local: 'Xenova/bart-large-mnli',
+        },
+    },
+    // Used instead of zeroShot for non-English text
+    zeroShotMultilingual: {
+        task: 'zero-shot-classification',
+        envPrefix: 'ZERO_SHOT_MULTILINGUAL',
+        defaultProvider: 'huggingface',
+        models: {
+            huggingface: 'MoritzLaurer/mDeBERTa-v3-base-mnli-xnli',
+            local: 'Xenova/mDeBERTa-v3-base-xnli-multilingual-nli-2mil7',
+        },
+    },
+    sarcasm: {
+        task: 'text-classification',
+        envPrefix: 'SARCASM',
+        defaultProvider: 'huggingface',
+        maxLength: 2000,
+        // No ONNX build of the default model is published, so local needs SARCASM_MODEL
+        models: {
+            huggingface: 'helinivan/multilingual-sarcasm-detector',
+        },
+    },
+    politicalBias: {
+        task: 'text-classification',
+        envPrefix: 'POLITICAL_BIAS',
+        defaultProvider: 'huggingface',
+        maxLength: 500,
+        // As for sarcasm, local needs POLITICAL_BIAS_MODEL (an ONNX model with politicalBiasBERT's classes)
+        models: {
+            huggingface: 'bucketresearch/politicalBiasBERT',
+        },
+    },
+    // Used instead of politicalBias for non-English text. There is no default model; when none is
+    // configured, non-English text is translated and scored by politicalBias. A configured model must
+    // use politicalBiasBERT's classes (LABEL_0 left, LABEL_1 center, LABEL_2 right).
+    politicalBiasMultilingual: {
+        task: 'text-classification',
+        envPrefix: 'POLITICAL_BIAS_MULTILINGUAL',
+        defaultProvider: 'huggingface',
+        maxLength: 500,
+        models: {},
+    },
+    synthesis: {
+        task: 'text-generation',
+        envPrefix: 'SYNTHESIS',
+        defaultProvider: 'gemini',
+        models: {
+            gemini: 'gemini-2.5-flash-preview-05-20',
+            openai: 'gpt-4o-mini',
+            local: 'Xenova/Qwen1.5-0.5B-Chat',
+        },
+    },
+    // Sentence embeddings for evidence retrieval (see app/api/evidence). Changing the model re-embeds the corpus.
+    embedding: {
+        task: 'feature-extraction',
+        envPrefix: 'EMBEDDING',
+        defaultProvider: 'local',
+        models: {
+            huggingface: 'sentence-transformers/all-MiniLM-L6-v2',
+            local: 'Xenova/all-MiniLM-L6-v2',
+        },
+    },
+    // Photo mode and scanned documents. For tesseract the model is the language list, e.g. 'eng+deu'.
+    ocr: {
+        task: 'image-to-text',
+        envPrefix: 'OCR',
+        defaultProvider: 'gemini',
+        models: {
+            gemini: 'gemini-2.5-flash-preview-05-20',
+            tesseract: 'eng',
+        },
+    },
+};
+
+const HF_INFERENCE_BASE = 'https://api-inference.huggingface.co/models';
+// Sentence-transformers models default to the sentence-similarity task on the hosted API
+const HF_FEATURE_EXTRACTION_BASE = 'https://api-inference.huggingface.co/pipeline/feature-extraction';
+const GEMINI_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+const OPENAI_ENDPOINT = 'https://api.openai.com/v1/chat/completions';
+
+// === Safe Fetch with Retry ===
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function safeFetchWithRetry(url, options, retries = 3) {
+    return await withFixtures(url, options, () => fetchWithRetry(url, options, retries));
+}
+
+async function fetchWithRetry(url, options, retries) {
+    let attempt = 0;
+    while (attempt < retries) {
+        try {
+            const res = await fetch(url, options);
+
+            if (res.ok) {
+                return await res.json();
+            }
+
+            if (res.status === 429 && attempt < retries - 1) {
+                const delay = Math.pow(2, attempt) * 1000;
+                console.warn(`[Rate Limit] Retrying in ${delay}ms...`);
+                await wait(delay);
+                attempt++;
+                continue;
+            }
+
+            throw new Error(`API error ${res.status}: ${res.statusText}`);
+        } catch (error) {
+            // Never retry a request the caller has cancelled
+            if (options?.signal?.aborted) throw error;
+
+            console.error(`[Fetch Error] Attempt ${attempt + 1}: ${error.message}`);
+            if (attempt === retries - 1) throw error;
+            await wait(Math.pow(2, attempt) * 1000);
+            attempt++;
+        }
+    }
+}
+
+/**
+ * Resolves the effective configuration for a model slot from the environment.
+ * @param {string} slot - One of the keys of MODEL_SLOTS.
+ * @returns {object} The slot configuration (provider, model, endpoint, apiKey, ...).
+ */
+export function getModelConfig(slot) {
+    const definition = MODEL_SLOTS[slot];
+    if (!definition) {
+        throw new Error(`Unknown model slot "${slot}".`);
+    }
+
+    const env = (name) => process.env[`${definition.envPrefix}_${name}`];
+    const provider = env('PROVIDER') || (slot !== 'ocr' && process.env.MODEL_PROVIDER) || definition.defaultProvider;
+
+    return {
+        slot,
+        task: definition.task,
+        provider,
+        model: env('MODEL') || definition.models[provider],
+        endpoint: env('ENDPOINT'),
+        apiKey: env('API_KEY'),
+        maxLength: definition.maxLength,
+    };
+}
+
+// Hosted endpoints need a key; self-hosted endpoints and replayed fixtures may run without one.
+function requireKey(config, fallbackEnv) {
+    const key = config.apiKey || process.env[fallbackEnv];
+    if (!key && !config.endpoint && !isReplayingFixtures()) {
+        throw new Error(`Missing ${fallbackEnv} for the ${config.slot} model slot.`);
+    }
+    return key;
+}
+
+// Hugging Face returns [[{label, score}]]; TEI and transformers.js return a flat list.
+function normalizeClassification(result) {
+    if (Array.isArray(result) && result.length > 0 && !Array.isArray(result[0])) {
+        return [result];
+    }
+    return result;
+}
+
+// === Hugging Face Inference (hosted or self-hosted inference toolkit/TEI) ===
+const huggingface = {
+    async classify(config, text, { signal } = {}) {
+        const result = await huggingface.request(config, { inputs: text }, signal);
+        return normalizeClassification(result);
+    },
+
+    async zeroShot(config, text, labels, { signal } = {}) {
+        return await huggingface.request(config, {
+            inputs: text,
+            parameters: { candidate_labels: labels, multi_label: true },
+        }, signal);
+    },
+
+    // Hosted feature extraction and TEI's /embed both return one pooled vector per input
+    async embed(config, texts, { signal } = {}) {
+        return await huggingface.request(config, { inputs: texts }, signal, `${HF_FEATURE_EXTRACTION_BASE}/${config.model}`);
+    },
+
+    async request(config, body, signal, hostedUrl = `${HF_INFERENCE_BASE}/${config.model}`) {
+        const key = requireKey(config, 'HF_ACCESS_TOKEN');
+        return await safeFetchWithRetry(config.endpoint || hostedUrl, {
+            headers: {
+                ...(key && { Authorization: `Bearer ${key}` }),
+                'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify(body),
+            signal,
+        });
+    },
+};
+
+// === Google Gemini ===
+const gemini = {
+    async generate(config, prompt, { signal, json } = {}) {
+        const key = requireKey(config, 'LLM_API_KEY');
+        const result = await safeFetchWithRetry(config.endpoint || `${GEMINI_BASE}/${config.model}:generateContent`, {
+            headers: {
+                ...(key && { 'x-goog-api-key': key }),
+                'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify({
+                contents: [{ parts: [{ text: prompt }] }],
+                ...(json && { generationConfig: { responseMimeType: 'application/json' } }),
+            }),
+            signal,
+        });
+
+        return result?.candidates?.[0]?.content?.parts?.[0]?.text ?? null;
+    },
+};
+
+// === OpenAI-compatible Chat Completions (OpenAI, TGI Messages API, vLLM, llama.cpp) ===
+const openai = {
+    async generate(config, prompt, { signal, json } = {}) {
+        const key = config.apiKey || process.env.OPENAI_API_KEY;
+        if (!key && !config.endpoint && !isReplayingFixtures()) {
+            throw new Error(`Missing OPENAI_API_KEY for the ${config.slot} model slot.`);
+        }
+
+        const result = await safeFetchWithRetry(config.endpoint || OPENAI_ENDPOINT, {
+            headers: {
+                ...(key && { Authorization: `Bearer ${key}` }),
+                'Content-Type': 'application/json',
+            },
+            method: 'POST',
+            body: JSON.stringify({
+                model: config.model,
+                messages: [{ role: 'user', content: prompt }],
+                ...(json && { response_format: { type: 'json_object' } }),
+            }),
+            signal,
+        });
+
+        return result?.choices?.[0]?.message?.content ?? null;
+    },
+};
+
+// === In-process ONNX models via @xenova/transformers ===
+// Pipelines are loaded lazily and kept for the lifetime of the server process.
+// Set LOCAL_MODELS_PATH to a folder of converted models and
+// LOCAL_MODELS_ALLOW_REMOTE=false to run fully air-gapped.
+const localPipelines = new Map();
+
+async function getLocalPipeline(task, model) {
+    const key = `${task}:${model}`;
+    if (!localPipelines.has(key)) {
+        const loading = import('@xenova/transformers').then(({ pipeline, env }) => {
+            if (process.env.LOCAL_MODELS_PATH) {
+                env.localModelPath = process.env.LOCAL_MODELS_PATH;
+            }
+            env.allowRemoteModels = process.env.LOCAL_MODELS_ALLOW_REMOTE !== 'false';
+            return pipeline(task, model);
+        });
+        // Drop failed loads so the next request can retry
+        loading.catch(() => localPipelines.delete(key));
+        localPipelines.set(key, loading);
+    }
+    return await localPipelines.get(key);
+}
+
+const local = {
+    async classify(config, text) {
+        const classifier = await getLocalPipeline('text-classification', config.model);
+        return normalizeClassification(await classifier(text, { topk: 0 }));
+    },
+
+    async zeroShot(config, text, labels) {
+        const classifier = await getLocalPipeline('zero-shot-classification', config.model);
+        return await classifier(text, labels, { multi_label: true });
+    },
+
+    async embed(config, texts) {
+        const extractor = await getLocalPipeline('feature-extraction', config.model);
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        return output.tolist();
+    },
+
+    async generate(config, prompt) {
+        const generator = await getLocalPipeline('text-generation', config.model);
+        const input = generator.tokenizer.apply_chat_template
+            ? generator.tokenizer.apply_chat_template([{ role: 'user', content: prompt }], {
+                tokenize: false,
+                add_generation_prompt: true,
+            })
+            : prompt;
+
+        const [output] = await generator(input, { max_new_tokens: 1024 });
+        const generated = output?.generated_text ?? '';
+        return generated.startsWith(input) ? generated.slice(input.length) : generated;
+    },
+};
+
+// `fake` answers every slot without a model, for tests and offline development (see fake-provider.js)
+const PROVIDERS = { huggingface, gemini, openai, local, fake };
+
+function resolveProvider(slot, capability) {
+    const config = getModelConfig(slot);
+    const provider = PROVIDERS[config.provider];
+
+    if (!provider) {
+        throw new Error(`Unknown provider "${config.provider}" for the ${slot} model slot.`);
+    }
+    if (typeof provider[capability] !== 'function') {
+        throw new Error(`Provider "${config.provider}" cannot serve the ${slot} model slot.`);
+    }
+    // The fake provider answers without a model
+    if (!config.model && config.provider !== 'fake') {
+        throw new Error(`No default ${config.provider} model for the ${slot} model slot; set ${MODEL_SLOTS[slot].envPrefix}_MODEL.`);
+    }
+
+    return { config, provider };
+}
+
+// === Public Entry Points ===
+
+/**
+ * Runs a text-classification slot and returns Hugging Face style [[{ label, score }]].
+ */
+export async function runClassification(slot, text, options) {
+    const { config, provider } = resolveProvider(slot, 'classify');
+    return await provider.classify(config, text, options);
+}
+
+/**
+ * Runs a zero-shot slot and returns { sequence, labels, scores }.
+ */
+export async function runZeroShot(slot, text, labels, options) {
+    const { config, provider } = resolveProvider(slot, 'zeroShot');
+    return await provider.zeroShot(config, text, labels, options);
+}
+
+/**
+ * Runs a text-generation slot and returns the generated text, or null if the provider returned nothing.
+ * Pass { json: true } to request JSON mode from providers that support it; others ignore the flag.
+ */
+export async function runGeneration(slot, prompt, options) {
+    const { config, provider } = resolveProvider(slot, 'generate');
+    return await provider.generate(config, prompt, options);
+}
+
+/**
+ * Runs an embedding slot and returns one vector per input text.
+ */
+export async function runEmbedding(slot, texts, options) {
+    const { config, provider } = resolveProvider(slot, 'embed');
+    return await provider.embed(config, texts, options);
+}
@@ -0,0 +1,231 @@
+// app/api/detection/structured-output.js
+// Schemas for the JSON the synthesis LLM must return, plus a generate -> validate ->
+// repair -> retry loop so malformed output never reaches the client unchecked.
+import { z } from 'zod';
+import { runGeneration } from './providers.js';
+
+// Total generation attempts per structured request (first try + retries)
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.SYNTHESIS_MAX_ATTEMPTS) || 2);
+
+// === Schemas ===
+
+export const PRIMARY_TYPES = ['authentic', 'fake', 'satirical'];
+export const BIAS_TYPES = ['left_leaning', 'right_leaning', 'neutral'];
+export const CLAIM_VERDICTS = ['supported', 'misleading', 'false', 'unverifiable'];
+export const CLAIM_KINDS = ['quote', 'statistic', 'date', 'event', 'other'];
+export const EVIDENCE_STANCES = ['supports', 'contradicts', 'unrelated'];
+
+const confidence = z.number().min(0).max(1);
+
+const classification = (type) => z.strictObject({
+    type,
+    quote: z.string().min(1),
+    model_confidence: confidence,
+    llm_confidence: confidence,
+    llm_reason: z.string().min(1),
+    llm_positive: z.boolean(),
+});
+
+export const SynthesisSchema = z.strictObject({
+    summary: z.string().min(1),
+    primary_classification: classification(z.enum(PRIMARY_TYPES)),
+    secondary_classification: classification(z.string().min(1)),
+    tertiary_classification: classification(z.enum(BIAS_TYPES)),
+});
+
+// Used when related coverage is given: the synthesis also judges each passage's stance
+export const SynthesisWithEvidenceSchema = SynthesisSchema.extend({
+    evidence: z.array(z.strictObject({
+        id: z.string().regex(/^E\d+$/),
+        stance: z.enum(EVIDENCE_STANCES),
+        reason: z.string().min(1),
+    })),
+});
+
+export const ClaimsSchema = z.strictObject({
+    claims: z.array(z.strictObject({
+        claim: z.string().min(1),
+        source_text: z.string().min(1),
+        speaker: z.string().nullable(),
+        kind: z.enum(CLAIM_KINDS),
+        verdict: z.enum(CLAIM_VERDICTS),
+        confidence,
+        rationale: z.string().min(1),
+    })),
+});
+
+// === Repair ===
+// Deterministic fixes for the mistakes LLMs make most often. Anything that is
+// still invalid afterwards goes back to the model with the validation errors.
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function toBoolean(value) {
+    if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+        return value.trim().toLowerCase() === 'true';
+    }
+    return value;
+}
+
+// Accepts "0.8", "80%" and 80 for a 0-1 confidence; leaves genuinely out-of-range values alone
+function toConfidence(value) {
+    let number = value;
+    if (typeof number === 'string') {
+        const match = number.trim().match(/^(-?\d+(?:\.\d+)?)\s*(%?)$/);
+        if (!match) return value;
+        number = Number(match[1]) / (match[2] ? 100 : 1);
+    }
+    if (typeof number === 'number' && number > 1 && number <= 100) {
+        return number / 100;
+    }
+    return number;
+}
+
+// Maps "Left Leaning" or "left-leaning" onto "left_leaning" when that is an allowed value
+function toEnum(value, allowed) {
+    if (typeof value !== 'string') return value;
+    const normalized = value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return allowed.includes(normalized) ? normalized : value;
+}
+
+// Keeps only the keys a strict schema allows
+function pick(object, keys) {
+    return Object.fromEntries(keys.filter((key) => key in object).map((key) => [key, object[key]]));
+}
+
+function repairClassification(value, allowedTypes) {
+    if (!isPlainObject(value)) return value;
+
+    const repaired = pick(value, ['type', 'quote', 'model_confidence', 'llm_confidence', 'llm_reason', 'llm_positive']);
+    repaired.type = allowedTypes ? toEnum(repaired.type, allowedTypes) : repaired.type;
+    repaired.model_confidence = toConfidence(repaired.model_confidence);
+    repaired.llm_confidence = toConfidence(repaired.llm_confidence);
+    repaired.llm_positive = toBoolean(repaired.llm_positive);
+    return repaired;
+}
+
+export function repairSynthesis(value) {
+    if (!isPlainObject(value)) return value;
+
+    return {
+        summary: value.summary,
+        primary_classification: repairClassification(value.primary_classification, PRIMARY_TYPES),
+        secondary_classification: repairClassification(value.secondary_classification),
+        tertiary_classification: repairClassification(value.tertiary_classification, BIAS_TYPES),
+        ...(Array.isArray(value.evidence) && {
+            evidence: value.evidence.filter(isPlainObject).map((item) => ({
+                ...pick(item, ['id', 'reason']),
+                stance: toEnum(item.stance, EVIDENCE_STANCES),
+            })),
+        }),
+    };
+}
+
+export function repairClaims(value) {
+    const claims = Array.isArray(value) ? value : value?.claims;
+    if (!Array.isArray(claims)) return value;
+
+    return {
+        claims: claims.filter(isPlainObject).map((claim) => ({
+            ...pick(claim, ['claim', 'source_text', 'rationale']),
+            speaker: claim.speaker || null,
+            kind: toEnum(claim.kind, CLAIM_KINDS),
+            verdict: toEnum(claim.verdict, CLAIM_VERDICTS),
+            confidence: toConfidence(claim.confidence),
+        })),
+    };
+}
+
+// === Parsing ===
+
+/**
+ * Extracts a JSON value from an LLM response, tolerating code fences,
+ * surrounding prose and trailing commas.
+ * @param {string} responseText - The raw model output.
+ * @returns {any}
+ */
+export function parseLLMJson(responseText) {
+    const fenced = responseText.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
+    let candidate = fenced ? fenced[1] : responseText;
+
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        candidate = candidate.slice(start, end + 1);
+    }
+
+    try {
+        return JSON.parse(candidate);
+    } catch {
+        return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+    }
+}
+
+const formatIssues = (error) =>
+    error.issues.map(({ path, message }) => ({ path: path.join('.') || '(root)', message }));
+
+function buildRetryPrompt(prompt, previousResponse, errors) {
+    return `${prompt}
+## Correction Required:
+Your previous response did not match the required output format. Reply again with corrected JSON only, fixing every problem below:
+${errors.map(({ path, message }) => `- ${path}: ${message}`).join('\n')}
+
+### Previous Response:
+${String(previousResponse ?? '').slice(0, 4000)}
+`;
+}
+
+/**
+ * Requests JSON from the synthesis slot and validates it against a schema.
+ * Each attempt asks for JSON mode, then tries the parsed output as-is and after a
+ * repair pass; if both fail, the next attempt re-prompts with the validation errors.
+ * @param {string} prompt - The prompt describing the required JSON.
+ * @param {z.ZodType} schema - The schema the output must satisfy.
+ * @param {object} [options]
+ * @param {Function} [options.repair] - Deterministic repair applied to invalid output.
+ * @param {AbortSignal} [options.signal] - Cancels the generation requests.
+ * @returns {Promise<{ data: object | null, validation: object }>} `data` is null when every attempt failed.
+ */
+export async function generateStructured(prompt, schema, { repair, signal } = {}) {
+    let errors = [];
+    let previousResponse = null;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const currentPrompt = attempt === 1 ? prompt : buildRetryPrompt(prompt, previousResponse, errors);
+        const responseText = await runGeneration('synthesis', currentPrompt, { signal, json: true });
+        previousResponse = responseText;
+
+        if (!responseText) {
+            errors = [{ path: '(root)', message: 'The model returned an empty response.' }];
+            continue;
+        }
+
+        let parsed;
+        try {
+            parsed = parseLLMJson(responseText);
+        } catch (err) {
+            console.error(`[LLM JSON Parse Error] ${err.message}`);
+            errors = [{ path: '(root)', message: `Invalid JSON: ${err.message}` }];
+            continue;
+        }
+
+        const result = schema.safeParse(parsed);
+        if (result.success) {
+            return { data: result.data, validation: { valid: true, attempts: attempt, repaired: false, errors: [] } };
+        }
+
+        // The errors that the repair pass fixed are still reported for visibility
+        errors = formatIssues(result.error);
+        if (repair) {
+            const repaired = schema.safeParse(repair(parsed));
+            if (repaired.success) {
+                return { data: repaired.data, validation: { valid: true, attempts: attempt, repaired: true, errors } };
+            }
+            errors = formatIssues(repaired.error);
+        }
+
+        console.warn(`[LLM Validation] Attempt ${attempt} failed: ${errors.map((e) => `${e.path}: ${e.message}`).join('; ')}`);
+    }
+
+    return { data: null, validation: { valid: false, attempts: MAX_ATTEMPTS, repaired: false, errors } };
+}
@@ -0,0 +1,299 @@
+// app/api/evidence/claim-reviews.js
+// Index of published fact-checks. Fact-checkers mark up their verdicts as schema.org
+// ClaimReview JSON-LD; this module ingests it from feeds (CLAIMREVIEW_FEEDS: DataFeed JSON,
+// plain JSON or fact-check pages) and dumps in a folder (CLAIMREVIEW_DIR), embeds each
+// reviewed claim, and matches an article's extracted claims against them.
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import * as cheerio from 'cheerio';
+import { safeFetch } from '../analyze/safe-fetcher.js';
+import { splitText, sampleChunks } from '../detection/chunking.js';
+import { attachVectors, createRefreshingIndex, embedTexts, embeddingModel, similarity, vectorHash } from './vectors.js';
+import { loadFolder, saveUpload, toIsoDate } from './source-files.js';
+
+// Settings, overridable per deployment
+const CLAIMREVIEW_DIR = process.env.CLAIMREVIEW_DIR || null;
+const CLAIMREVIEW_FEEDS = (process.env.CLAIMREVIEW_FEEDS || '').split(/[\s,]+/).filter(Boolean);
+const INDEX_FILE = process.env.CLAIMREVIEW_INDEX_FILE || join(tmpdir(), 'checkmatic-claimreview-index.json');
+const REFRESH_MS = (Number(process.env.CLAIMREVIEW_REFRESH_MINUTES) || 360) * 60 * 1000;
+// Bulk feeds hold hundreds of thousands of reviews; only the newest are indexed
+const MAX_ITEMS = Number(process.env.CLAIMREVIEW_MAX_ITEMS) || 20000;
+const FEED_MAX_BYTES = Number(process.env.CLAIMREVIEW_FEED_MAX_BYTES) || 50 * 1024 * 1024;
+// A match at or above STRONG_SCORE is treated as the same claim and given to the synthesis;
+// matches down to MIN_SCORE are only shown as possibly related
+const MIN_SCORE = Number(process.env.CLAIMREVIEW_MIN_SCORE) || 0.6;
+const STRONG_SCORE = Number(process.env.CLAIMREVIEW_STRONG_SCORE) || 0.75;
+const TOP_K = 5;
+const MAX_ARTICLE_QUERIES = 2;
+const QUERY_LENGTH = 500;
+
+// Dumps in CLAIMREVIEW_DIR may be as large as a bulk feed
+const FOLDER_OPTIONS = { extensions: ['.json', '.jsonl', '.html', '.htm'], maxBytes: FEED_MAX_BYTES, label: 'ClaimReview' };
+const FEED_TYPES = ['application/json', 'application/ld+json', 'text/html', 'application/xhtml+xml'];
+
+export const FACT_CHECK_VERDICTS = ['false', 'misleading', 'true', 'unrated'];
+
+/**
+ * Whether any ClaimReview source is configured; matching is skipped entirely otherwise.
+ * @returns {boolean}
+ */
+export function isClaimReviewConfigured() {
+    return Boolean(CLAIMREVIEW_DIR || CLAIMREVIEW_FEEDS.length);
+}
+
+// === Parsing ===
+
+const isType = (node, type) => [].concat(node?.['@type'] || []).includes(type);
+
+const nameOf = (value) => (typeof value === 'string' ? value : value?.name || null);
+
+// Finds ClaimReview nodes anywhere in a JSON-LD document: @graph, DataFeed elements and nested items
+function collectClaimReviews(node, found = [], depth = 0) {
+    if (!node || typeof node !== 'object' || depth > 8) return found;
+    if (Array.isArray(node)) {
+        node.forEach((child) => collectClaimReviews(child, found, depth + 1));
+        return found;
+    }
+    if (isType(node, 'ClaimReview')) {
+        found.push(node);
+        return found;
+    }
+    Object.values(node).forEach((child) => collectClaimReviews(child, found, depth + 1));
+    return found;
+}
+
+// Ratings use free-text labels ("Pants on Fire", "Missing context") and publisher-specific scales
+const TRUE_LABEL = /^(true|correct|accurate|mostly (true|correct|accurate)|verdadero|vrai|richtig|wahr)\b/i;
+const FALSE_LABEL = /\b(false|fake|pants on fire|incorrect|wrong|fabricat\w*|hoax|not true|baseless|scam|debunked|falso|faux|falsch)\b/i;
+const MISLEADING_LABEL = /\b(misleading|out of context|missing context|lacks context|needs context|exaggerat\w*|distort\w*|partly|partially|half|mixed|mixture|manipulated|cherry|unproven|unsupported|satire)\b/i;
+
+function toVerdict(rating) {
+    const label = rating?.label || '';
+    if (/mostly false|pants on fire/i.test(label)) return 'false';
+    if (TRUE_LABEL.test(label)) return 'true';
+    if (MISLEADING_LABEL.test(label)) return 'misleading';
+    if (FALSE_LABEL.test(label)) return 'false';
+
+    const { value, best, worst } = rating || {};
+    if ([value, best, worst].every(Number.isFinite) && best !== worst) {
+        const position = (value - worst) / (best - worst);
+        if (position <= 0.25) return 'false';
+        if (position >= 0.75) return 'true';
+        return 'misleading';
+    }
+    return 'unrated';
+}
+
+function normalizeReview(node) {
+    const claim = typeof node.claimReviewed === 'string' ? node.claimReviewed.trim() : '';
+    if (!claim) return null;
+
+    const reviewed = [].concat(node.itemReviewed || [])[0] || {};
+    const ratingNode = [].concat(node.reviewRating || [])[0] || {};
+    const number = (value) => (value === undefined || value === null || value === '' || !Number.isFinite(Number(value)) ? null : Number(value));
+    const rating = {
+        label: ratingNode.alternateName || ratingNode.name || null,
+        value: number(ratingNode.ratingValue),
+        best: number(ratingNode.bestRating),
+        worst: number(ratingNode.worstRating),
+    };
+
+    return {
+        id: createHash('sha256').update(`${node.url || ''}\n${claim}`).digest('hex').slice(0, 16),
+        claim,
+        claimant: nameOf([].concat(reviewed.author || [])[0]),
+        claimDate: toIsoDate(reviewed.datePublished),
+        rating,
+        verdict: toVerdict(rating),
+        publisher: nameOf([].concat(node.author || [])[0]) || nameOf(node.publisher),
+        url: node.url || null,
+        reviewedAt: toIsoDate(node.datePublished),
+        language: typeof node.inLanguage === 'string' ? node.inLanguage : nameOf(node.inLanguage),
+    };
+}
+
+/**
+ * Extracts the ClaimReviews from a feed or dump: JSON (including schema.org DataFeeds),
+ * JSON Lines, or an HTML page carrying JSON-LD.
+ * @param {string} content - The feed, dump or page.
+ * @returns {object[]} Normalized fact-checks; reviews without a claim are dropped.
+ */
+export function parseClaimReviews(content) {
+    const trimmed = content.trim();
+    let documents;
+    if (trimmed.startsWith('<')) {
+        const $ = cheerio.load(trimmed);
+        documents = $('script[type="application/ld+json"]').map((i, el) => $(el).text()).get();
+    } else {
+        try {
+            documents = [JSON.parse(trimmed)];
+        } catch {
+            documents = trimmed.split('\n');
+        }
+    }
+
+    return documents
+        .flatMap((document) => {
+            if (typeof document !== 'string') return collectClaimReviews(document);
+            try {
+                return collectClaimReviews(JSON.parse(document));
+            } catch {
+                return [];
+            }
+        })
+        .map(normalizeReview)
+        .filter(Boolean);
+}
+
+// === Sources ===
+
+async function loadFeed(feedUrl, signal) {
+    const { text } = await safeFetch(feedUrl, {
+        signal,
+        accept: 'application/ld+json, application/json;q=0.9, text/html;q=0.8',
+        contentTypes: FEED_TYPES,
+        maxBytes: FEED_MAX_BYTES,
+    });
+    return parseClaimReviews(text);
+}
+
+async function loadClaimReviews(signal) {
+    const loaded = await Promise.all([
+        CLAIMREVIEW_DIR
+            ? loadFolder(CLAIMREVIEW_DIR, FOLDER_OPTIONS, (path, content) => parseClaimReviews(content)).catch((error) => {
+                console.warn(`[ClaimReview] Could not read CLAIMREVIEW_DIR: ${error.message}`);
+                return [];
+            })
+            : [],
+        ...CLAIMREVIEW_FEEDS.map((feedUrl) => loadFeed(feedUrl, signal).catch((error) => {
+            console.warn(`[ClaimReview] Could not load feed ${feedUrl}: ${error.message}`);
+            return [];
+        })),
+    ]);
+
+    const byId = new Map(loaded.flat().map((review) => [review.id, review]));
+    return [...byId.values()]
+        .sort((a, b) => (b.reviewedAt || '').localeCompare(a.reviewedAt || ''))
+        .slice(0, MAX_ITEMS);
+}
+
+// === Index ===
+
+async function buildIndex(signal) {
+    const model = embeddingModel();
+    const reviews = await loadClaimReviews(signal);
+    const items = reviews.map((review) => ({ review, embedded: review.claim, hash: vectorHash(model, review.claim), vector: null }));
+    const embedded = await attachVectors(INDEX_FILE, items, signal);
+
+    console.info(`[ClaimReview] Indexed ${items.length} fact-checks (${embedded} newly embedded).`);
+    return { model, items, indexedAt: new Date().toISOString() };
+}
+
+const claimReviewIndex = createRefreshingIndex('ClaimReview', buildIndex, REFRESH_MS);
+
+if (isClaimReviewConfigured()) {
+    claimReviewIndex.warm();
+}
+
+/**
+ * Describes the current index without building it.
+ * @returns {{ enabled: boolean, building: boolean, model: string | null, factChecks: number, indexedAt: string | null }}
+ */
+export function getClaimReviewStatus() {
+    const index = claimReviewIndex.current();
+    return {
+        enabled: isClaimReviewConfigured(),
+        building: claimReviewIndex.isBuilding(),
+        model: index?.model ?? null,
+        factChecks: index?.items.length ?? 0,
+        indexedAt: index?.indexedAt ?? null,
+    };
+}
+
+/**
+ * Stores an uploaded ClaimReview dump in CLAIMREVIEW_DIR and rebuilds the index in the background.
+ * @param {string} name - A label for the dump, used in the file name.
+ * @param {string} content - The dump, in any format parseClaimReviews accepts.
+ * @returns {Promise<{ file: string, factChecks: number }>}
+ */
+export async function saveClaimReviewDump(name, content) {
+    if (!CLAIMREVIEW_DIR) {
+        throw new Error('ClaimReview uploads require CLAIMREVIEW_DIR to be set.');
+    }
+    const reviews = parseClaimReviews(content);
+    if (reviews.length === 0) {
+        throw new Error('The dump contains no usable ClaimReview entries.');
+    }
+
+    const file = await saveUpload(CLAIMREVIEW_DIR, name, content, {
+        fallbackName: 'claimreview',
+        extension: content.trim().startsWith('<') ? 'html' : 'json',
+    });
+    claimReviewIndex.invalidate();
+    return { file, factChecks: reviews.length };
+}
+
+// === Matching ===
+
+/**
+ * Matches the article's claims (and, as a fallback, its opening and closing sections) against
+ * published fact-checks. Each fact-check is reported once, with the claim it matched best.
+ * @param {string} text - The analyzed text.
+ * @param {object[] | null} claims - Extracted claims ({ id, claim }), or null if extraction failed.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the query embedding.
+ * @returns {Promise<{
+ *   indexSize: number, indexedAt: string,
+ *   matches: { id: string, reviewId: string, claim: string, claimant: string | null, claimDate: string | null,
+ *     rating: { label: string | null, value: number | null, best: number | null, worst: number | null },
+ *     verdict: 'false' | 'misleading' | 'true' | 'unrated', publisher: string | null, url: string | null,
+ *     reviewedAt: string | null, language: string | null, score: number, strength: 'strong' | 'related',
+ *     matchedClaimId: number | null, matchedText: string }[]
+ * } | null>} null when no ClaimReview source is configured or the index is not built yet.
+ */
+export async function matchClaimReviews(text, claims, { signal } = {}) {
+    if (!isClaimReviewConfigured()) return null;
+
+    const index = claimReviewIndex.get();
+    if (!index) {
+        console.info('[ClaimReview] Index is still building; analyzing without published fact-checks.');
+        return null;
+    }
+    const base = { indexSize: index.items.length, indexedAt: index.indexedAt };
+    if (index.items.length === 0) {
+        return { ...base, matches: [] };
+    }
+
+    const queries = [
+        ...(claims || []).map((claim) => ({ claimId: claim.id, text: claim.claim })),
+        ...sampleChunks(splitText(text, QUERY_LENGTH), MAX_ARTICLE_QUERIES).map((chunk) => ({ claimId: null, text: chunk.text })),
+    ];
+    const vectors = await embedTexts(queries.map((query) => query.text), signal);
+
+    const matches = [];
+    for (const { review, vector } of index.items) {
+        let best = null;
+        vectors.forEach((query, i) => {
+            const score = similarity(query, vector);
+            if (score >= MIN_SCORE && (!best || score > best.score)) best = { score, query: queries[i] };
+        });
+        if (best) matches.push({ review, ...best });
+    }
+
+    return {
+        ...base,
+        matches: matches
+            .sort((a, b) => b.score - a.score)
+            .slice(0, TOP_K)
+            .map(({ review: { id: reviewId, ...review }, score, query }, i) => ({
+                id: `F${i + 1}`,
+                reviewId,
+                ...review,
+                score: Math.round(score * 1000) / 1000,
+                strength: score >= STRONG_SCORE ? 'strong' : 'related',
+                matchedClaimId: query.claimId,
+                matchedText: query.text.slice(0, 300),
+            })),
+    };
+}
@@ -0,0 +1,22 @@
+// app/api/evidence/claim-reviews/route.js
+import { NextResponse } from 'next/server';
+import { getClaimReviewStatus, saveClaimReviewDump } from '../claim-reviews.js';
+import { createUploadHandler } from '../upload-route.js';
+
+const MAX_DUMP_BYTES = 20 * 1024 * 1024;
+
+// === GET Handler ===
+// Reports whether ClaimReview sources are configured and the size of the current index.
+export async function GET() {
+    return NextResponse.json(getClaimReviewStatus());
+}
+
+// === POST Handler ===
+// Body: { name, dump } where `dump` is ClaimReview JSON-LD (a DataFeed, an array, JSON Lines or an
+// HTML page), or { name, entries: [...] } with ClaimReview objects. Stored in CLAIMREVIEW_DIR.
+export const POST = createUploadHandler({
+    label: 'ClaimReview',
+    field: 'dump',
+    maxBytes: MAX_DUMP_BYTES,
+    save: saveClaimReviewDump,
+});
@@ -0,0 +1,248 @@
+// app/api/evidence/corpus.js
+// Loads the trusted corpus that analyses are compared against: a local folder of articles
+// and fact-check archives (EVIDENCE_DIR) and RSS/Atom feeds (EVIDENCE_FEEDS). Every source
+// is normalized to the same document shape; unreadable files and feeds are skipped with a warning.
+import { extname, basename } from 'path';
+import { createHash } from 'crypto';
+import { Readability } from '@mozilla/readability';
+import { JSDOM } from 'jsdom';
+import * as cheerio from 'cheerio';
+import { safeFetch } from '../analyze/safe-fetcher.js';
+import { extractArticleMetadata } from '../analyze/article-metadata.js';
+import { loadFolder, saveUpload, toIsoDate } from './source-files.js';
+
+// Settings, overridable per deployment
+export const EVIDENCE_DIR = process.env.EVIDENCE_DIR || null;
+export const EVIDENCE_FEEDS = (process.env.EVIDENCE_FEEDS || '').split(/[\s,]+/).filter(Boolean);
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const ARTICLE_EXTENSIONS = ['.txt', '.md', '.html', '.htm'];
+const ARCHIVE_EXTENSIONS = ['.json', '.jsonl'];
+const FOLDER_OPTIONS = { extensions: [...ARTICLE_EXTENSIONS, ...ARCHIVE_EXTENSIONS], maxBytes: MAX_FILE_BYTES, label: 'Evidence' };
+const FEED_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/xml', 'text/xml'];
+
+const hashId = (value) => createHash('sha256').update(value).digest('hex').slice(0, 16);
+
+const stripHtml = (html) => cheerio.load(`<div>${html || ''}</div>`)('div').first().text().replace(/\s+/g, ' ').trim();
+
+const toDocument = ({ kind, title, url, source, publishedAt, rating = null, text, origin }) => {
+    const body = (text || '').trim();
+    if (!body) return null;
+    return {
+        id: hashId(url || `${origin}:${title}:${body.slice(0, 200)}`),
+        kind,
+        title: title?.trim() || null,
+        url: url || null,
+        source: source || null,
+        publishedAt: toIsoDate(publishedAt),
+        rating,
+        text: body,
+    };
+};
+
+// === Fact-Check Archives ===
+
+/**
+ * Normalizes one fact-check archive entry. Three shapes are accepted: schema.org ClaimReview
+ * (as published on fact-check pages), the Google Fact Check Tools API's claims, and plain
+ * { title, url, text, source, publishedAt, rating } records.
+ */
+function fromArchiveEntry(entry, origin) {
+    if (!entry || typeof entry !== 'object') return null;
+
+    // Fact Check Tools API: { text, claimant, claimDate, claimReview: [{ publisher, url, title, reviewDate, textualRating }] }
+    if (Array.isArray(entry.claimReview)) {
+        const review = entry.claimReview[0] || {};
+        return toDocument({
+            kind: 'fact_check',
+            title: review.title || entry.text,
+            url: review.url,
+            source: review.publisher?.name || review.publisher?.site,
+            publishedAt: review.reviewDate || entry.claimDate,
+            rating: review.textualRating || null,
+            text: [`Claim: ${entry.text}`, entry.claimant && `Claimant: ${entry.claimant}`, review.textualRating && `Rating: ${review.textualRating}`]
+                .filter(Boolean).join('\n'),
+            origin,
+        });
+    }
+
+    // ClaimReview: { claimReviewed, reviewRating: { alternateName }, author: { name }, url, datePublished }
+    if (entry.claimReviewed) {
+        const rating = entry.reviewRating?.alternateName || entry.reviewRating?.name || null;
+        return toDocument({
+            kind: 'fact_check',
+            title: entry.name || entry.headline || entry.claimReviewed,
+            url: entry.url,
+            source: entry.author?.name || (typeof entry.author === 'string' ? entry.author : null),
+            publishedAt: entry.datePublished,
+            rating,
+            text: [`Claim: ${entry.claimReviewed}`, rating && `Rating: ${rating}`, entry.reviewBody || entry.description]
+                .filter(Boolean).join('\n'),
+            origin,
+        });
+    }
+
+    return toDocument({
+        kind: entry.rating ? 'fact_check' : 'article',
+        title: entry.title || entry.headline,
+        url: entry.url || entry.link,
+        source: entry.source || entry.publisher,
+        publishedAt: entry.publishedAt || entry.date || entry.datePublished,
+        rating: entry.rating || null,
+        text: entry.text || entry.body || entry.content || entry.summary,
+        origin,
+    });
+}
+
+/**
+ * Parses a fact-check archive: a JSON array, a JSON object holding the entries under
+ * `entries`, `claims`, `items` or `@graph`, or JSON Lines.
+ * @param {string} content - The archive file's content.
+ * @param {string} origin - Where the archive came from, used for documents without a URL.
+ * @returns {object[]} The normalized documents; entries without text are dropped.
+ */
+export function parseArchive(content, origin) {
+    let entries;
+    try {
+        const parsed = JSON.parse(content);
+        entries = Array.isArray(parsed) ? parsed : parsed.entries || parsed.claims || parsed.items || parsed['@graph'] || [parsed];
+    } catch {
+        entries = content.split('\n').filter((line) => line.trim()).map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        });
+    }
+    return entries.map((entry) => fromArchiveEntry(entry, origin)).filter(Boolean);
+}
+
+// === Article Files ===
+
+async function fromArticleFile(path, content) {
+    const extension = extname(path).toLowerCase();
+    const origin = `file:${basename(path)}`;
+
+    if (extension === '.html' || extension === '.htm') {
+        const dom = new JSDOM(content);
+        const article = new Readability(dom.window.document).parse();
+        const metadata = await extractArticleMetadata(content, { url: null, readability: article }).catch(() => null);
+        return toDocument({
+            kind: 'article',
+            title: metadata?.title || article?.title,
+            url: metadata?.canonicalUrl || null,
+            source: metadata?.outlet,
+            publishedAt: metadata?.publishedAt,
+            text: article?.textContent,
+            origin,
+        });
+    }
+
+    // Plain text and Markdown: the first line is the title
+    const [firstLine, ...rest] = content.trim().split('\n');
+    return toDocument({
+        kind: 'article',
+        title: firstLine.replace(/^#+\s*/, ''),
+        url: null,
+        source: null,
+        publishedAt: null,
+        text: rest.join('\n'),
+        origin,
+    });
+}
+
+// Archives hold many documents, article files one
+async function parseFile(path, content) {
+    if (ARCHIVE_EXTENSIONS.includes(extname(path).toLowerCase())) {
+        return parseArchive(content, `file:${basename(path)}`);
+    }
+    const document = await fromArticleFile(path, content);
+    return document ? [document] : [];
+}
+
+// === Feeds ===
+
+async function loadFeed(feedUrl, signal) {
+    const { text } = await safeFetch(feedUrl, {
+        signal,
+        accept: `${FEED_TYPES.join(', ')};q=0.9, */*;q=0.1`,
+        contentTypes: FEED_TYPES,
+    });
+    const $ = cheerio.load(text, { xml: true });
+    const feedTitle = $('channel > title').first().text() || $('feed > title').first().text() || null;
+
+    const rssItems = $('item').map((i, el) => ({
+        title: $(el).children('title').text(),
+        url: $(el).children('link').text().trim(),
+        publishedAt: $(el).children('pubDate').text() || $(el).children('dc\\:date').text(),
+        html: $(el).children('content\\:encoded').text() || $(el).children('description').text(),
+    })).get();
+    const atomEntries = $('entry').map((i, el) => ({
+        title: $(el).children('title').text(),
+        url: $(el).children('link[rel="alternate"]').attr('href') || $(el).children('link').attr('href'),
+        publishedAt: $(el).children('published').text() || $(el).children('updated').text(),
+        html: $(el).children('content').text() || $(el).children('summary').text(),
+    })).get();
+
+    // Feeds carry summaries rather than full articles, so the title is part of the text
+    return [...rssItems, ...atomEntries]
+        .map((item) => toDocument({
+            kind: 'feed',
+            title: item.title,
+            url: item.url,
+            source: feedTitle,
+            publishedAt: item.publishedAt,
+            text: [item.title, stripHtml(item.html)].filter(Boolean).join('\n'),
+            origin: feedUrl,
+        }))
+        .filter(Boolean);
+}
+
+// === Public API ===
+
+/**
+ * Loads every configured corpus source. Documents are deduplicated by id (their URL where known).
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels feed requests.
+ * @returns {Promise<{
+ *   id: string, kind: 'article' | 'fact_check' | 'feed', title: string | null, url: string | null,
+ *   source: string | null, publishedAt: string | null, rating: string | null, text: string
+ * }[]>}
+ */
+export async function loadCorpus({ signal } = {}) {
+    const loaded = await Promise.all([
+        EVIDENCE_DIR
+            ? loadFolder(EVIDENCE_DIR, FOLDER_OPTIONS, parseFile).catch((error) => {
+                console.warn(`[Evidence] Could not read EVIDENCE_DIR: ${error.message}`);
+                return [];
+            })
+            : [],
+        ...EVIDENCE_FEEDS.map((feedUrl) => loadFeed(feedUrl, signal).catch((error) => {
+            console.warn(`[Evidence] Could not load feed ${feedUrl}: ${error.message}`);
+            return [];
+        })),
+    ]);
+
+    const byId = new Map(loaded.flat().map((document) => [document.id, document]));
+    return [...byId.values()];
+}
+
+/**
+ * Stores an uploaded fact-check archive in EVIDENCE_DIR so it is indexed from now on.
+ * @param {string} name - A label for the archive, used in the file name.
+ * @param {string} content - The archive, in any format parseArchive accepts.
+ * @returns {Promise<{ file: string, documents: number }>}
+ */
+export async function saveArchive(name, content) {
+    if (!EVIDENCE_DIR) {
+        throw new Error('Evidence uploads require EVIDENCE_DIR to be set.');
+    }
+    const documents = parseArchive(content, `upload:${name}`);
+    if (documents.length === 0) {
+        throw new Error('The archive contains no usable entries.');
+    }
+
+    const file = await saveUpload(EVIDENCE_DIR, name, content, { fallbackName: 'archive', extension: 'json' });
+    return { file, documents: documents.length };
+}
@@ -0,0 +1,130 @@
+// app/api/evidence/evidence-index.js
+// Embedding index over the evidence corpus (see corpus.js). Documents are split into
+// passages and embedded with the `embedding` model slot; vectors are kept in memory and
+// cached on disk by passage hash, so restarts and refreshes only embed what is new.
+// Retrieval embeds sections of the analyzed text and returns the closest passages.
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { splitText, sampleChunks } from '../detection/chunking.js';
+import { loadCorpus, EVIDENCE_DIR, EVIDENCE_FEEDS } from './corpus.js';
+import { attachVectors, createRefreshingIndex, embedTexts, embeddingModel, similarity, vectorHash } from './vectors.js';
+
+// Settings, overridable per deployment
+const INDEX_FILE = process.env.EVIDENCE_INDEX_FILE || join(tmpdir(), 'checkmatic-evidence-index.json');
+const REFRESH_MS = (Number(process.env.EVIDENCE_REFRESH_MINUTES) || 60) * 60 * 1000;
+const TOP_K = Number(process.env.EVIDENCE_TOP_K) || 5;
+// Cosine similarity below this is rarely about the same story with MiniLM-sized models
+const MIN_SCORE = Number(process.env.EVIDENCE_MIN_SCORE) || 0.5;
+// Above this the passage is the analyzed article itself (e.g. from an outlet's own feed)
+const DUPLICATE_SCORE = 0.97;
+// MiniLM models read 256 tokens, roughly this many characters
+const PASSAGE_LENGTH = 800;
+const MAX_PASSAGES_PER_DOCUMENT = 20;
+const MAX_QUERY_SECTIONS = 4;
+
+/**
+ * Whether any corpus source is configured; retrieval is skipped entirely otherwise.
+ * @returns {boolean}
+ */
+export function isEvidenceConfigured() {
+    return Boolean(EVIDENCE_DIR || EVIDENCE_FEEDS.length);
+}
+
+// === Index ===
+
+async function buildIndex(signal) {
+    const model = embeddingModel();
+    const documents = await loadCorpus({ signal });
+
+    const passages = documents.flatMap((document, documentIndex) =>
+        splitText(document.text, PASSAGE_LENGTH).slice(0, MAX_PASSAGES_PER_DOCUMENT).map((chunk) => {
+            // The title gives short passages the context of what the document is about
+            const embedded = document.title ? `${document.title}\n${chunk.text}` : chunk.text;
+            return { documentIndex, text: chunk.text, embedded, hash: vectorHash(model, embedded), vector: null };
+        }));
+    const embedded = await attachVectors(INDEX_FILE, passages, signal);
+
+    console.info(`[Evidence] Indexed ${documents.length} documents (${passages.length} passages, ${embedded} newly embedded).`);
+    return { model, documents, passages, indexedAt: new Date().toISOString() };
+}
+
+const evidenceIndex = createRefreshingIndex('Evidence', buildIndex, REFRESH_MS);
+
+// Build as soon as the server loads this module, so the first analyses do not go without evidence for long
+if (isEvidenceConfigured()) {
+    evidenceIndex.warm();
+}
+
+/**
+ * Rebuilds the index in the background, e.g. after an archive upload.
+ */
+export function invalidateEvidenceIndex() {
+    evidenceIndex.invalidate();
+}
+
+/**
+ * Describes the current index without building it.
+ * @returns {{ enabled: boolean, building: boolean, model: string | null, documents: number, passages: number, indexedAt: string | null }}
+ */
+export function getEvidenceStatus() {
+    const index = evidenceIndex.current();
+    return {
+        enabled: isEvidenceConfigured(),
+        building: evidenceIndex.isBuilding(),
+        model: index?.model ?? null,
+        documents: index?.documents.length ?? 0,
+        passages: index?.passages.length ?? 0,
+        indexedAt: index?.indexedAt ?? null,
+    };
+}
+
+// === Retrieval ===
+
+/**
+ * Finds the corpus passages most related to a text, at most one per document. Analyses that
+ * arrive before the first index build has finished go without evidence.
+ * @param {string} text - The analyzed text.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the query embedding.
+ * @returns {Promise<{
+ *   model: string, corpusSize: number, indexedAt: string,
+ *   passages: { id: string, documentId: string, kind: string, title: string | null, url: string | null, source: string | null,
+ *     publishedAt: string | null, rating: string | null, text: string, score: number }[]
+ * } | null>} null when no corpus is configured or the index is not built yet.
+ */
+export async function retrieveEvidence(text, { signal } = {}) {
+    if (!isEvidenceConfigured()) return null;
+
+    const current = evidenceIndex.get();
+    if (!current) {
+        console.info('[Evidence] Index is still building; analyzing without related coverage.');
+        return null;
+    }
+    const base = { model: current.model, corpusSize: current.documents.length, indexedAt: current.indexedAt };
+    if (current.passages.length === 0) {
+        return { ...base, passages: [] };
+    }
+
+    const sections = sampleChunks(splitText(text, PASSAGE_LENGTH), MAX_QUERY_SECTIONS);
+    const queries = await embedTexts(sections.map((section) => section.text), signal);
+
+    // A passage scores its best match against any section; each document keeps its best passage
+    const best = new Map();
+    for (const passage of current.passages) {
+        const score = Math.max(...queries.map((query) => similarity(query, passage.vector)));
+        if (score < MIN_SCORE || score >= DUPLICATE_SCORE) continue;
+        if (!best.has(passage.documentIndex) || best.get(passage.documentIndex).score < score) {
+            best.set(passage.documentIndex, { passage, score });
+        }
+    }
+
+    const passages = [...best.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, TOP_K)
+        .map(({ passage, score }, i) => {
+            const { id, text: documentText, ...document } = current.documents[passage.documentIndex];
+            return { id: `E${i + 1}`, documentId: id, ...document, text: passage.text, score: Math.round(score * 1000) / 1000 };
+        });
+
+    return { ...base, passages };
+}
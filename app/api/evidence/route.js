@@ -0,0 +1,27 @@
+// app/api/evidence/route.js
+import { NextResponse } from 'next/server';
+import { saveArchive } from './corpus.js';
+import { getEvidenceStatus, invalidateEvidenceIndex } from './evidence-index.js';
+import { createUploadHandler } from './upload-route.js';
+
+const MAX_ARCHIVE_BYTES = 5 * 1024 * 1024;
+
+// === GET Handler ===
+// Reports whether a corpus is configured and the size of the current index.
+export async function GET() {
+    return NextResponse.json(getEvidenceStatus());
+}
+
+// === POST Handler ===
+// Body: { name, archive } where `archive` is a fact-check archive as JSON or JSON Lines text,
+// or { name, entries: [...] }. The archive is stored in EVIDENCE_DIR and indexed in the background.
+export const POST = createUploadHandler({
+    label: 'Evidence',
+    field: 'archive',
+    maxBytes: MAX_ARCHIVE_BYTES,
+    save: async (name, archive) => {
+        const stored = await saveArchive(name, archive);
+        invalidateEvidenceIndex();
+        return stored;
+    },
+});
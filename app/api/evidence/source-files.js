@@ -0,0 +1,73 @@
+// app/api/evidence/source-files.js
+// File handling shared by the evidence corpus and the ClaimReview index: reading a source
+// folder, storing uploads in its uploads/ subfolder, and normalizing dates.
+import { readdir, readFile, stat, mkdir, writeFile } from 'fs/promises';
+import { join, extname, relative } from 'path';
+
+// Uploads are written here, inside the source folder, so they are read with the rest of it
+const UPLOADS_FOLDER = 'uploads';
+
+/**
+ * Converts any date string the Date constructor understands to ISO 8601.
+ * @param {string | null | undefined} value
+ * @returns {string | null} null for missing or unparseable dates.
+ */
+export const toIsoDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+async function listFiles(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    const files = await Promise.all(entries
+        .filter((entry) => !entry.name.startsWith('.'))
+        .map((entry) => (entry.isDirectory() ? listFiles(join(dir, entry.name)) : [join(dir, entry.name)])));
+    return files.flat();
+}
+
+/**
+ * Reads and parses every file in a folder and its subfolders that has one of the given extensions.
+ * Hidden files, files over `maxBytes` and files that fail to parse are skipped with a warning.
+ * @param {string} dir - The source folder.
+ * @param {object} options
+ * @param {string[]} options.extensions - Lowercase extensions with the dot, e.g. ['.json'].
+ * @param {number} options.maxBytes - Larger files are skipped.
+ * @param {string} options.label - The log prefix, e.g. 'Evidence'.
+ * @param {(path: string, content: string) => Promise<object[]> | object[]} parse - Turns one file into items.
+ * @returns {Promise<object[]>} The items of every readable file.
+ */
+export async function loadFolder(dir, { extensions, maxBytes, label }, parse) {
+    const items = [];
+    for (const path of await listFiles(dir)) {
+        if (!extensions.includes(extname(path).toLowerCase())) continue;
+        try {
+            if ((await stat(path)).size > maxBytes) {
+                console.warn(`[${label}] Skipping ${relative(dir, path)}: larger than ${maxBytes} bytes`);
+                continue;
+            }
+            items.push(...await parse(path, await readFile(path, 'utf8')));
+        } catch (error) {
+            console.warn(`[${label}] Skipping ${relative(dir, path)}: ${error.message}`);
+        }
+    }
+    return items;
+}
+
+/**
+ * Writes an upload to the folder's uploads/ subfolder, named after its label and the current time.
+ * @param {string} dir - The source folder.
+ * @param {string} name - The label given with the upload.
+ * @param {string} content - The upload.
+ * @param {object} options
+ * @param {string} options.fallbackName - Used when the label has no usable characters.
+ * @param {string} options.extension - The file extension, without the dot.
+ * @returns {Promise<string>} The file's path relative to the folder, e.g. 'uploads/politifact-1760000000000.json'.
+ */
+export async function saveUpload(dir, name, content, { fallbackName, extension }) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || fallbackName;
+    const file = `${slug}-${Date.now()}.${extension}`;
+    await mkdir(join(dir, UPLOADS_FOLDER), { recursive: true });
+    await writeFile(join(dir, UPLOADS_FOLDER, file), content);
+    return `${UPLOADS_FOLDER}/${file}`;
+}
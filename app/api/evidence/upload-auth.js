@@ -0,0 +1,29 @@
+// app/api/evidence/upload-auth.js
+// Uploads to the evidence and fact-check indexes are admin-only: the caller sends
+// `Authorization: Bearer <key>` and EVIDENCE_UPLOAD_KEY_HASH holds the key's SHA-256 hex digest.
+import { createHash, timingSafeEqual } from 'crypto';
+
+const UPLOAD_KEY_HASH = process.env.EVIDENCE_UPLOAD_KEY_HASH || null;
+
+/**
+ * Whether uploads are enabled at all.
+ * @returns {boolean}
+ */
+export function isUploadConfigured() {
+    return Boolean(UPLOAD_KEY_HASH);
+}
+
+/**
+ * Checks the request's bearer key against EVIDENCE_UPLOAD_KEY_HASH in constant time.
+ * @param {Request} request
+ * @returns {boolean}
+ */
+export function isUploadAuthorized(request) {
+    const authorization = request.headers.get('authorization') || '';
+    const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    if (!UPLOAD_KEY_HASH || !key) return false;
+
+    const expected = Buffer.from(UPLOAD_KEY_HASH, 'hex');
+    const actual = createHash('sha256').update(key).digest();
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,62 @@
+// app/api/evidence/upload-route.js
+// The POST handler shared by the evidence and ClaimReview upload routes: the upload key check,
+// body parsing, the size limit and error responses. Each route says which body field holds the
+// upload and how to store it.
+import { NextResponse } from 'next/server';
+import { isUploadConfigured, isUploadAuthorized } from './upload-auth.js';
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Builds a POST handler for { name, <field> } bodies, where <field> is the upload as text, or
+ * { name, entries: [...] } with the entries as JSON.
+ * @param {object} options
+ * @param {string} options.label - Names the index in messages and logs, e.g. 'Evidence'.
+ * @param {string} options.field - The body field holding the upload, e.g. 'archive'.
+ * @param {number} options.maxBytes - Larger uploads are rejected with 413.
+ * @param {(name: string, content: string) => Promise<object>} options.save - Stores the upload and returns the
+ *   response body. Errors mentioning "no usable" are answered with 400, "uploads require" (a missing folder) with 503.
+ * @returns {(request: Request) => Promise<NextResponse>}
+ */
+export function createUploadHandler({ label, field, maxBytes, save }) {
+    const notConfigured = `${label} uploads are not configured`;
+    const article = /^[aeiou]/i.test(field) ? 'an' : 'a';
+
+    return async function POST(request) {
+        if (!isUploadConfigured()) {
+            return NextResponse.json({ error: notConfigured }, { status: 503 });
+        }
+        if (!isUploadAuthorized(request)) {
+            return NextResponse.json({ error: 'A valid upload key is required' }, { status: 401 });
+        }
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (jsonError) {
+            return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+        }
+
+        const name = typeof body?.name === 'string' ? body.name.trim() : '';
+        const content = Array.isArray(body?.entries) ? JSON.stringify(body.entries) : body?.[field];
+        if (!name || typeof content !== 'string' || !content.trim()) {
+            return NextResponse.json({ error: `A name and ${article} ${field} (or entries) are required` }, { status: 400 });
+        }
+        if (Buffer.byteLength(content) > maxBytes) {
+            return NextResponse.json({ error: `${capitalize(field)} too large (max ${Math.round(maxBytes / (1024 * 1024))}MB)` }, { status: 413 });
+        }
+
+        try {
+            return NextResponse.json(await save(name, content), { status: 201 });
+        } catch (error) {
+            if (error.message.includes('no usable')) {
+                return NextResponse.json({ error: error.message }, { status: 400 });
+            }
+            if (error.message.includes('uploads require')) {
+                return NextResponse.json({ error: notConfigured }, { status: 503 });
+            }
+            console.error(`[${label} Error] ${error.message}`);
+            return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
+        }
+    };
+}
@@ -0,0 +1,135 @@
+// app/api/evidence/vectors.js
+// Shared plumbing for the embedding indexes (related coverage and ClaimReview fact-checks):
+// batched embedding through the `embedding` model slot, an on-disk vector cache keyed by
+// text hash, and an index holder that builds and refreshes in the background.
+import { readFile, writeFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { getModelConfig, runEmbedding } from '../detection/providers.js';
+
+const EMBEDDING_BATCH_SIZE = 32;
+// A build that fetches feeds or embeds a large corpus is abandoned after this long
+const BUILD_TIMEOUT_MS = (Number(process.env.INDEX_BUILD_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+
+export const embeddingModel = () => getModelConfig('embedding').model;
+
+// The model is part of the hash, so switching models re-embeds everything
+export const vectorHash = (model, text) => createHash('sha256').update(`${model}\n${text}`).digest('base64');
+
+function normalize(vector) {
+    const array = Float32Array.from(vector);
+    const norm = Math.sqrt(array.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return array.map((value) => value / norm);
+}
+
+/**
+ * Cosine similarity of two normalized vectors.
+ */
+export function similarity(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * Embeds texts in batches and returns one normalized vector per text.
+ * @param {string[]} texts
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Float32Array[]>}
+ */
+export async function embedTexts(texts, signal) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+        signal?.throwIfAborted();
+        vectors.push(...await runEmbedding('embedding', texts.slice(i, i + EMBEDDING_BATCH_SIZE), { signal }));
+    }
+    return vectors.map(normalize);
+}
+
+// Vectors from the last build, keyed by hash; an unreadable file just means embedding everything
+async function readVectorCache(file) {
+    try {
+        const { vectors } = JSON.parse(await readFile(file, 'utf8'));
+        return new Map(Object.entries(vectors).map(([hash, base64]) =>
+            [hash, new Float32Array(Uint8Array.from(Buffer.from(base64, 'base64')).buffer)]));
+    } catch {
+        return new Map();
+    }
+}
+
+async function writeVectorCache(file, items) {
+    const vectors = Object.fromEntries(items.map((item) =>
+        [item.hash, Buffer.from(item.vector.buffer, item.vector.byteOffset, item.vector.byteLength).toString('base64')]));
+    try {
+        await writeFile(file, JSON.stringify({ vectors }));
+    } catch (error) {
+        console.warn(`[Evidence] Could not write the index file ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Sets `vector` on every item ({ hash, embedded }), embedding only those missing from the cache file,
+ * then rewrites the file with exactly these items so removed entries are pruned.
+ * @param {string} file - The vector cache file.
+ * @param {{ hash: string, embedded: string, vector?: Float32Array }[]} items
+ * @param {AbortSignal} [signal] - Cancels the embedding.
+ * @returns {Promise<number>} How many items were newly embedded.
+ */
+export async function attachVectors(file, items, signal) {
+    const cache = await readVectorCache(file);
+    const missing = items.filter((item) => !cache.has(item.hash));
+    const vectors = await embedTexts(missing.map((item) => item.embedded), signal);
+    missing.forEach((item, i) => cache.set(item.hash, vectors[i]));
+    items.forEach((item) => {
+        item.vector = cache.get(item.hash);
+    });
+    await writeVectorCache(file, items);
+    return missing.length;
+}
+
+/**
+ * Holds an index that is built in the background and rebuilt once older than `refreshMs`.
+ * Requests never wait for a build: until the first one finishes there is no index, and during
+ * a refresh the old index keeps serving. Builds are cancelled after BUILD_TIMEOUT_MS.
+ * @param {string} name - Used in log messages.
+ * @param {(signal: AbortSignal) => Promise<object>} build - Builds the index.
+ * @param {number} refreshMs - Index lifetime.
+ */
+export function createRefreshingIndex(name, build, refreshMs) {
+    let index = null;
+    let builtAt = 0;
+    let building = null;
+
+    // A failed build keeps the old index (or none) and is retried on the next get()
+    const refresh = () => {
+        if (building || (index && Date.now() - builtAt <= refreshMs)) return;
+        building = build(AbortSignal.timeout(BUILD_TIMEOUT_MS))
+            .then((built) => {
+                index = built;
+                builtAt = Date.now();
+            })
+            .catch((error) => console.error(`[Evidence] ${name} index build failed: ${error.message}`))
+            .finally(() => {
+                building = null;
+            });
+    };
+
+    return {
+        // Starts a build when there is no index yet, e.g. at startup
+        warm: refresh,
+        /**
+         * The current index, starting a build or refresh when due.
+         * @returns {object | null} null until the first build has finished.
+         */
+        get() {
+            refresh();
+            return index;
+        },
+        // Rebuilds now, e.g. after an upload; a build already running is not restarted
+        invalidate() {
+            builtAt = 0;
+            refresh();
+        },
+        current: () => index,
+        isBuilding: () => Boolean(building),
+    };
+}
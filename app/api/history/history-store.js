@@ -0,0 +1,130 @@
+// app/api/history/history-store.js
+import { Redis } from '@upstash/redis';
+import { createHash } from 'crypto';
+
+// History syncs only when Upstash is configured, alongside the report store; otherwise it stays in the browser.
+const redis = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+    ? new Redis({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    })
+    : null;
+
+// Expiry and size constants
+const HISTORY_TTL_DAYS = Number(process.env.HISTORY_TTL_DAYS) || 90;
+const HISTORY_TTL_SECONDS = HISTORY_TTL_DAYS * 24 * 60 * 60;
+const MAX_HISTORY_ENTRIES = Number(process.env.HISTORY_MAX_ENTRIES) || 500;
+
+// The anonymous client ID is a random secret generated in the browser; only its hash is used as a key
+const CLIENT_ID_PATTERN = /^[A-Za-z0-9_-]{22,64}$/;
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SOURCE_MODES = ['link', 'text', 'photo', 'document'];
+
+const historyKey = (clientId) => `history:${createHash('sha256').update(clientId).digest('hex')}`;
+// Tombstones of entries the user deleted, so other devices drop them on their next sync. Entries that
+// expire or fall off the cap leave no tombstone and stay in the browsers that have them.
+const deletedKey = (clientId) => `history-deleted:${createHash('sha256').update(clientId).digest('hex')}`;
+
+const clip = (value, maxLength) => (typeof value === 'string' ? value.slice(0, maxLength) : null);
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+export function isHistorySyncConfigured() {
+    return redis !== null;
+}
+
+export function isValidClientId(clientId) {
+    return typeof clientId === 'string' && CLIENT_ID_PATTERN.test(clientId);
+}
+
+/**
+ * Reduces a client-supplied entry to the metadata kept on the server.
+ * The full analysis is never synced; entries point at their shareable report instead.
+ * @param {object} entry - A history entry from the browser.
+ * @returns {object | null} The stored shape, or null when the entry is unusable.
+ */
+function toStoredEntry(entry) {
+    if (!entry || !ENTRY_ID_PATTERN.test(String(entry.id)) || Number.isNaN(Date.parse(entry.createdAt))) {
+        return null;
+    }
+
+    return {
+        id: String(entry.id),
+        createdAt: new Date(entry.createdAt).toISOString(),
+        source: {
+            mode: SOURCE_MODES.includes(entry.source?.mode) ? entry.source.mode : 'text',
+            url: clip(entry.source?.url, 2048),
+            title: clip(entry.source?.title, 300),
+        },
+        summary: clip(entry.summary, 1000),
+        credibility: clip(entry.credibility, 50),
+        type: clip(entry.type, 100),
+        bias: clip(entry.bias, 50),
+        confidence: finiteOrNull(entry.confidence),
+        reportId: clip(entry.reportId, 12),
+    };
+}
+
+/**
+ * Lists a client's synced entries, newest first.
+ * @param {string} clientId - The anonymous client ID.
+ * @returns {Promise<object[]>}
+ */
+export async function listHistory(clientId) {
+    if (!redis || !isValidClientId(clientId)) return [];
+
+    const entries = await redis.hgetall(historyKey(clientId));
+    return Object.values(entries || {}).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Adds or replaces entries in a client's synced history, dropping the oldest beyond the cap.
+ * @param {string} clientId - The anonymous client ID.
+ * @param {object[]} entries - Entries from the browser.
+ * @returns {Promise<number>} How many entries were stored.
+ */
+export async function saveHistoryEntries(clientId, entries) {
+    if (!redis || !isValidClientId(clientId) || !Array.isArray(entries)) return 0;
+
+    const stored = entries.slice(0, MAX_HISTORY_ENTRIES).map(toStoredEntry).filter(Boolean);
+    if (stored.length === 0) return 0;
+
+    const key = historyKey(clientId);
+    await redis.hset(key, Object.fromEntries(stored.map((entry) => [entry.id, entry])));
+    await redis.expire(key, HISTORY_TTL_SECONDS);
+
+    if (await redis.hlen(key) > MAX_HISTORY_ENTRIES) {
+        const overflow = (await listHistory(clientId)).slice(MAX_HISTORY_ENTRIES);
+        await redis.hdel(key, ...overflow.map((entry) => entry.id));
+    }
+
+    return stored.length;
+}
+
+/**
+ * Lists the IDs of entries a client deleted, for other devices to drop. Tombstones are kept for
+ * HISTORY_TTL_DAYS after the latest deletion.
+ * @param {string} clientId - The anonymous client ID.
+ * @returns {Promise<string[]>}
+ */
+export async function listDeletedEntries(clientId) {
+    if (!redis || !isValidClientId(clientId)) return [];
+
+    return Object.keys((await redis.hgetall(deletedKey(clientId))) || {});
+}
+
+/**
+ * Removes one entry from a client's synced history and leaves a tombstone for other devices.
+ * The tombstone is written even when the server no longer has the entry, since other devices may.
+ * @param {string} clientId - The anonymous client ID.
+ * @param {string} entryId - The entry to remove.
+ * @returns {Promise<boolean>} Whether an entry was removed.
+ */
+export async function deleteHistoryEntry(clientId, entryId) {
+    if (!redis || !isValidClientId(clientId) || !ENTRY_ID_PATTERN.test(String(entryId))) return false;
+
+    const key = deletedKey(clientId);
+    await redis.hset(key, { [String(entryId)]: new Date().toISOString() });
+    await redis.expire(key, HISTORY_TTL_SECONDS);
+
+    return (await redis.hdel(historyKey(clientId), String(entryId))) > 0;
+}
@@ -0,0 +1,95 @@
+// app/api/history/route.js
+import { NextResponse } from 'next/server';
+import {
+    isHistorySyncConfigured,
+    isValidClientId,
+    listHistory,
+    listDeletedEntries,
+    saveHistoryEntries,
+    deleteHistoryEntry,
+} from './history-store.js';
+
+// Every request identifies the browser's anonymous history with this header
+const CLIENT_ID_HEADER = 'x-history-client';
+
+function readClientId(request) {
+    const clientId = request.headers.get(CLIENT_ID_HEADER);
+    return isValidClientId(clientId) ? clientId : null;
+}
+
+// Shared guard for write requests: sync must be enabled and the client ID valid
+function rejectWrite(clientId) {
+    if (!isHistorySyncConfigured()) {
+        return NextResponse.json({ error: 'History sync is not configured' }, { status: 503 });
+    }
+    if (!clientId) {
+        return NextResponse.json({ error: 'A valid history client ID is required' }, { status: 400 });
+    }
+    return null;
+}
+
+// === GET Handler ===
+// Reports whether sync is available so the browser can fall back to local-only history,
+// with the IDs of entries deleted on any device in `deleted`.
+export async function GET(request) {
+    if (!isHistorySyncConfigured()) {
+        return NextResponse.json({ enabled: false, entries: [], deleted: [] });
+    }
+
+    const clientId = readClientId(request);
+    if (!clientId) {
+        return NextResponse.json({ error: 'A valid history client ID is required' }, { status: 400 });
+    }
+
+    try {
+        const [entries, deleted] = await Promise.all([listHistory(clientId), listDeletedEntries(clientId)]);
+        return NextResponse.json({ enabled: true, entries, deleted });
+    } catch (error) {
+        console.error(`[History Error] ${error.message}`);
+        return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
+    }
+}
+
+// === PUT Handler ===
+// Body: { entries: [...] }. Entries are upserted by ID.
+export async function PUT(request) {
+    const clientId = readClientId(request);
+    const rejection = rejectWrite(clientId);
+    if (rejection) return rejection;
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (jsonError) {
+        return NextResponse.json({ error: 'Invalid JSON in request body' }, { status: 400 });
+    }
+
+    try {
+        const stored = await saveHistoryEntries(clientId, body?.entries);
+        return NextResponse.json({ stored });
+    } catch (error) {
+        console.error(`[History Error] ${error.message}`);
+        return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
+    }
+}
+
+// === DELETE Handler ===
+// Removes the entry given as ?id=<entryId>.
+export async function DELETE(request) {
+    const clientId = readClientId(request);
+    const rejection = rejectWrite(clientId);
+    if (rejection) return rejection;
+
+    const entryId = new URL(request.url).searchParams.get('id');
+
+    try {
+        const deleted = await deleteHistoryEntry(clientId, entryId);
+        if (!deleted) {
+            return NextResponse.json({ error: 'History entry not found' }, { status: 404 });
+        }
+        return NextResponse.json({ message: 'History entry deleted' });
+    } catch (error) {
+        console.error(`[History Error] ${error.message}`);
+        return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
+    }
+}
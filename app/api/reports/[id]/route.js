@@ -0,0 +1,45 @@
+// app/api/reports/[id]/route.js
+import { NextResponse } from 'next/server';
+import { getReport, deleteReport } from '../report-store.js';
+
+// === GET Handler ===
+export async function GET(request, { params }) {
+    const { id } = await params;
+
+    try {
+        const report = await getReport(id);
+        if (!report) {
+            return NextResponse.json({ error: 'Report not found or expired' }, { status: 404 });
+        }
+        return NextResponse.json(report);
+    } catch (error) {
+        console.error(`[Report Error] ${error.message}`);
+        return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
+    }
+}
+
+// === DELETE Handler ===
+// The creator proves ownership with the delete token issued when the report was stored.
+export async function DELETE(request, { params }) {
+    const { id } = await params;
+    const authorization = request.headers.get('authorization') || '';
+    const deleteToken = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+
+    if (!deleteToken) {
+        return NextResponse.json({ error: 'Delete token is required' }, { status: 401 });
+    }
+
+    try {
+        const outcome = await deleteReport(id, deleteToken);
+        if (outcome === 'not_found') {
+            return NextResponse.json({ error: 'Report not found or expired' }, { status: 404 });
+        }
+        if (outcome === 'forbidden') {
+            return NextResponse.json({ error: 'Invalid delete token' }, { status: 403 });
+        }
+        return NextResponse.json({ message: 'Report deleted' }, { status: 200 });
+    } catch (error) {
+        console.error(`[Report Error] ${error.message}`);
+        return NextResponse.json({ error: 'Internal Server Error' }, { status: 500 });
+    }
+}
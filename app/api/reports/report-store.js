@@ -0,0 +1,88 @@
+// app/api/reports/report-store.js
+import { Redis } from '@upstash/redis';
+import { randomBytes, createHash, timingSafeEqual } from 'crypto';
+
+// Reports are stored only when Upstash is configured; otherwise analyses stay client-side.
+const redis = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+    ? new Redis({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    })
+    : null;
+
+// Expiry constants
+const REPORT_TTL_DAYS = Number(process.env.REPORT_TTL_DAYS) || 30;
+const REPORT_TTL_SECONDS = REPORT_TTL_DAYS * 24 * 60 * 60;
+
+const REPORT_ID_PATTERN = /^[A-Za-z0-9_-]{12}$/;
+
+const reportKey = (id) => `report:${id}`;
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+export function isReportStoreConfigured() {
+    return redis !== null;
+}
+
+export function isValidReportId(id) {
+    return typeof id === 'string' && REPORT_ID_PATTERN.test(id);
+}
+
+/**
+ * Stores an analysis under a new permalink ID.
+ * The delete token is returned once to the creator and only its hash is kept.
+ * @param {object} analysis - The combined analysis payload.
+ * @returns {Promise<{ id: string, createdAt: string, expiresAt: string, deleteToken: string } | null>}
+ */
+export async function saveReport(analysis) {
+    if (!redis) return null;
+
+    const id = randomBytes(9).toString('base64url');
+    const deleteToken = randomBytes(24).toString('base64url');
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + REPORT_TTL_SECONDS * 1000);
+
+    await redis.set(reportKey(id), {
+        id,
+        createdAt: createdAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        deleteTokenHash: hashToken(deleteToken),
+        analysis,
+    }, { ex: REPORT_TTL_SECONDS });
+
+    return { id, createdAt: createdAt.toISOString(), expiresAt: expiresAt.toISOString(), deleteToken };
+}
+
+/**
+ * Loads a stored report. Returns null when it does not exist or has expired.
+ * @param {string} id - The report ID.
+ * @returns {Promise<{ id: string, createdAt: string, expiresAt: string, analysis: object } | null>}
+ */
+export async function getReport(id) {
+    if (!redis || !isValidReportId(id)) return null;
+
+    const record = await redis.get(reportKey(id));
+    if (!record) return null;
+
+    const { deleteTokenHash, ...report } = record;
+    return report;
+}
+
+/**
+ * Deletes a report if the provided token matches the one issued at creation.
+ * @param {string} id - The report ID.
+ * @param {string} deleteToken - The token returned by saveReport.
+ * @returns {Promise<'deleted' | 'not_found' | 'forbidden'>}
+ */
+export async function deleteReport(id, deleteToken) {
+    if (!redis || !isValidReportId(id)) return 'not_found';
+
+    const record = await redis.get(reportKey(id));
+    if (!record) return 'not_found';
+
+    const expected = Buffer.from(record.deleteTokenHash, 'hex');
+    const provided = Buffer.from(hashToken(String(deleteToken || '')), 'hex');
+    if (!timingSafeEqual(expected, provided)) return 'forbidden';
+
+    await redis.del(reportKey(id));
+    return 'deleted';
+}
@@ -0,0 +1,41 @@
+// app/api/v1/analyze/route.js
+import { NextResponse } from 'next/server';
+import { runAnalysis } from '../../analyze/analyze-logic.js';
+import { authenticateRequest, chargeQuota, usageHeaders } from '../api-keys.js';
+import { apiError, createApiErrorResponse } from '../errors.js';
+import { API_VERSION, AnalyzeRequestSchema, validateBody } from '../schema.js';
+
+// === POST Handler ===
+export async function POST(request) {
+    let usage = null;
+
+    try {
+        const { key, rateLimit } = await authenticateRequest(request);
+        usage = { rateLimit };
+
+        let body;
+        try {
+            body = await request.json();
+        } catch (jsonError) {
+            throw apiError('invalid_request', 'Invalid JSON in request body');
+        }
+
+        const { data, issues } = validateBody(AnalyzeRequestSchema, body);
+        if (issues) {
+            throw apiError('invalid_request', 'The request body does not match the AnalyzeRequest schema.', issues);
+        }
+
+        usage.quota = await chargeQuota(key);
+
+        const analysis = await runAnalysis(data, { signal: request.signal });
+        return NextResponse.json(
+            { data: analysis, meta: { apiVersion: API_VERSION, quota: usage.quota } },
+            { status: 200, headers: usageHeaders(usage) }
+        );
+    } catch (error) {
+        if (error.quota) {
+            usage = { ...usage, quota: error.quota };
+        }
+        return createApiErrorResponse(error, usageHeaders(error.usage || usage));
+    }
+}
@@ -0,0 +1,152 @@
+// app/api/v1/api-keys.js
+// API-key authentication with per-key rate limits and monthly quotas, counted in Redis.
+import { createHash } from 'crypto';
+import { Redis } from '@upstash/redis';
+import { apiError } from './errors.js';
+
+const redis = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+    ? new Redis({
+        url: process.env.UPSTASH_REDIS_REST_URL,
+        token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    })
+    : null;
+
+// Default limits for keys that do not set their own
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 30;
+const DEFAULT_MONTHLY_QUOTA = 1000;
+
+const RATE_WINDOW_SECONDS = 60;
+const QUOTA_WINDOW_SECONDS = 32 * 24 * 60 * 60; // Outlives the longest month
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * Parses API_KEYS: a JSON array of
+ * { id, name, keyHash, rateLimitPerMinute?, monthlyQuota? }, where keyHash is the
+ * SHA-256 hex digest of the key handed to the client. Raw keys are never stored.
+ */
+function loadKeys() {
+    try {
+        const keys = JSON.parse(process.env.API_KEYS || '[]');
+        return Array.isArray(keys) ? keys : [];
+    } catch (error) {
+        console.error(`[API Keys] API_KEYS is not valid JSON: ${error.message}`);
+        return [];
+    }
+}
+
+const API_KEYS = loadKeys();
+
+function readKeyFromRequest(request) {
+    const authorization = request.headers.get('authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.slice(7).trim();
+    }
+    return request.headers.get('x-api-key')?.trim() || null;
+}
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7); // YYYY-MM
+
+/**
+ * Builds the rate-limit and quota headers for a response.
+ * @param {{ rateLimit?: object, quota?: object } | null} usage - Whatever usage is known so far.
+ * @returns {object}
+ */
+export function usageHeaders(usage) {
+    const headers = {};
+    if (usage?.rateLimit) {
+        headers['X-RateLimit-Limit'] = String(usage.rateLimit.limit);
+        headers['X-RateLimit-Remaining'] = String(usage.rateLimit.remaining);
+        headers['X-RateLimit-Reset'] = String(usage.rateLimit.reset);
+    }
+    if (usage?.quota) {
+        headers['X-Quota-Limit'] = String(usage.quota.limit);
+        headers['X-Quota-Remaining'] = String(usage.quota.remaining);
+    }
+    return headers;
+}
+
+/**
+ * Authenticates the request and applies the per-minute rate limit.
+ * @param {Request} request - The incoming request.
+ * @returns {Promise<{ key: object, rateLimit: object }>}
+ */
+export async function authenticateRequest(request) {
+    const rawKey = readKeyFromRequest(request);
+    if (!rawKey) {
+        throw apiError('missing_api_key', 'An API key is required. Send it as "Authorization: Bearer <key>".');
+    }
+
+    const keyHash = hashKey(rawKey);
+    const key = API_KEYS.find((candidate) => candidate.keyHash === keyHash);
+    if (!key) {
+        throw apiError('invalid_api_key', 'The API key is not valid.');
+    }
+
+    if (!redis) {
+        throw apiError('service_unavailable', 'Usage tracking is not configured on this server.');
+    }
+
+    // --- RATE LIMITING LOGIC (REDIS) ---
+    const limit = key.rateLimitPerMinute ?? DEFAULT_RATE_LIMIT_PER_MINUTE;
+    const window = Math.floor(Date.now() / 1000 / RATE_WINDOW_SECONDS);
+    const rateKey = `v1:rate:${key.id}:${window}`;
+
+    const requestCount = await redis.incr(rateKey);
+    if (requestCount === 1) {
+        await redis.expire(rateKey, RATE_WINDOW_SECONDS);
+    }
+
+    const rateLimit = {
+        limit,
+        remaining: Math.max(0, limit - requestCount),
+        reset: (window + 1) * RATE_WINDOW_SECONDS,
+    };
+
+    if (requestCount > limit) {
+        throw Object.assign(
+            apiError('rate_limited', 'Too many requests. Please slow down and retry after the reset time.'),
+            { usage: { rateLimit } }
+        );
+    }
+
+    return { key, rateLimit };
+}
+
+/**
+ * Reads the key's usage for the current month without charging it.
+ * @param {object} key - The authenticated key.
+ * @returns {Promise<{ period: string, limit: number, used: number, remaining: number }>}
+ */
+export async function getQuota(key) {
+    const period = currentPeriod();
+    const limit = key.monthlyQuota ?? DEFAULT_MONTHLY_QUOTA;
+    const used = Number(await redis.get(`v1:quota:${key.id}:${period}`)) || 0;
+    return { period, limit, used, remaining: Math.max(0, limit - used) };
+}
+
+/**
+ * Charges one unit of the key's monthly quota. Every accepted analysis request
+ * is charged, whether or not the analysis itself succeeds.
+ * @param {object} key - The authenticated key.
+ * @returns {Promise<{ period: string, limit: number, used: number, remaining: number }>}
+ */
+export async function chargeQuota(key) {
+    const period = currentPeriod();
+    const limit = key.monthlyQuota ?? DEFAULT_MONTHLY_QUOTA;
+    const quotaKey = `v1:quota:${key.id}:${period}`;
+
+    const used = await redis.incr(quotaKey);
+    if (used === 1) {
+        await redis.expire(quotaKey, QUOTA_WINDOW_SECONDS);
+    }
+
+    const quota = { period, limit, used, remaining: Math.max(0, limit - used) };
+    if (used > limit) {
+        throw Object.assign(
+            apiError('quota_exceeded', `Monthly quota of ${limit} requests exhausted for ${period}.`),
+            { quota }
+        );
+    }
+    return quota;
+}
@@ -0,0 +1,105 @@
+// app/api/v1/errors.js
+// Stable error codes for the public API. Codes are part of the v1 contract:
+// add new ones freely, but never rename or repurpose an existing code.
+import { NextResponse } from 'next/server';
+import { isClientError } from '../analyze/analyze-logic.js';
+
+export const ERROR_CODES = {
+    invalid_request: 400,
+    invalid_url: 400,
+    url_not_allowed: 400,
+    extraction_failed: 422,
+    content_too_large: 413,
+    empty_content: 422,
+    content_rejected: 422,
+    unsupported_media_type: 415,
+    invalid_photo: 400,
+    invalid_document: 400,
+    no_text_found: 422,
+    ocr_failed: 502,
+    dns_resolution_failed: 422,
+    address_not_allowed: 400,
+    redirect_not_allowed: 400,
+    too_many_redirects: 422,
+    connect_timeout: 504,
+    read_timeout: 504,
+    response_too_large: 413,
+    unsupported_content_type: 415,
+    upstream_http_error: 502,
+    missing_api_key: 401,
+    invalid_api_key: 401,
+    not_found: 404,
+    rate_limited: 429,
+    quota_exceeded: 429,
+    service_unavailable: 503,
+    internal_error: 500,
+};
+
+// Maps the pipeline's client-safe messages onto stable codes
+const MESSAGE_CODES = [
+    ['Mode parameter is required', 'invalid_request'],
+    ['Invalid mode', 'invalid_request'],
+    ['URL is required', 'invalid_request'],
+    ['Invalid URL format', 'invalid_url'],
+    ['URL too long', 'invalid_url'],
+    ['Access to private/local URLs', 'url_not_allowed'],
+    ['Could not extract article content', 'extraction_failed'],
+    ['Failed to fetch content', 'extraction_failed'],
+    ['Text content is required', 'invalid_request'],
+    ['Text content too large', 'content_too_large'],
+    ['Text content cannot be empty', 'empty_content'],
+    ['Text content is not readable text', 'content_rejected'],
+    ['Photo is required', 'invalid_request'],
+    ['Photo size too large', 'content_too_large'],
+    ['Unsupported file type', 'unsupported_media_type'],
+    ['Photo name contains potentially malicious content', 'invalid_photo'],
+    ['Invalid or corrupted photo data', 'invalid_photo'],
+    ['Failed to extract text from image', 'ocr_failed'],
+    ['No discernible text was found', 'no_text_found'],
+    ['Document data is required', 'invalid_request'],
+    ['Document data is incomplete', 'invalid_document'],
+    ['Document size too large', 'content_too_large'],
+    ['Unsupported document type', 'unsupported_media_type'],
+    ['Invalid document name', 'invalid_document'],
+    ['Document name contains potentially malicious content', 'invalid_document'],
+    ['Invalid or corrupted document data', 'invalid_document'],
+    ['Could not extract text from the document', 'extraction_failed'],
+    ['Could not extract the social media post', 'extraction_failed'],
+];
+
+/**
+ * Creates an error carrying a stable API code.
+ * @param {keyof ERROR_CODES} code - The stable error code.
+ * @param {string} message - Human-readable message.
+ * @param {object} [details] - Optional structured details (e.g. validation issues).
+ * @returns {Error}
+ */
+export function apiError(code, message, details) {
+    return Object.assign(new Error(message), { code, details });
+}
+
+/**
+ * Creates the v1 error envelope: { error: { code, message, details? } }.
+ * Errors without a known code are reported as internal_error with a generic message.
+ * @param {Error} error - Any error thrown while handling the request.
+ * @param {object} [headers] - Extra response headers (e.g. rate-limit headers).
+ * @returns {NextResponse}
+ */
+export function createApiErrorResponse(error, headers = {}) {
+    let code = error?.code in ERROR_CODES ? error.code : null;
+    let message = error?.message;
+
+    if (!code && isClientError(error)) {
+        code = MESSAGE_CODES.find(([prefix]) => error.message.includes(prefix))?.[1] || 'invalid_request';
+    }
+    if (!code) {
+        console.error("API v1 error:", error);
+        code = 'internal_error';
+        message = 'An unexpected error occurred while processing your request.';
+    }
+
+    return NextResponse.json(
+        { error: { code, message, ...(error?.details && { details: error.details }) } },
+        { status: ERROR_CODES[code], headers }
+    );
+}
@@ -0,0 +1,9 @@
+// app/api/v1/openapi.json/route.js
+import { NextResponse } from 'next/server';
+import { buildOpenApiDocument } from '../schema.js';
+
+// === GET Handler ===
+// Public: clients generate their SDKs from this document.
+export async function GET() {
+    return NextResponse.json(buildOpenApiDocument());
+}
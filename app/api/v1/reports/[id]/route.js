@@ -0,0 +1,29 @@
+// app/api/v1/reports/[id]/route.js
+import { NextResponse } from 'next/server';
+import { getReport } from '../../../reports/report-store.js';
+import { authenticateRequest, usageHeaders } from '../../api-keys.js';
+import { apiError, createApiErrorResponse } from '../../errors.js';
+import { API_VERSION } from '../../schema.js';
+
+// === GET Handler ===
+export async function GET(request, { params }) {
+    let usage = null;
+
+    try {
+        const { rateLimit } = await authenticateRequest(request);
+        usage = { rateLimit };
+
+        const { id } = await params;
+        const report = await getReport(id);
+        if (!report) {
+            throw apiError('not_found', 'Report not found or expired');
+        }
+
+        return NextResponse.json(
+            { data: report, meta: { apiVersion: API_VERSION } },
+            { status: 200, headers: usageHeaders(usage) }
+        );
+    } catch (error) {
+        return createApiErrorResponse(error, usageHeaders(error.usage || usage));
+    }
+}
@@ -0,0 +1,520 @@
+// app/api/v1/schema.js
+// Request/response schemas for the public API. The same zod schemas validate
+// incoming requests and generate the OpenAPI document, so the two cannot drift.
+import { z } from 'zod';
+import { ERROR_CODES } from './errors.js';
+import { SynthesisSchema, EVIDENCE_STANCES } from '../detection/structured-output.js';
+import { CHUNK_AGGREGATIONS } from '../detection/chunking.js';
+import { FACT_CHECK_VERDICTS } from '../evidence/claim-reviews.js';
+import { ENSEMBLE_VERDICTS } from '../detection/ensemble.js';
+
+export const API_VERSION = 'v1';
+
+// === Requests ===
+
+const freshField = z.boolean().optional()
+    .describe('Bypass the result cache and run a new analysis.');
+
+const PhotoSchema = z.object({
+    data: z.string().startsWith('data:image/').describe('Base64 data URL of the image.'),
+    name: z.string().min(1).max(255),
+    size: z.number().int().positive().max(10 * 1024 * 1024).describe('Size in bytes (max 10MB).'),
+    type: z.enum(['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/bmp']),
+});
+
+const DocumentSchema = z.object({
+    data: z.string().startsWith('data:').describe('Base64 data URL of the document.'),
+    name: z.string().min(1).max(255).describe('File name; its extension must match the type.'),
+    size: z.number().int().positive().max(10 * 1024 * 1024).describe('Size in bytes (max 10MB).'),
+    type: z.enum([
+        'application/pdf',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/epub+zip',
+    ]),
+});
+
+export const AnalyzeRequestSchema = z.discriminatedUnion('mode', [
+    z.object({
+        mode: z.literal('link'),
+        query: z.string().min(1).max(2048).describe('URL of the article to analyze. https:// is assumed when missing.'),
+        fresh: freshField,
+    }),
+    z.object({
+        mode: z.literal('text'),
+        content: z.string().min(1).max(50000).describe('Raw article text (max 50KB).'),
+        fresh: freshField,
+    }),
+    z.object({
+        mode: z.literal('photo'),
+        photo: PhotoSchema,
+        fresh: freshField,
+    }),
+    z.object({
+        mode: z.literal('document'),
+        document: DocumentSchema.describe('A PDF, DOCX or EPUB file. Long documents are condensed to 50KB of text.'),
+        fresh: freshField,
+    }),
+]);
+
+// === Responses ===
+
+const ValidationSchema = z.object({
+    valid: z.boolean(),
+    attempts: z.number().int().describe('LLM generations used, including retries.'),
+    repaired: z.boolean().describe('Whether deterministic fixes were applied to the model output.'),
+    errors: z.array(z.object({ path: z.string(), message: z.string() })),
+}).describe('Outcome of validating the LLM output against the synthesis schema.');
+
+const ClaimSchema = z.object({
+    id: z.number().int(),
+    claim: z.string(),
+    source_text: z.string(),
+    speaker: z.string().nullable(),
+    kind: z.string(),
+    verdict: z.string(),
+    confidence: z.number().min(0).max(1),
+    rationale: z.string(),
+    span: z.object({ start: z.number().int(), end: z.number().int() }).nullable(),
+});
+
+const ChunkScoresSchema = z.object({
+    aggregation: z.enum(CHUNK_AGGREGATIONS).describe('How the section scores were combined into the overall scores.'),
+    chunks: z.array(z.object({
+        index: z.number().int(),
+        start: z.number().int().describe('Offset of the section in articleText.'),
+        end: z.number().int(),
+        scores: z.record(z.string(), z.number()).describe('Score per model label.'),
+    })),
+});
+
+const ImageForensicsSchema = z.object({
+    format: z.enum(['jpeg', 'png', 'webp', 'gif', 'bmp']).nullable(),
+    width: z.number().int().nullable(),
+    height: z.number().int().nullable(),
+    metadata: z.object({
+        exif: z.looseObject({}).nullable().describe('Camera, software and dates from EXIF; GPS coordinates are never returned.'),
+        xmp: z.looseObject({}).nullable().describe('Creator tool, edit history and IPTC digital source type from XMP.'),
+        generatorText: z.array(z.string()).describe('PNG text keys written by AI image generators.'),
+    }),
+    c2pa: z.object({
+        manifestCount: z.number().int(),
+        activeManifest: z.string().nullable(),
+        claimGenerator: z.string().nullable(),
+        title: z.string().nullable(),
+        actions: z.array(z.object({
+            action: z.string(),
+            softwareAgent: z.string().nullable(),
+            digitalSourceType: z.string().nullable(),
+        })),
+        signed: z.boolean(),
+        signatureVerified: z.boolean().describe('Always false: signatures are detected but not validated.'),
+    }).nullable().describe('C2PA Content Credentials embedded in the image.'),
+    ela: z.object({
+        quality: z.number(),
+        meanError: z.number(),
+        maxError: z.number(),
+        grid: z.array(z.array(z.number())).describe('Mean recompression error (0-255) per region, row by row.'),
+        outliers: z.array(z.object({ row: z.number().int(), col: z.number().int(), error: z.number() })),
+        lossless: z.boolean().describe('True for non-JPEG images, where error levels say little about editing.'),
+    }).nullable().describe('Error-level analysis; null when the image could not be decoded.'),
+    hashes: z.object({ phash: z.string(), dhash: z.string() }).nullable().describe('64-bit perceptual hashes as hex.'),
+    pixelAnalysis: z.object({ scaled: z.boolean(), error: z.string().nullable() }),
+    signals: z.array(z.object({ id: z.string(), severity: z.enum(['info', 'warning', 'danger']), message: z.string() })),
+    verdict: z.enum(['ai_generated', 'possibly_edited', 'no_signs']),
+});
+
+const AnalysisSchema = z.looseObject({
+    synthesis: z.union([
+        SynthesisSchema.extend({ validation: ValidationSchema }),
+        z.looseObject({ error: z.string(), validation: ValidationSchema.optional() })
+            .describe('Returned when the models or the synthesis failed.'),
+    ]),
+    claims: z.array(ClaimSchema).nullable(),
+    evidence: z.object({
+        model: z.string().describe('Embedding model of the index.'),
+        corpusSize: z.number().int().describe('Documents in the evidence corpus.'),
+        indexedAt: z.string(),
+        passages: z.array(z.object({
+            id: z.string().describe('Passage id as cited by the synthesis, e.g. "E1".'),
+            documentId: z.string(),
+            kind: z.enum(['article', 'fact_check', 'feed']),
+            title: z.string().nullable(),
+            url: z.string().nullable(),
+            source: z.string().nullable(),
+            publishedAt: z.string().nullable(),
+            rating: z.string().nullable().describe('The fact-check rating, for fact-checks.'),
+            text: z.string(),
+            score: z.number().describe('Cosine similarity to the closest section of the analyzed text.'),
+            stance: z.enum(EVIDENCE_STANCES).nullable().describe('Judged by the synthesis; null when it did not run.'),
+            reason: z.string().nullable(),
+        })),
+    }).nullable().optional().describe('Related coverage from the evidence corpus; null when no corpus is configured.'),
+    factChecks: z.object({
+        indexSize: z.number().int().describe('Fact-checks in the ClaimReview index.'),
+        indexedAt: z.string(),
+        matches: z.array(z.object({
+            id: z.string().describe('Match id, e.g. "F1".'),
+            reviewId: z.string(),
+            claim: z.string().describe('The claim as worded by the fact-checker.'),
+            claimant: z.string().nullable(),
+            claimDate: z.string().nullable(),
+            rating: z.object({
+                label: z.string().nullable().describe('The fact-checker\'s own rating, e.g. "Pants on Fire".'),
+                value: z.number().nullable(),
+                best: z.number().nullable(),
+                worst: z.number().nullable(),
+            }),
+            verdict: z.enum(FACT_CHECK_VERDICTS).describe('The rating normalized across fact-checkers.'),
+            publisher: z.string().nullable(),
+            url: z.string().nullable(),
+            reviewedAt: z.string().nullable(),
+            language: z.string().nullable(),
+            score: z.number().describe('Cosine similarity between the fact-checked claim and the matched text.'),
+            strength: z.enum(['strong', 'related']).describe('Strong matches are treated as the same claim and given to the synthesis.'),
+            matchedClaimId: z.number().int().nullable().describe('The extracted claim that matched; null for a match on the article text.'),
+            matchedText: z.string(),
+        })),
+    }).nullable().optional().describe('Published ClaimReview fact-checks matching the article\'s claims; null when no ClaimReview source is configured.'),
+    ensemble: z.object({
+        verdict: z.enum(ENSEMBLE_VERDICTS),
+        confidence: z.number().min(0).max(1),
+        probabilities: z.record(z.enum(ENSEMBLE_VERDICTS), z.number().min(0).max(1)),
+        contributions: z.array(z.object({ feature: z.string(), value: z.number() }))
+            .describe('Features that moved the chosen verdict\'s score the most, e.g. "zeroShot.fabricated" or "sarcasm".'),
+        weightsVersion: z.number().int().nullable(),
+        calibrated: z.boolean().describe('False while the weights file has no fitted calibration.'),
+        agreesWithSynthesis: z.boolean().nullable().describe('Whether the synthesis chose the same verdict; null when it failed.'),
+    }).nullable().optional().describe('Deterministic, calibrated verdict probabilities from the model scores.'),
+    manipulation: z.object({
+        suspected: z.boolean().describe('True when the text or its context tries to instruct the model and the synthesis departs from the model scores, or the synthesis cites the injected text.'),
+        injection: z.object({
+            detected: z.boolean(),
+            score: z.number().describe('Sum of the weights of the matching injection patterns, capped at 1.'),
+            matches: z.array(z.object({
+                id: z.string().describe('Pattern id, e.g. override_instructions or verdict_steering.'),
+                message: z.string(),
+                excerpt: z.string(),
+                start: z.number().int().describe('Offset into articleText.'),
+                end: z.number().int(),
+            })),
+        }),
+        contextInjection: z.array(z.object({
+            field: z.string().describe('Where the instructions were found, e.g. "article title" or "coverage E2".'),
+            score: z.number(),
+            matches: z.array(z.object({ id: z.string(), message: z.string(), excerpt: z.string() })),
+        })).describe('Injection attempts in the page metadata, post details, related coverage and fact-checks given to the synthesis.'),
+        signals: z.array(z.object({ id: z.string(), severity: z.enum(['info', 'warning', 'danger']), message: z.string() }))
+            .describe('Ways the synthesis departs from the model scores or the article.'),
+    }).optional().describe('Prompt-injection checks on the text and the synthesis.'),
+    zeroShotAnalysis: z.unknown().describe('Raw zero-shot label scores.'),
+    sarcasmAnalysis: z.unknown().describe('Raw sarcasm model scores.'),
+    politicalBiasAnalysis: z.unknown().describe('Raw political bias model scores.'),
+    chunkAnalysis: z.object({
+        sarcasm: ChunkScoresSchema.nullable(),
+        politicalBias: ChunkScoresSchema.nullable(),
+    }).optional().describe('Per-section model scores, showing where in the article sarcasm or bias concentrates.'),
+    language: z.object({
+        code: z.string().describe('ISO 639-3 code of the detected language, or "und" when undetermined.'),
+        name: z.string().nullable(),
+        reliable: z.boolean().describe('False for short or mixed-language texts, where detection is a guess.'),
+        routing: z.object({
+            zeroShot: z.enum(['english', 'multilingual']),
+            sarcasm: z.enum(['multilingual']),
+            politicalBias: z.enum(['english', 'multilingual', 'translated']),
+        }).describe('Which model served each slot; "translated" means the text was translated to English first.'),
+    }).optional(),
+    sourceReputation: z.object({
+        url: z.string(),
+        hostname: z.string(),
+        domain: z.string().describe('Registrable domain the article was served from, after redirects.'),
+        rating: z.object({
+            domain: z.string(),
+            name: z.string(),
+            category: z.string().describe('mainstream, wire, public_broadcaster, partisan, state_media, satire, fake_news or ad_farm.'),
+            categoryDescription: z.string().nullable(),
+            factualReporting: z.string().nullable(),
+            bias: z.string().nullable(),
+            notes: z.string().nullable(),
+        }).nullable().describe('The matching entry in the outlet ratings dataset.'),
+        lookalike: z.object({
+            kind: z.enum(['impersonation', 'typosquat', 'embedded', 'brand_in_name']),
+            target: z.string(),
+            name: z.string(),
+            distance: z.number().int().optional(),
+        }).nullable().describe('The known outlet this domain imitates, if any.'),
+        domainAge: z.object({ registeredAt: z.string(), ageDays: z.number().int() }).nullable(),
+        signals: z.array(z.object({ id: z.string(), severity: z.enum(['info', 'warning', 'danger']), message: z.string() })),
+        score: z.number().min(0).max(1),
+        verdict: z.enum(['reliable', 'mixed', 'unreliable', 'satire', 'unknown']),
+    }).nullable().optional().describe('Reputation of the site a link came from; null for text, photo and document input.'),
+    articleMetadata: z.object({
+        title: z.string().nullable(),
+        description: z.string().nullable(),
+        authors: z.array(z.string()),
+        publishedAt: z.string().nullable().describe('ISO 8601 publish date.'),
+        modifiedAt: z.string().nullable().describe('ISO 8601 last-modified date.'),
+        canonicalUrl: z.string(),
+        outlet: z.string().nullable(),
+        language: z.string().nullable().describe('Language declared by the page, e.g. "en-US".'),
+        section: z.string().nullable(),
+        keywords: z.array(z.string()),
+        type: z.string().nullable().describe('schema.org @type or og:type.'),
+        image: z.string().nullable(),
+        openGraph: z.record(z.string(), z.string().nullable()),
+        schemaOrg: z.looseObject({}).nullable().describe('Fields read from the page\'s JSON-LD article node.'),
+    }).nullable().optional().describe('Metadata of the linked article; null for text, photo and document input.'),
+    imageForensics: ImageForensicsSchema.nullable().optional().describe('Forensics of the uploaded image; photo mode only.'),
+    ocr: z.object({
+        engine: z.enum(['gemini', 'tesseract']),
+        model: z.string().describe('Gemini model, or the Tesseract language list such as "eng+deu".'),
+        confidence: z.number().min(0).max(1).nullable().describe('Mean line confidence; null for engines that do not report one.'),
+        lines: z.array(z.object({
+            text: z.string(),
+            confidence: z.number().min(0).max(1).nullable(),
+            box: z.object({
+                x: z.number(),
+                y: z.number(),
+                width: z.number(),
+                height: z.number(),
+            }).nullable().describe('Bounding box as fractions of the image width and height.'),
+        })),
+    }).optional().describe('Text recognition details; photo mode only.'),
+    socialPost: z.object({
+        platform: z.enum(['twitter', 'reddit', 'mastodon', 'telegram']),
+        extractor: z.enum(['syndication', 'oembed', 'reddit_json', 'activitypub', 'mastodon_api', 'telegram_embed'])
+            .describe('The source the post was read from.'),
+        id: z.string(),
+        url: z.string(),
+        title: z.string().nullable().describe('Reddit post title.'),
+        text: z.string(),
+        link: z.string().nullable().describe('The URL a Reddit link post points to.'),
+        community: z.string().nullable().describe('Subreddit, e.g. "r/news".'),
+        author: z.object({ name: z.string().nullable(), handle: z.string().nullable(), url: z.string().nullable() }),
+        publishedAt: z.string().nullable().describe('ISO 8601 post date.'),
+        sensitive: z.boolean(),
+        engagement: z.object({
+            likes: z.number().int().nullable(),
+            reposts: z.number().int().nullable(),
+            replies: z.number().int().nullable(),
+            views: z.number().int().nullable(),
+            score: z.number().int().nullable(),
+            upvoteRatio: z.number().nullable(),
+        }).describe('Counts the platform exposes publicly; null where it does not.'),
+        media: z.array(z.object({
+            type: z.string().describe('"image", "gif", "video" or another platform media type.'),
+            url: z.string(),
+            alt: z.string().nullable(),
+            ocr: z.object({
+                engine: z.enum(['gemini', 'tesseract']),
+                text: z.string(),
+                confidence: z.number().min(0).max(1).nullable(),
+            }).nullable(),
+            forensics: ImageForensicsSchema.nullable(),
+            error: z.string().nullable(),
+        })).describe('Attached media; the first images (SOCIAL_MAX_IMAGES, default 4) are read with OCR and examined like photo uploads.'),
+    }).nullable().optional().describe('The social media post a link pointed to; links to X/Twitter, Reddit, Mastodon and Telegram posts only.'),
+    inputValidation: z.object({
+        changed: z.boolean().describe('True when any stage changed the text.'),
+        stages: z.array(z.looseObject({
+            stage: z.enum(['encoding', 'markup', 'normalize', 'invisible', 'homoglyphs', 'size']),
+            changed: z.boolean(),
+        })).describe('One entry per stage, in order, with what it found: encoding (undecodable, mojibakeRepaired), markup (removedTags), normalize (form), invisible (controls, zeroWidth, bidi), homoglyphs (mode, count, words) and size (length, maxLength).'),
+    }).nullable().optional().describe('What the input validation pipeline changed in the text before analysis.'),
+    articleText: z.string(),
+    source: z.object({
+        mode: z.enum(['link', 'text', 'photo', 'document']),
+        url: z.string().nullable(),
+        title: z.string().nullable(),
+    }).describe('Where the analyzed content came from.'),
+    cache: z.object({
+        hit: z.boolean(),
+        cachedAt: z.string().nullable(),
+        matchedOn: z.enum(['url', 'text']).optional(),
+    }),
+    report: z.object({
+        id: z.string(),
+        createdAt: z.string(),
+        expiresAt: z.string(),
+        deleteToken: z.string().optional(),
+    }).nullable(),
+});
+
+const QuotaSchema = z.object({
+    period: z.string().describe('Billing month as YYYY-MM.'),
+    limit: z.number().int(),
+    used: z.number().int(),
+    remaining: z.number().int(),
+});
+
+const AnalyzeResponseSchema = z.object({
+    data: AnalysisSchema,
+    meta: z.object({ apiVersion: z.literal(API_VERSION), quota: QuotaSchema }),
+});
+
+const ReportResponseSchema = z.object({
+    data: z.object({
+        id: z.string(),
+        createdAt: z.string(),
+        expiresAt: z.string(),
+        analysis: AnalysisSchema,
+    }),
+    meta: z.object({ apiVersion: z.literal(API_VERSION) }),
+});
+
+const UsageResponseSchema = z.object({
+    data: z.object({
+        key: z.object({ id: z.string(), name: z.string().optional() }),
+        rateLimit: z.object({ limit: z.number().int(), remaining: z.number().int(), reset: z.number().int() }),
+        quota: QuotaSchema,
+    }),
+    meta: z.object({ apiVersion: z.literal(API_VERSION) }),
+});
+
+const ErrorResponseSchema = z.object({
+    error: z.object({
+        code: z.enum(Object.keys(ERROR_CODES)),
+        message: z.string(),
+        details: z.unknown().optional(),
+    }),
+});
+
+/**
+ * Validates a request body against a schema.
+ * @returns {{ data?: object, issues?: object[] }}
+ */
+export function validateBody(schema, body) {
+    const result = schema.safeParse(body);
+    if (result.success) {
+        return { data: result.data };
+    }
+    return {
+        issues: result.error.issues.map(({ path, message }) => ({ path: path.join('.'), message })),
+    };
+}
+
+// === OpenAPI ===
+
+const toJsonSchema = (schema, io) => {
+    const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io });
+    return jsonSchema;
+};
+
+const errorResponse = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+});
+
+const RATE_LIMIT_HEADERS = {
+    'X-RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per minute.' },
+    'X-RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in the current minute.' },
+    'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'Unix time when the minute window resets.' },
+};
+
+let openApiDocument = null;
+
+/**
+ * Builds the OpenAPI 3.1 document for the v1 API from the zod schemas above.
+ * @returns {object}
+ */
+export function buildOpenApiDocument() {
+    if (openApiDocument) return openApiDocument;
+
+    openApiDocument = {
+        openapi: '3.1.0',
+        info: {
+            title: 'CheckMatic API',
+            version: API_VERSION,
+            description: 'Analyze articles, text, images and documents for credibility, content type, political bias and checkable claims.',
+        },
+        servers: [{ url: '/' }],
+        security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+        paths: {
+            '/api/v1/analyze': {
+                post: {
+                    operationId: 'analyze',
+                    summary: 'Analyze a URL, text, photo or document',
+                    description: 'Each accepted request counts toward the monthly quota, whether or not the analysis succeeds.',
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { $ref: '#/components/schemas/AnalyzeRequest' } } },
+                    },
+                    responses: {
+                        200: {
+                            description: 'The analysis.',
+                            headers: {
+                                ...RATE_LIMIT_HEADERS,
+                                'X-Quota-Limit': { schema: { type: 'integer' }, description: 'Requests allowed this month.' },
+                                'X-Quota-Remaining': { schema: { type: 'integer' }, description: 'Requests left this month.' },
+                            },
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/AnalyzeResponse' } } },
+                        },
+                        400: errorResponse('The request is invalid (invalid_request, invalid_url, url_not_allowed, address_not_allowed, redirect_not_allowed, invalid_photo, invalid_document).'),
+                        401: errorResponse('The API key is missing or invalid.'),
+                        413: errorResponse('The content or fetched page is too large (content_too_large, response_too_large).'),
+                        415: errorResponse('The photo, document or fetched page type is not supported (unsupported_media_type, unsupported_content_type).'),
+                        422: errorResponse('The content could not be analyzed (extraction_failed, dns_resolution_failed, too_many_redirects, empty_content, no_text_found).'),
+                        429: errorResponse('Rate limit or monthly quota exceeded.'),
+                        500: errorResponse('Unexpected server error.'),
+                        502: errorResponse('The article site or OCR service failed (upstream_http_error, ocr_failed).'),
+                        504: errorResponse('The article site did not respond in time (connect_timeout, read_timeout).'),
+                    },
+                },
+            },
+            '/api/v1/reports/{id}': {
+                get: {
+                    operationId: 'getReport',
+                    summary: 'Fetch a stored report',
+                    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{12}$' } }],
+                    responses: {
+                        200: {
+                            description: 'The stored report.',
+                            headers: RATE_LIMIT_HEADERS,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/ReportResponse' } } },
+                        },
+                        401: errorResponse('The API key is missing or invalid.'),
+                        404: errorResponse('The report does not exist or has expired.'),
+                        429: errorResponse('Rate limit exceeded.'),
+                    },
+                },
+            },
+            '/api/v1/usage': {
+                get: {
+                    operationId: 'getUsage',
+                    summary: "Show the calling key's limits and current usage",
+                    responses: {
+                        200: {
+                            description: 'Current usage.',
+                            headers: RATE_LIMIT_HEADERS,
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/UsageResponse' } } },
+                        },
+                        401: errorResponse('The API key is missing or invalid.'),
+                        429: errorResponse('Rate limit exceeded.'),
+                    },
+                },
+            },
+            '/api/v1/openapi.json': {
+                get: {
+                    operationId: 'getOpenApiDocument',
+                    summary: 'This document',
+                    security: [],
+                    responses: { 200: { description: 'The OpenAPI document.' } },
+                },
+            },
+        },
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            },
+            schemas: {
+                AnalyzeRequest: toJsonSchema(AnalyzeRequestSchema, 'input'),
+                AnalyzeResponse: toJsonSchema(AnalyzeResponseSchema, 'output'),
+                ReportResponse: toJsonSchema(ReportResponseSchema, 'output'),
+                UsageResponse: toJsonSchema(UsageResponseSchema, 'output'),
+                ErrorResponse: toJsonSchema(ErrorResponseSchema, 'output'),
+            },
+        },
+    };
+
+    return openApiDocument;
+}
@@ -0,0 +1,23 @@
+// app/api/v1/usage/route.js
+import { NextResponse } from 'next/server';
+import { authenticateRequest, getQuota, usageHeaders } from '../api-keys.js';
+import { createApiErrorResponse } from '../errors.js';
+import { API_VERSION } from '../schema.js';
+
+// === GET Handler ===
+export async function GET(request) {
+    try {
+        const { key, rateLimit } = await authenticateRequest(request);
+        const quota = await getQuota(key);
+
+        return NextResponse.json(
+            {
+                data: { key: { id: key.id, name: key.name }, rateLimit, quota },
+                meta: { apiVersion: API_VERSION },
+            },
+            { status: 200, headers: usageHeaders({ rateLimit, quota }) }
+        );
+    } catch (error) {
+        return createApiErrorResponse(error, usageHeaders(error.usage));
+    }
+}
@@ -0,0 +1,26 @@
+// app/history/page.js
+import { HiCheckCircle } from "react-icons/hi";
+import HistoryDashboard from "../../components/HistoryDashboard";
+
+export const metadata = {
+    title: "History - CheckMatic",
+    description: "Your past CheckMatic analyses.",
+};
+
+export default function History() {
+    return (
+        <div className="pt-12 min-h-screen bg-white dark:bg-gray-900">
+            <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 pb-12">
+                {/* Header Section */}
+                <div className="flex items-center justify-center space-x-2 sm:space-x-3 mb-6 sm:mb-8">
+                    <h1 className="text-2xl sm:text-3xl md:text-4xl font-extrabold text-indigo-600 dark:text-indigo-400">
+                        History
+                    </h1>
+                    <HiCheckCircle className="w-8 h-8 sm:w-10 sm:h-10 md:w-12 md:h-12 text-indigo-600 dark:text-indigo-400" />
+                </div>
+
+                <HistoryDashboard />
+            </div>
+        </div>
+    );
+}
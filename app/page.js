@@ -4,6 +4,7 @@
 import { useState, useEffect } from "react";
 import SearchBar from "../components/SearchBar";
 import AnalysisResult from "../components/AnalysisResult";
+import BatchResults from "../components/BatchResults";
 import { HiCheckCircle } from "react-icons/hi";
 
 export default function Home() {
@@ -14,6 +15,8 @@ export default function Home() {
     }
     return null;
   });
+  const [refreshRequest, setRefreshRequest] = useState(0);
+  const [batchData, setBatchData] = useState(null);
 
   useEffect(() => {
     if (analysisData) {
@@ -30,9 +33,20 @@ export default function Home() {
         <h1 className="text-4xl font-extrabold mb-6 text-indigo-600 dark:text-indigo-400">CheckMatic</h1>
       </div>
 
-      <SearchBar setAnalysisData={setAnalysisData} />
+      <SearchBar
+        setAnalysisData={setAnalysisData}
+        setBatchData={setBatchData}
+        refreshRequest={refreshRequest}
+      />
 
-      {analysisData && <AnalysisResult analysis={analysisData} />}
+      {analysisData && (
+        <AnalysisResult
+          analysis={analysisData}
+          onRefresh={() => setRefreshRequest((count) => count + 1)}
+        />
+      )}
+
+      {batchData && <BatchResults batch={batchData} />}
 
     </main>
   );
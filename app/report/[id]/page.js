@@ -0,0 +1,72 @@
+// app/report/[id]/page.js
+import { notFound } from "next/navigation";
+import { HiCheckCircle } from "react-icons/hi";
+import ReportView from "@/components/ReportView";
+import { getReport } from "@/app/api/reports/report-store";
+
+const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || "https://www.checkmatic.vercel.app";
+
+const formatDate = (iso) =>
+    new Date(iso).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+
+export async function generateMetadata({ params }) {
+    const { id } = await params;
+    const report = await getReport(id);
+
+    if (!report) {
+        return { title: "Report not found - CheckMatic" };
+    }
+
+    const { summary, primary_classification } = report.analysis?.synthesis || {};
+    const verdict = primary_classification?.type?.replace("_", " ");
+    const title = verdict ? `CheckMatic report: likely ${verdict}` : "CheckMatic report";
+    const description = summary || "AI-powered analysis of credibility, content type, and political bias.";
+
+    return {
+        title,
+        description,
+        robots: { index: false },
+        openGraph: {
+            title,
+            description,
+            type: "article",
+            url: `${SITE_URL}/report/${id}`,
+            images: `${SITE_URL}/preview-dark.png`,
+        },
+        twitter: {
+            card: "summary_large_image",
+            title,
+            description,
+            images: `${SITE_URL}/preview-dark.png`,
+        },
+    };
+}
+
+export default async function ReportPage({ params }) {
+    const { id } = await params;
+    const report = await getReport(id);
+
+    if (!report) {
+        notFound();
+    }
+
+    const analysis = {
+        ...report.analysis,
+        report: { id: report.id, createdAt: report.createdAt, expiresAt: report.expiresAt },
+    };
+
+    return (
+        <main className="flex flex-col items-center justify-center p-6 bg-white dark:bg-gray-900 text-gray-900 dark:text-gray-100">
+            <div className="flex items-center space-x-2 mt-6">
+                <HiCheckCircle className="w-12 h-12 mb-6 text-indigo-600 dark:text-indigo-400" />
+                <h1 className="text-4xl font-extrabold mb-6 text-indigo-600 dark:text-indigo-400">CheckMatic</h1>
+            </div>
+
+            <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400">
+                Shared report from {formatDate(report.createdAt)} &middot; available until {formatDate(report.expiresAt)}
+            </p>
+
+            <ReportView analysis={analysis} />
+        </main>
+    );
+}
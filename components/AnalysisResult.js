@@ -1,4 +1,6 @@
 // components/AnalysisResult.js
+"use client";
+
 import React, { useState, useEffect, useRef } from 'react';
 import DOMPurify from 'dompurify';
 import {
@@ -12,17 +14,109 @@ import {
   FaCopy,
   FaShare,
   FaTimesCircle,
+  FaTrashAlt,
+  FaSyncAlt,
+  FaTasks,
+  FaLanguage,
+  FaGlobe,
+  FaImage,
+  FaBookOpen,
+  FaExternalLinkAlt,
 } from 'react-icons/fa';
+import { rememberDeleteToken, getDeleteToken, forgetDeleteToken } from '../lib/report-tokens';
+import ArticleHeaderCard from './ArticleHeaderCard';
+import SocialPostCard from './SocialPostCard';
+import FactCheckBanner from './FactCheckBanner';
+
+// Labels for politicalBiasBERT's output classes
+const BIAS_CHUNK_LABELS = {
+  LABEL_0: { name: 'left', rgb: '59, 130, 246' },
+  LABEL_1: { name: 'center', rgb: '156, 163, 175' },
+  LABEL_2: { name: 'right', rgb: '239, 68, 68' },
+};
+
+// How each model's per-section scores are described and coloured
+const CHUNK_VIEWS = {
+  sarcasm: {
+    title: 'Sarcasm across the article',
+    describe: (scores) => `${Math.round((scores.LABEL_1 ?? 0) * 100)}% sarcastic`,
+    color: (scores) => `rgba(168, 85, 247, ${0.15 + (scores.LABEL_1 ?? 0) * 0.85})`,
+  },
+  politicalBias: {
+    title: 'Bias across the article',
+    describe: (scores) => {
+      const [label, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || [];
+      return label ? `${BIAS_CHUNK_LABELS[label]?.name || label} (${Math.round(score * 100)}%)` : '';
+    },
+    color: (scores) => {
+      const [label, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || [];
+      return `rgba(${BIAS_CHUNK_LABELS[label]?.rgb || '156, 163, 175'}, ${0.15 + (score ?? 0) * 0.85})`;
+    },
+  },
+};
+
+const SOURCE_VERDICT_STYLES = {
+  reliable: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+  mixed: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300',
+  unreliable: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+  satire: 'bg-purple-100 dark:bg-purple-900/30 text-purple-800 dark:text-purple-300',
+  unknown: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300',
+};
+
+const SIGNAL_STYLES = {
+  danger: 'text-red-600 dark:text-red-400',
+  warning: 'text-yellow-600 dark:text-yellow-400',
+  info: 'text-gray-500 dark:text-gray-400',
+};
+
+const formatDomainAge = (ageDays) =>
+  ageDays >= 365 ? `${Math.floor(ageDays / 365)} year${ageDays >= 730 ? 's' : ''} old` : `${ageDays} days old`;
+
+const IMAGE_VERDICTS = {
+  ai_generated: { label: 'AI-generated', style: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300' },
+  possibly_edited: { label: 'Possibly edited', style: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300' },
+  no_signs: { label: 'No signs of editing', style: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' },
+};
+
+// Stance of a related-coverage passage towards the article, as judged by the synthesis
+const EVIDENCE_STANCES = {
+  supports: { label: 'Agrees', style: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' },
+  contradicts: { label: 'Contradicts', style: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300' },
+  unrelated: { label: 'Unrelated', style: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300' },
+};
+const EVIDENCE_KIND_LABELS = { article: 'Article', fact_check: 'Fact-check', feed: 'News feed' };
+
+const OCR_ENGINE_LABELS = { gemini: 'Gemini', tesseract: 'Tesseract (on the server)' };
+
+// Scales an ELA region error (0-255, in practice rarely above 30) to a cell colour
+const elaColor = (error) => `rgba(239, 68, 68, ${Math.min(1, 0.05 + error / 30)})`;
 
-export default function AnalysisResult({ analysis }) {
+const AGGREGATION_LABELS = {
+  weighted_mean: 'Overall score is the length-weighted mean of the sections.',
+  max: 'Overall score is the highest score of any section.',
+  distribution: 'Overall score is the share of the article where each label is strongest.',
+};
+
+export default function AnalysisResult({ analysis, onReportDeleted, onRefresh }) {
   const [expandedSections, setExpandedSections] = useState({
     summary: true,
+    source: true,
+    image: true,
     credibility: true,
     type: true,
     bias: true,
+    claims: true,
+    evidence: true,
   });
+  const [expandedClaims, setExpandedClaims] = useState({});
+  const [selectedChunks, setSelectedChunks] = useState({});
+  const [, setLayoutVersion] = useState(0);
   const [animateIn, setAnimateIn] = useState(false);
   const [copiedSection, setCopiedSection] = useState(null);
+  const [deleteToken, setDeleteToken] = useState(null);
+  const [reportDeleted, setReportDeleted] = useState(false);
+
+  const reportId = reportDeleted ? null : analysis?.report?.id;
 
   const contentRefs = useRef({});
 
@@ -33,7 +127,67 @@ export default function AnalysisResult({ analysis }) {
     }
   }, [analysis]);
 
-  if (!analysis?.synthesis || analysis.synthesis.error) {
+  // Section heights are measured from the DOM, so measure again once a claim or article section has opened or closed
+  useEffect(() => {
+    setLayoutVersion((version) => version + 1);
+  }, [expandedClaims, selectedChunks]);
+
+  // The creator receives a delete token once; keep it so the report can be removed later
+  useEffect(() => {
+    const report = analysis?.report;
+    setReportDeleted(false);
+    if (!report?.id) {
+      setDeleteToken(null);
+      return;
+    }
+    if (report.deleteToken) {
+      rememberDeleteToken(report.id, report.deleteToken);
+    }
+    setDeleteToken(report.deleteToken || getDeleteToken(report.id));
+  }, [analysis]);
+
+  // A finished analysis whose synthesis failed gets an explanation instead of a placeholder
+  if (analysis?.synthesis?.error) {
+    const validationErrors = analysis.synthesis.validation?.errors || [];
+    return (
+      <div className="w-full max-w-2xl mx-auto mt-4 p-6 rounded-2xl bg-white dark:bg-gray-800 border border-red-100 dark:border-red-900/50 shadow-sm">
+        <div className="flex items-start gap-3">
+          <FaTimesCircle className="h-5 w-5 mt-0.5 flex-shrink-0 text-red-500" />
+          <div className="flex-1 min-w-0">
+            <h3 className="font-semibold text-sm md:text-base text-gray-800 dark:text-gray-100">
+              The analysis could not be completed
+            </h3>
+            <p className="mt-1 text-xs md:text-sm text-gray-600 dark:text-gray-300">
+              {analysis.synthesis.validation?.valid === false
+                ? `The language model did not return a valid result after ${analysis.synthesis.validation.attempts} attempt(s).`
+                : analysis.synthesis.error}
+            </p>
+            {validationErrors.length > 0 && (
+              <ul className="mt-3 space-y-1 text-xs text-gray-500 dark:text-gray-400 list-disc list-inside">
+                {validationErrors.slice(0, 5).map(({ path, message }, index) => (
+                  <li key={index} className="break-words">
+                    <span className="font-mono">{path}</span>: {message}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {onRefresh && (
+              <button
+                onClick={onRefresh}
+                className="mt-4 flex items-center gap-1 px-3 py-1.5 rounded-md text-xs md:text-sm text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-indigo-500 transition-all duration-300"
+                title="Run the analysis again"
+              >
+                <FaSyncAlt className="h-3 w-3" />
+                <span>Try again</span>
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!analysis?.synthesis) {
     return (
       <div className="w-full max-w-2xl mx-auto mt-4 p-6 text-center text-gray-500 dark:text-gray-400">
         <div className="space-y-4 animate-pulse">
@@ -50,6 +204,13 @@ export default function AnalysisResult({ analysis }) {
     secondary_classification,
     tertiary_classification,
   } = analysis.synthesis;
+  const claims = Array.isArray(analysis.claims) ? analysis.claims : [];
+  const sourceReputation = analysis.sourceReputation;
+  const imageForensics = analysis.imageForensics;
+  const ocr = analysis.ocr;
+  const evidencePassages = analysis.evidence?.passages || [];
+  const manipulation = analysis.manipulation;
+  const ensemble = analysis.ensemble;
 
   // SANITIZE ALL LLM-GENERATED CONTENT
   const sanitizedSummary = DOMPurify.sanitize(summary);
@@ -66,14 +227,14 @@ export default function AnalysisResult({ analysis }) {
   const toggleAllSections = () => {
     const allExpanded = Object.values(expandedSections).every(Boolean);
     const newState = !allExpanded;
-    setExpandedSections({
-      summary: newState,
-      credibility: newState,
-      type: newState,
-      bias: newState,
-    });
+    setExpandedSections((prev) =>
+      Object.fromEntries(Object.keys(prev).map((section) => [section, newState]))
+    );
   };
 
+  const toggleClaim = (claimId) =>
+    setExpandedClaims((prev) => ({ ...prev, [claimId]: !prev[claimId] }));
+
   const copyToClipboard = async (text, section) => {
     try {
       if (navigator.clipboard?.writeText) {
@@ -93,8 +254,30 @@ export default function AnalysisResult({ analysis }) {
     }
   };
 
+  const deleteReport = async () => {
+    if (!reportId || !deleteToken) return;
+    if (!window.confirm('Delete this shared report? The link will stop working for everyone.')) return;
+
+    try {
+      const response = await fetch(`/api/reports/${reportId}`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${deleteToken}` },
+      });
+
+      // A report that already expired counts as deleted
+      if (response.ok || response.status === 404) {
+        forgetDeleteToken(reportId);
+        setDeleteToken(null);
+        setReportDeleted(true);
+        onReportDeleted?.();
+      }
+    } catch (err) {
+      console.error('Failed to delete report: ', err);
+    }
+  };
+
   const shareAnalysis = async () => {
-    const currentUrl = window.location.href;
+    const currentUrl = reportId ? `${window.location.origin}/report/${reportId}` : window.location.href;
     const fullReport = `Analysis Report
 
 URL: ${currentUrl}
@@ -131,11 +314,21 @@ Quote: "${sanitizedTertiaryQuote}"`
   const getSectionText = (sectionKey) => {
     const textMap = {
       summary: `Summary: "${sanitizedSummary}"`,
-      credibility: `Credibility: ${primary_classification?.type?.replace('_', ' ')}\nQuote: "${sanitizedPrimaryQuote}"`,
+      source: sourceReputation
+        ? `Source: ${sourceReputation.domain} (${sourceReputation.verdict})${sourceReputation.rating ? `\n${sourceReputation.rating.name}: ${sourceReputation.rating.category.replace('_', ' ')}` : ''}${sourceReputation.signals.map((signal) => `\n- ${signal.message}`).join('')}`
+        : '',
+      image: imageForensics
+        ? `Image: ${IMAGE_VERDICTS[imageForensics.verdict]?.label}${imageForensics.signals.map((signal) => `\n- ${signal.message}`).join('')}`
+        : '',
+      credibility: `Credibility: ${primary_classification?.type?.replace('_', ' ')}${ensemble ? `\nModel ensemble: ${Object.entries(ensemble.probabilities).map(([verdict, probability]) => `${verdict} ${Math.round(probability * 100)}%`).join(', ')}` : ''}\nQuote: "${sanitizedPrimaryQuote}"`,
       type: `Type: ${secondary_classification?.type?.replace('_', ' ')}\nQuote: "${sanitizedSecondaryQuote}"`,
       bias: tertiary_classification
         ? `Political Bias: ${tertiary_classification.type.replace('_', ' ')}\nQuote: "${sanitizedTertiaryQuote}"`
         : '',
+      claims: claims.map((claim) => `[${claim.verdict}] ${claim.claim}`).join('\n'),
+      evidence: evidencePassages
+        .map((passage) => `[${EVIDENCE_STANCES[passage.stance]?.label || 'Related'}] ${passage.title || passage.text.slice(0, 80)}${passage.url ? ` (${passage.url})` : ''}`)
+        .join('\n'),
     };
     return textMap[sectionKey] || '';
   };
@@ -251,6 +444,355 @@ Quote: "${sanitizedTertiaryQuote}"`
     );
   };
 
+  const getVerdictStyle = (verdict) => {
+    switch (verdict) {
+      case 'supported':
+        return 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300';
+      case 'misleading':
+        return 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300';
+      case 'false':
+        return 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300';
+      default:
+        return 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300';
+    }
+  };
+
+  // Shows the claim's source span highlighted within a window of surrounding article text
+  const renderClaimExcerpt = (claim) => {
+    const articleText = analysis.articleText;
+    if (!claim.span || !articleText) {
+      return claim.source_text ? (
+        <blockquote className="p-3 bg-gray-50 dark:bg-gray-700/30 border-l-4 border-fuchsia-500 rounded-r-xl italic text-gray-600 dark:text-gray-400">
+          &quot;{claim.source_text}&quot;
+        </blockquote>
+      ) : null;
+    }
+
+    const contextSize = 160;
+    const { start, end } = claim.span;
+    const before = articleText.slice(Math.max(0, start - contextSize), start);
+    const after = articleText.slice(end, end + contextSize);
+
+    return (
+      <blockquote className="p-3 bg-gray-50 dark:bg-gray-700/30 border-l-4 border-fuchsia-500 rounded-r-xl text-gray-600 dark:text-gray-400 leading-relaxed">
+        {start > contextSize && '…'}
+        {before}
+        <mark className="bg-yellow-200 dark:bg-yellow-700/60 text-gray-900 dark:text-gray-100 rounded px-0.5">
+          {articleText.slice(start, end)}
+        </mark>
+        {after}
+        {end + contextSize < articleText.length && '…'}
+      </blockquote>
+    );
+  };
+
+  // A strip of the article's sections, coloured by score, with the selected section's text below
+  const renderChunkStrip = (model) => {
+    const chunkScores = analysis.chunkAnalysis?.[model];
+    const articleText = analysis.articleText;
+    if (!chunkScores || chunkScores.chunks.length < 2 || !articleText) return null;
+
+    const view = CHUNK_VIEWS[model];
+    const selected = chunkScores.chunks.find((chunk) => chunk.index === selectedChunks[model]);
+    const excerptLength = 280;
+
+    return (
+      <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-600/50 text-sm text-gray-500 dark:text-gray-400">
+        <p className="font-medium">{view.title}</p>
+        <div className="flex gap-0.5 h-4 mt-2 rounded-full overflow-hidden">
+          {chunkScores.chunks.map((chunk) => (
+            <button
+              key={chunk.index}
+              onClick={() =>
+                setSelectedChunks((prev) => ({ ...prev, [model]: prev[model] === chunk.index ? undefined : chunk.index }))
+              }
+              className={`h-full transition-all duration-300 hover:opacity-80 ${selected?.index === chunk.index ? 'ring-2 ring-inset ring-indigo-500' : ''}`}
+              style={{ flexGrow: chunk.end - chunk.start, backgroundColor: view.color(chunk.scores) }}
+              title={`Section ${chunk.index + 1}: ${view.describe(chunk.scores)}`}
+              aria-label={`Section ${chunk.index + 1}: ${view.describe(chunk.scores)}`}
+            />
+          ))}
+        </div>
+        <p className="mt-2 text-xs">
+          {AGGREGATION_LABELS[chunkScores.aggregation]} Select a section to read it.
+        </p>
+        {selected && (
+          <blockquote className="mt-3 p-3 bg-white dark:bg-gray-800 border-l-4 border-indigo-400 rounded-r-xl text-xs md:text-sm text-gray-600 dark:text-gray-400 leading-relaxed">
+            <span className="block not-italic font-semibold text-gray-700 dark:text-gray-300 mb-1">
+              Section {selected.index + 1}: {view.describe(selected.scores)}
+            </span>
+            {articleText.slice(selected.start, Math.min(selected.end, selected.start + excerptLength))}
+            {selected.end - selected.start > excerptLength && '…'}
+          </blockquote>
+        )}
+      </div>
+    );
+  };
+
+  // Shown above everything else when the text or its context tries to instruct the model
+  const renderManipulation = () => {
+    const { suspected, injection, contextInjection = [], signals } = manipulation;
+    const excerpts = [...new Set([
+      ...injection.matches.map((match) => match.excerpt),
+      ...contextInjection.flatMap((field) => field.matches.map((match) => match.excerpt)),
+    ])].slice(0, 3);
+    const departures = signals.filter((signal) => signal.severity !== 'info');
+
+    return (
+      <div
+        className={`p-4 rounded-xl border ${suspected
+          ? 'bg-red-50 dark:bg-red-900/10 border-red-200 dark:border-red-800/50'
+          : 'bg-yellow-50 dark:bg-yellow-900/10 border-yellow-200 dark:border-yellow-800/50'
+          }`}
+      >
+        <p className={`flex items-center gap-2 md:text-sm text-xs font-semibold ${SIGNAL_STYLES[suspected ? 'danger' : 'warning']}`}>
+          <FaExclamationTriangle className="h-4 w-4 flex-shrink-0" />
+          {suspected
+            ? 'This analysis may have been manipulated by instructions hidden in the text'
+            : injection.detected
+              ? 'This text contains instructions aimed at AI models'
+              : `Instructions aimed at AI models were found in the ${contextInjection.map((field) => field.field).join(', ')}`}
+        </p>
+        {excerpts.length > 0 && (
+          <ul className="mt-2 space-y-1">
+            {excerpts.map((excerpt) => (
+              <li key={excerpt} className="md:text-sm text-xs text-gray-600 dark:text-gray-300 italic break-words">
+                &ldquo;{excerpt}&rdquo;
+              </li>
+            ))}
+          </ul>
+        )}
+        {departures.length > 0 && (
+          <ul className="mt-2 space-y-1 text-xs md:text-sm">
+            {departures.map((signal) => (
+              <li key={signal.id} className={`flex items-start gap-2 ${SIGNAL_STYLES[signal.severity]}`}>
+                <FaExclamationTriangle className="h-3 w-3 mt-1 flex-shrink-0" />
+                <span>{signal.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const renderSource = () => {
+    const { domain, rating, domainAge, signals, verdict } = sourceReputation;
+
+    return (
+      <div className="mt-1 md:text-base text-xs text-gray-700 dark:text-gray-300">
+        <p>
+          Published on <span className="font-semibold">{domain}</span>, rated{' '}
+          <span className={`font-bold capitalize px-3 py-1 rounded-full md:text-base text-xs ${SOURCE_VERDICT_STYLES[verdict] || SOURCE_VERDICT_STYLES.unknown}`}>
+            {verdict}
+          </span>
+        </p>
+
+        <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-600/50 text-sm text-gray-500 dark:text-gray-400 space-y-1">
+          {rating ? (
+            <>
+              <p>
+                <span className="font-medium text-gray-700 dark:text-gray-300">{rating.name}</span>
+                {' · '}
+                <span className="capitalize">{rating.category.replace('_', ' ')}</span>
+                {rating.factualReporting && ` · Factual reporting: ${rating.factualReporting.replace('_', ' ')}`}
+                {rating.bias && ` · Leans ${rating.bias}`}
+              </p>
+              {rating.categoryDescription && <p>{rating.categoryDescription}</p>}
+              {rating.notes && <p>{rating.notes}</p>}
+            </>
+          ) : (
+            <p>This site is not in CheckMatic&apos;s list of rated outlets.</p>
+          )}
+          {domainAge && (
+            <p>
+              Domain registered {new Date(domainAge.registeredAt).toLocaleDateString()} ({formatDomainAge(domainAge.ageDays)}).
+            </p>
+          )}
+        </div>
+
+        {signals.length > 0 && (
+          <ul className="mt-3 space-y-1 text-xs md:text-sm">
+            {signals.map((signal) => (
+              <li key={signal.id} className={`flex items-start gap-2 ${SIGNAL_STYLES[signal.severity]}`}>
+                <FaExclamationTriangle className="h-3 w-3 mt-1 flex-shrink-0" />
+                <span>{signal.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const renderImage = () => {
+    const { format, width, height, metadata, c2pa, ela, hashes, pixelAnalysis, signals, verdict } = imageForensics;
+    const { exif, xmp } = metadata;
+    const camera = [exif?.make, exif?.model].filter(Boolean).join(' ');
+    const software = exif?.software || xmp?.creatorTool;
+
+    return (
+      <div className="mt-1 md:text-base text-xs text-gray-700 dark:text-gray-300">
+        <p>
+          {format ? format.toUpperCase() : 'Image'}
+          {width && height && `, ${width} × ${height}`}
+          {' '}
+          <span className={`font-bold px-3 py-1 rounded-full md:text-base text-xs ${IMAGE_VERDICTS[verdict]?.style}`}>
+            {IMAGE_VERDICTS[verdict]?.label}
+          </span>
+        </p>
+
+        <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-600/50 text-sm text-gray-500 dark:text-gray-400 space-y-1">
+          {camera && <p>Camera: <span className="text-gray-700 dark:text-gray-300">{camera}</span>{exif.lens && ` · ${exif.lens}`}</p>}
+          {exif?.takenAt && <p>Taken: {new Date(exif.takenAt).toLocaleString()}</p>}
+          {software && <p>Saved by: <span className="text-gray-700 dark:text-gray-300">{software}</span></p>}
+          {exif?.hasGps && <p>Contains GPS coordinates (not shown).</p>}
+          {c2pa && (
+            <p>
+              Content Credentials: {c2pa.claimGenerator || 'unknown tool'}
+              {c2pa.actions.length > 0 && ` · ${c2pa.actions.map((action) => action.action.replace(/^c2pa\./, '')).join(', ')}`}
+            </p>
+          )}
+          {!exif && !xmp && !c2pa && <p>No embedded metadata.</p>}
+          {hashes && (
+            <p className="font-mono text-xs break-all" title="Perceptual hashes: copies of the same picture have similar values">
+              pHash {hashes.phash} · dHash {hashes.dhash}
+            </p>
+          )}
+        </div>
+
+        {ela && (
+          <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-600/50 text-sm text-gray-500 dark:text-gray-400">
+            <p className="font-medium">Error level analysis</p>
+            <div
+              className="grid gap-0.5 mt-2 w-40 sm:w-48 rounded overflow-hidden"
+              style={{ gridTemplateColumns: `repeat(${ela.grid[0].length}, minmax(0, 1fr))` }}
+            >
+              {ela.grid.flatMap((row, rowIndex) =>
+                row.map((error, colIndex) => (
+                  <div
+                    key={`${rowIndex}-${colIndex}`}
+                    className={`aspect-square ${ela.outliers.some((cell) => cell.row === rowIndex && cell.col === colIndex) ? 'ring-2 ring-inset ring-yellow-400' : ''}`}
+                    style={{ backgroundColor: elaColor(error) }}
+                    title={`Error ${error}`}
+                  />
+                ))
+              )}
+            </div>
+            <p className="mt-2 text-xs">
+              {ela.lossless
+                ? 'This image is not a JPEG, so recompression differences say little about editing.'
+                : 'Brighter regions changed more when the image was re-saved. Outlined regions stand out from the rest.'}
+            </p>
+          </div>
+        )}
+        {pixelAnalysis.error && <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">{pixelAnalysis.error}</p>}
+
+        {signals.length > 0 && (
+          <ul className="mt-3 space-y-1 text-xs md:text-sm">
+            {signals.map((signal) => (
+              <li key={signal.id} className={`flex items-start gap-2 ${SIGNAL_STYLES[signal.severity]}`}>
+                <FaExclamationTriangle className="h-3 w-3 mt-1 flex-shrink-0" />
+                <span>{signal.message}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    );
+  };
+
+  const renderOcr = () => (
+    <p className={`text-xs md:text-sm text-gray-500 dark:text-gray-400 ${imageForensics ? 'mt-3' : 'mt-1'}`}>
+      Text read by {OCR_ENGINE_LABELS[ocr.engine] || ocr.engine}: {ocr.lines.length} line{ocr.lines.length === 1 ? '' : 's'}
+      {ocr.confidence != null && `, ${Math.round(ocr.confidence * 100)}% average confidence`}
+      {ocr.lines.some((line) => line.confidence != null && line.confidence < 0.7) &&
+        '. Some lines were hard to read, so the text may contain recognition errors.'}
+    </p>
+  );
+
+  const renderClaims = () => (
+    <ul className="mt-1 space-y-3">
+      {claims.map((claim) => {
+        const isOpen = !!expandedClaims[claim.id];
+        return (
+          <li
+            key={claim.id}
+            className="rounded-xl border border-gray-100 dark:border-gray-600/50 bg-white dark:bg-gray-800"
+          >
+            <button
+              onClick={() => toggleClaim(claim.id)}
+              className="w-full flex items-start gap-3 p-3 text-left md:text-base text-xs text-gray-700 dark:text-gray-300"
+            >
+              <span className={`flex-shrink-0 font-bold capitalize px-2 py-0.5 rounded-full text-xs ${getVerdictStyle(claim.verdict)}`}>
+                {claim.verdict}
+              </span>
+              <span className="flex-1">{claim.claim}</span>
+              <FaChevronDown
+                className={`flex-shrink-0 mt-1 h-3 w-3 text-gray-400 transition-transform duration-300 ${isOpen ? 'rotate-180' : ''}`}
+              />
+            </button>
+
+            {isOpen && (
+              <div className="px-3 pb-3 space-y-2 md:text-sm text-[11px] text-gray-600 dark:text-gray-400">
+                <p>
+                  {claim.speaker ? `Claimed by ${claim.speaker}` : 'Asserted by the article'}
+                  {claim.kind ? ` · ${claim.kind}` : ''}
+                  {claim.confidence != null ? ` · ${Math.round(claim.confidence * 100)}% confidence` : ''}
+                </p>
+                {claim.rationale && <p className="leading-relaxed">{claim.rationale}</p>}
+                {renderClaimExcerpt(claim)}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+
+  const renderEvidence = () => (
+    <ul className="mt-1 space-y-3">
+      {evidencePassages.map((passage) => (
+        <li
+          key={passage.id}
+          className="p-3 rounded-xl border border-gray-100 dark:border-gray-600/50 bg-white dark:bg-gray-800 md:text-sm text-xs text-gray-600 dark:text-gray-400"
+        >
+          <div className="flex items-start gap-3">
+            <span className={`flex-shrink-0 font-bold px-2 py-0.5 rounded-full text-xs ${EVIDENCE_STANCES[passage.stance]?.style || EVIDENCE_STANCES.unrelated.style}`}>
+              {EVIDENCE_STANCES[passage.stance]?.label || 'Related'}
+            </span>
+            <div className="flex-1 min-w-0">
+              {passage.url ? (
+                <a
+                  href={passage.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-start gap-2 font-medium md:text-base text-xs text-gray-700 dark:text-gray-300 hover:text-indigo-500 transition-colors duration-300"
+                >
+                  <span>{passage.title || passage.url}</span>
+                  <FaExternalLinkAlt className="h-3 w-3 mt-1 flex-shrink-0" />
+                </a>
+              ) : (
+                <p className="font-medium md:text-base text-xs text-gray-700 dark:text-gray-300">{passage.title}</p>
+              )}
+              <p className="mt-0.5">
+                {[
+                  EVIDENCE_KIND_LABELS[passage.kind],
+                  passage.source,
+                  passage.publishedAt && new Date(passage.publishedAt).toLocaleDateString(),
+                  passage.rating && `Rated: ${passage.rating}`,
+                  `${Math.round(passage.score * 100)}% similar`,
+                ].filter(Boolean).join(' · ')}
+              </p>
+              {passage.reason && <p className="mt-2 leading-relaxed">{passage.reason}</p>}
+              <p className="mt-2 italic line-clamp-3">&ldquo;{passage.text}&rdquo;</p>
+            </div>
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+
   const getCredibilityIcon = () => {
     const credibilityType = primary_classification?.type;
 
@@ -265,6 +807,34 @@ Quote: "${sanitizedTertiaryQuote}"`
     return <FaCheckCircle className="h-5 w-5 text-green-500" />;
   };
 
+  // The score-only verdict next to the synthesis', so disagreements are visible
+  const renderEnsemble = () => (
+    <div className="mt-3 p-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-600/50 text-sm text-gray-500 dark:text-gray-400">
+      <div className="flex flex-col md:flex-row justify-between gap-1">
+        <span className="font-medium">Model ensemble{ensemble.calibrated ? '' : ' (uncalibrated)'}:</span>
+        <span className={ensemble.agreesWithSynthesis === false ? SIGNAL_STYLES.warning : ''}>
+          {ensemble.agreesWithSynthesis === false
+            ? `Disagrees: the model scores point to ${ensemble.verdict}`
+            : 'Agrees with CheckMatic'}
+        </span>
+      </div>
+      <div className="mt-2 space-y-1">
+        {Object.entries(ensemble.probabilities).map(([verdict, probability]) => (
+          <div key={verdict} className="flex items-center gap-3">
+            <span className="w-20 capitalize">{verdict}</span>
+            <div className="relative flex-1 h-2 bg-gray-200 dark:bg-gray-600 rounded-full overflow-hidden">
+              <div
+                className={`absolute top-0 left-0 h-full rounded-full ${verdict === ensemble.verdict ? 'bg-indigo-500' : 'bg-gray-400 dark:bg-gray-500'}`}
+                style={{ width: `${Math.round(probability * 100)}%` }}
+              />
+            </div>
+            <span className="w-10 text-right font-semibold text-gray-800 dark:text-gray-200">{Math.round(probability * 100)}%</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+
   const getCredibilityBadge = () => {
     const isAuthentic = primary_classification?.type === 'authentic';
     return (
@@ -306,11 +876,32 @@ Quote: "${sanitizedTertiaryQuote}"`
           <h2 className="text-xl sm:text-2xl font-bold text-gray-600 dark:text-indigo-300 flex items-center">
 
             Analysis
+            {analysis.language?.name && (
+              <span
+                className="ml-3 flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300"
+                title={analysis.language.reliable ? 'Detected language' : 'Detected language (uncertain for short or mixed-language texts)'}
+              >
+                <FaLanguage className="h-3 w-3" />
+                {analysis.language.name}
+                {!analysis.language.reliable && '?'}
+              </span>
+            )}
           </h2>
 
           <div className="flex items-center">
+            {reportId && deleteToken && (
+              <button
+                onClick={deleteReport}
+                className="flex items-center px-2 sm:px-2 py-2 sm:py-2.5 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 hover:text-red-500 rounded-md transition-all duration-300 hover:shadow-md"
+                title="Delete shared report"
+              >
+                <FaTrashAlt className="h-4 w-4 sm:h-5 sm:w-5" />
+              </button>
+            )}
+
             <button
               onClick={shareAnalysis}
+              title={reportId ? 'Share report link' : 'Share analysis'}
               className="flex items-center px-2 sm:px-2 py-2 sm:py-2.5 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 rounded-md transition-all duration-300 hover:shadow-md"
             >
               {copiedSection === 'share' ? (
@@ -338,7 +929,30 @@ Quote: "${sanitizedTertiaryQuote}"`
           </div>
         </div>
 
+        {analysis.cache?.hit && (
+          <div className="flex items-center justify-between gap-2 mx-4 sm:mx-6 mt-4 px-4 py-2 rounded-xl bg-gray-50 dark:bg-gray-700/50 border border-gray-100 dark:border-gray-600/50 text-xs md:text-sm text-gray-500 dark:text-gray-400">
+            <span>
+              Cached analysis from {new Date(analysis.cache.cachedAt).toLocaleString()}
+            </span>
+            {onRefresh && (
+              <button
+                onClick={onRefresh}
+                className="flex items-center gap-1 px-2 py-1 rounded-md hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-indigo-500 transition-all duration-300"
+                title="Run a fresh analysis"
+              >
+                <FaSyncAlt className="h-3 w-3" />
+                <span>Re-analyze</span>
+              </button>
+            )}
+          </div>
+        )}
+
         <div className="p-4 sm:p-6 space-y-4 sm:space-y-6">
+          {(manipulation?.suspected || manipulation?.injection.detected || manipulation?.contextInjection?.length > 0) && renderManipulation()}
+          {analysis.articleMetadata && <ArticleHeaderCard metadata={analysis.articleMetadata} />}
+          {analysis.socialPost && <SocialPostCard post={analysis.socialPost} />}
+          {analysis.factChecks?.matches.length > 0 && <FactCheckBanner factChecks={analysis.factChecks} />}
+
           {renderSection(
             'Summary',
             <FaListAlt className="h-5 w-5 text-indigo-500" />,
@@ -349,6 +963,27 @@ Quote: "${sanitizedTertiaryQuote}"`
             'summary'
           )}
 
+          {/* Source Section */}
+          {sourceReputation &&
+            renderSection(
+              'Source',
+              <FaGlobe className="h-5 w-5 text-indigo-500" />,
+              renderSource(),
+              'source'
+            )}
+
+          {/* Image Section */}
+          {(imageForensics || ocr) &&
+            renderSection(
+              'Image',
+              <FaImage className="h-5 w-5 text-indigo-500" />,
+              <>
+                {imageForensics && renderImage()}
+                {ocr && renderOcr()}
+              </>,
+              'image'
+            )}
+
           {/* Credibility Section */}
           {renderSection(
             'Credibility',
@@ -364,6 +999,10 @@ Quote: "${sanitizedTertiaryQuote}"`
                 primary_classification?.llm_positive ?? false
               )}
 
+              {ensemble && renderEnsemble()}
+
+              {renderChunkStrip('sarcasm')}
+
               <blockquote
                 className="mt-4 p-4 md:text-base text-[11px] bg-gray-50 dark:bg-gray-700/30 border-l-4 border-fuchsia-600 rounded-r-xl italic text-gray-600 dark:text-gray-400 leading-relaxed"
                 dangerouslySetInnerHTML={{ __html: `&quot;${sanitizedPrimaryQuote}&quot;` }}
@@ -415,6 +1054,14 @@ Quote: "${sanitizedTertiaryQuote}"`
                   tertiary_classification?.llm_positive ?? false
                 )}
 
+                {analysis.language?.routing?.politicalBias === 'translated' && (
+                  <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+                    The bias model only reads English, so it scored an English translation of this {analysis.language.name} text.
+                  </p>
+                )}
+
+                {renderChunkStrip('politicalBias')}
+
                 <blockquote
                   className="mt-4 p-4 md:text-base text-[11px] bg-gray-50 dark:bg-gray-700/30 border-l-4 border-fuchsia-400 rounded-r-xl italic text-gray-600 dark:text-gray-400 leading-relaxed"
                   dangerouslySetInnerHTML={{ __html: `&quot;${sanitizedTertiaryQuote}&quot;` }}
@@ -422,6 +1069,24 @@ Quote: "${sanitizedTertiaryQuote}"`
               </div>,
               'bias'
             )}
+
+          {/* Claims Section */}
+          {claims.length > 0 &&
+            renderSection(
+              'Claims',
+              <FaTasks className="h-5 w-5 text-indigo-500" />,
+              renderClaims(),
+              'claims'
+            )}
+
+          {/* Related Coverage Section */}
+          {evidencePassages.length > 0 &&
+            renderSection(
+              'Related coverage',
+              <FaBookOpen className="h-5 w-5 text-indigo-500" />,
+              renderEvidence(),
+              'evidence'
+            )}
         </div>
         <div className="flex flex-col mt-1 mb-4 text-center text-xs md:text-sm text-gray-500 dark:text-gray-400">
           <p>CheckMatic can make mistakes.</p>
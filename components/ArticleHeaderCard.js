@@ -0,0 +1,75 @@
+// components/ArticleHeaderCard.js
+import { FaClock, FaExternalLinkAlt } from 'react-icons/fa';
+
+// Matches the staleness threshold given to the synthesis
+const STALE_ARTICLE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (isoDate) =>
+  new Date(isoDate).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+
+const describeAge = (ageDays) => {
+  if (ageDays < 0) return 'dated in the future';
+  if (ageDays === 0) return 'today';
+  if (ageDays < 60) return `${ageDays} day${ageDays === 1 ? '' : 's'} ago`;
+  if (ageDays < 730) return `${Math.floor(ageDays / 30)} months ago`;
+  return `${Math.floor(ageDays / 365)} years ago`;
+};
+
+const formatAuthors = (authors) =>
+  authors.length <= 2 ? authors.join(' and ') : `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}`;
+
+export default function ArticleHeaderCard({ metadata }) {
+  const { title, description, authors, publishedAt, modifiedAt, canonicalUrl, outlet, section, language } = metadata;
+  const ageDays = publishedAt ? Math.floor((Date.now() - new Date(publishedAt).getTime()) / DAY_MS) : null;
+  const isStale = ageDays !== null && (ageDays > STALE_ARTICLE_DAYS || ageDays < 0);
+  const wasUpdated = modifiedAt && publishedAt && modifiedAt.slice(0, 10) !== publishedAt.slice(0, 10);
+
+  return (
+    <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700/50 border border-gray-100 dark:border-gray-600/50">
+      <div className="flex items-center gap-2 text-xs uppercase tracking-wide text-indigo-500 font-semibold">
+        {outlet && <span>{outlet}</span>}
+        {section && <span className="text-gray-400 dark:text-gray-500">· {section}</span>}
+        {language && <span className="text-gray-400 dark:text-gray-500 normal-case">· {language}</span>}
+      </div>
+
+      {title && (
+        <a
+          href={canonicalUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="mt-1 flex items-start gap-2 md:text-lg text-sm font-bold text-gray-800 dark:text-gray-100 hover:text-indigo-500 transition-colors duration-300"
+        >
+          <span>{title}</span>
+          <FaExternalLinkAlt className="h-3 w-3 mt-1.5 flex-shrink-0" />
+        </a>
+      )}
+
+      {description && (
+        <p className="mt-1 md:text-sm text-xs text-gray-500 dark:text-gray-400 line-clamp-2">{description}</p>
+      )}
+
+      <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 md:text-sm text-xs text-gray-600 dark:text-gray-300">
+        <span>{authors.length > 0 ? `By ${formatAuthors(authors)}` : 'No author named'}</span>
+        {publishedAt ? (
+          <span title={new Date(publishedAt).toLocaleString()}>Published {formatDate(publishedAt)}</span>
+        ) : (
+          <span className="text-gray-400 dark:text-gray-500">Publish date unknown</span>
+        )}
+        {wasUpdated && <span>Updated {formatDate(modifiedAt)}</span>}
+        {ageDays !== null && (
+          <span
+            className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${isStale
+              ? 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300'
+              : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+              }`}
+            title={isStale ? 'This article may be outdated' : undefined}
+          >
+            <FaClock className="h-3 w-3" />
+            {describeAge(ageDays)}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+// components/BatchResults.js
+"use client";
+
+import React, { useMemo, useState } from 'react';
+import {
+  FaSort,
+  FaSortUp,
+  FaSortDown,
+  FaFileCsv,
+  FaFileCode,
+  FaExternalLinkAlt,
+  FaSpinner,
+  FaTimesCircle,
+} from 'react-icons/fa';
+import { batchToCsv, batchToJson, downloadFile } from '../lib/batch-export';
+
+// Human-readable labels for the pipeline stages streamed per item
+const STAGE_LABELS = {
+  fetched: 'Fetching',
+  extracted: 'Analyzing',
+  model: 'Analyzing',
+  claims: 'Analyzing',
+  synthesis: 'Finishing',
+  cached: 'Cached',
+};
+
+const SORTABLE_COLUMNS = [
+  { key: 'url', label: 'Article' },
+  { key: 'credibility', label: 'Credibility' },
+  { key: 'type', label: 'Type' },
+  { key: 'bias', label: 'Bias' },
+  { key: 'confidence', label: 'Confidence' },
+];
+
+const formatLabel = (value) => (value ? String(value).replace(/_/g, ' ') : '—');
+
+const getCredibilityStyle = (credibility) => {
+  switch (credibility) {
+    case 'authentic':
+      return 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300';
+    case 'satirical':
+      return 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300';
+    case 'fake':
+      return 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300';
+    default:
+      return 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300';
+  }
+};
+
+// Missing values always sort last, whatever the direction
+const compareItems = (a, b, key, direction) => {
+  const left = a[key];
+  const right = b[key];
+  if (left === right) return a.index - b.index;
+  if (left === null || left === undefined) return 1;
+  if (right === null || right === undefined) return -1;
+
+  const order = typeof left === 'number' && typeof right === 'number'
+    ? left - right
+    : String(left).localeCompare(String(right));
+  return direction === 'asc' ? order : -order;
+};
+
+export default function BatchResults({ batch }) {
+  const [sort, setSort] = useState({ key: null, direction: 'asc' });
+
+  const items = useMemo(() => batch?.items || [], [batch]);
+  const sortedItems = useMemo(
+    () => (sort.key ? [...items].sort((a, b) => compareItems(a, b, sort.key, sort.direction)) : items),
+    [items, sort]
+  );
+
+  if (!batch) return null;
+
+  const finished = items.filter((item) => item.status === 'done' || item.status === 'error').length;
+  const failed = items.filter((item) => item.status === 'error').length;
+  const progress = items.length ? Math.round((finished / items.length) * 100) : 0;
+
+  const toggleSort = (key) =>
+    setSort((prev) => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc',
+    }));
+
+  const exportName = `checkmatic-batch-${new Date().toISOString().slice(0, 10)}`;
+
+  const renderSortIcon = (key) => {
+    if (sort.key !== key) return <FaSort className="h-3 w-3 opacity-40" />;
+    return sort.direction === 'asc' ? <FaSortUp className="h-3 w-3" /> : <FaSortDown className="h-3 w-3" />;
+  };
+
+  const renderStatus = (item) => {
+    if (item.error) {
+      return (
+        <span className="flex items-center gap-1 text-red-500" title={item.error}>
+          <FaTimesCircle className="h-3 w-3 flex-shrink-0" />
+          <span className="truncate">{item.error}</span>
+        </span>
+      );
+    }
+    if (item.status === 'running') {
+      return (
+        <span className="flex items-center gap-1 text-indigo-500">
+          <FaSpinner className="h-3 w-3 animate-spin flex-shrink-0" />
+          {STAGE_LABELS[item.stage] || 'Starting'}
+        </span>
+      );
+    }
+    return <span className="text-gray-400">Queued</span>;
+  };
+
+  return (
+    <div className="w-full max-w-4xl mx-auto mt-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+        {/* Header */}
+        <div className="flex flex-wrap items-center justify-between gap-2 p-4 sm:p-6 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-xl sm:text-2xl font-bold text-gray-600 dark:text-indigo-300">Batch Analysis</h2>
+            <p className="text-xs md:text-sm text-gray-500 dark:text-gray-400">
+              {finished} of {items.length} analyzed{failed > 0 && ` · ${failed} failed`}
+            </p>
+          </div>
+
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => downloadFile(`${exportName}.csv`, batchToCsv(items), 'text/csv')}
+              disabled={finished === 0}
+              className="flex items-center px-2 sm:px-3 py-2 rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Download CSV"
+            >
+              <FaFileCsv className="h-4 w-4 sm:h-5 sm:w-5" />
+            </button>
+            <button
+              onClick={() => downloadFile(`${exportName}.json`, batchToJson(items), 'application/json')}
+              disabled={finished === 0}
+              className="flex items-center px-2 sm:px-3 py-2 rounded-md text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600 transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+              title="Download JSON"
+            >
+              <FaFileCode className="h-4 w-4 sm:h-5 sm:w-5" />
+            </button>
+          </div>
+        </div>
+
+        {/* Progress */}
+        <div className="h-1 bg-gray-100 dark:bg-gray-700">
+          <div className="h-1 bg-indigo-500 transition-all duration-500" style={{ width: `${progress}%` }} />
+        </div>
+
+        {/* Results Table */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-xs md:text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700/50 text-gray-500 dark:text-gray-400">
+              <tr>
+                {SORTABLE_COLUMNS.map(({ key, label }) => (
+                  <th key={key} className="px-4 py-3 font-semibold">
+                    <button onClick={() => toggleSort(key)} className="flex items-center gap-1 hover:text-indigo-500">
+                      {label}
+                      {renderSortIcon(key)}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+              {sortedItems.map((item) => (
+                <tr key={item.index} className="text-gray-700 dark:text-gray-300">
+                  <td className="px-4 py-3 max-w-xs">
+                    <div className="flex items-center gap-2">
+                      <span className="truncate font-medium" title={item.url}>{item.title || item.url}</span>
+                      {item.reportId && (
+                        <a
+                          href={`/report/${item.reportId}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="flex-shrink-0 text-gray-400 hover:text-indigo-500"
+                          title="Open full report"
+                        >
+                          <FaExternalLinkAlt className="h-3 w-3" />
+                        </a>
+                      )}
+                    </div>
+                    {(item.status !== 'done' || item.error) && <div className="mt-1 text-xs max-w-xs">{renderStatus(item)}</div>}
+                  </td>
+                  <td className="px-4 py-3">
+                    {item.credibility ? (
+                      <span className={`font-bold capitalize px-2 py-0.5 rounded-full text-xs ${getCredibilityStyle(item.credibility)}`}>
+                        {item.credibility}
+                      </span>
+                    ) : '—'}
+                  </td>
+                  <td className="px-4 py-3 capitalize">{formatLabel(item.type)}</td>
+                  <td className="px-4 py-3 capitalize">{formatLabel(item.bias)}</td>
+                  <td className="px-4 py-3">
+                    {typeof item.confidence === 'number' ? `${Math.round(item.confidence * 100)}%` : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
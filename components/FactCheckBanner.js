@@ -0,0 +1,89 @@
+// components/FactCheckBanner.js
+import { FaClipboardCheck, FaExternalLinkAlt } from 'react-icons/fa';
+
+// Badge colours per normalized verdict
+const VERDICT_STYLES = {
+  false: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300',
+  misleading: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300',
+  true: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300',
+  unrated: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300',
+};
+
+const formatDate = (isoDate) =>
+  new Date(isoDate).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+const RatingBadge = ({ match }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${VERDICT_STYLES[match.verdict] || VERDICT_STYLES.unrated}`}>
+    {match.rating.label || match.verdict}
+  </span>
+);
+
+const FactCheckLink = ({ match, className }) => (
+  <a
+    href={match.url}
+    target="_blank"
+    rel="noopener noreferrer"
+    className={`flex items-start gap-2 hover:text-indigo-500 transition-colors duration-300 ${className}`}
+  >
+    <span>{match.claim}</span>
+    <FaExternalLinkAlt className="h-3 w-3 mt-1 flex-shrink-0" />
+  </a>
+);
+
+export default function FactCheckBanner({ factChecks }) {
+  const strong = factChecks.matches.filter((match) => match.strength === 'strong');
+  const related = factChecks.matches.filter((match) => match.strength !== 'strong');
+  const hasFalse = strong.some((match) => match.verdict === 'false' || match.verdict === 'misleading');
+
+  return (
+    <div
+      className={`p-4 rounded-xl border ${hasFalse
+        ? 'bg-red-50 dark:bg-red-900/10 border-red-200 dark:border-red-800/50'
+        : 'bg-gray-50 dark:bg-gray-700/50 border-gray-100 dark:border-gray-600/50'
+        }`}
+    >
+      <div className="flex items-center gap-2 text-xs uppercase tracking-wide text-indigo-500 font-semibold">
+        <FaClipboardCheck className="h-4 w-4" />
+        <span>{strong.length > 0 ? 'Fact-checked before' : 'Related fact-checks'}</span>
+      </div>
+
+      {strong.length > 0 && (
+        <ul className="mt-2 space-y-3">
+          {strong.map((match) => (
+            <li key={match.id}>
+              <div className="flex flex-wrap items-center gap-2">
+                <RatingBadge match={match} />
+                <span className="md:text-sm text-xs font-medium text-gray-700 dark:text-gray-200">{match.publisher}</span>
+                {match.reviewedAt && (
+                  <span className="text-xs text-gray-400 dark:text-gray-500">{formatDate(match.reviewedAt)}</span>
+                )}
+              </div>
+              <FactCheckLink
+                match={match}
+                className="mt-1 md:text-base text-sm font-bold text-gray-800 dark:text-gray-100"
+              />
+              {match.claimant && (
+                <p className="text-xs text-gray-500 dark:text-gray-400">Claimed by {match.claimant}</p>
+              )}
+              <p className="mt-1 md:text-sm text-xs text-gray-600 dark:text-gray-300 italic line-clamp-2">
+                Matches: &ldquo;{match.matchedText}&rdquo;
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {related.length > 0 && (
+        <ul className={`space-y-1 ${strong.length > 0 ? 'mt-3 pt-3 border-t border-gray-200 dark:border-gray-600/50' : 'mt-2'}`}>
+          {related.map((match) => (
+            <li key={match.id} className="flex items-start gap-2 text-xs text-gray-600 dark:text-gray-300">
+              <RatingBadge match={match} />
+              <FactCheckLink match={match} className="flex-1" />
+              <span className="text-gray-400 dark:text-gray-500 flex-shrink-0">{match.publisher}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -5,12 +5,14 @@ import Link from "next/link";
 import { FaGithub, FaLinkedinIn } from "react-icons/fa";
 import {
     HiOutlineHome,
+    HiOutlineClock,
     HiOutlineInformationCircle,
     HiOutlineMail,
 } from "react-icons/hi";
 
 const links = [
     { href: "/", label: "Home", icon: HiOutlineHome },
+    { href: "/history", label: "History", icon: HiOutlineClock },
     { href: "/about", label: "About", icon: HiOutlineInformationCircle },
     { href: "/contact", label: "Contact", icon: HiOutlineMail },
     {
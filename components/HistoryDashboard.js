@@ -0,0 +1,270 @@
+// components/HistoryDashboard.js
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Link, Type, Camera, FileText, Search, Trash2, ExternalLink, Cloud, HardDrive } from "lucide-react";
+
+import { listHistoryEntries } from "../lib/history-db";
+import { removeHistoryEntry, syncHistory } from "../lib/history-sync";
+
+const SOURCE_ICONS = { link: Link, text: Type, photo: Camera, document: FileText };
+
+const CREDIBILITY_OPTIONS = ["authentic", "fake", "satirical"];
+const BIAS_OPTIONS = ["left_leaning", "right_leaning", "neutral"];
+
+const formatLabel = (value) => (value ? value.replace(/_/g, " ") : "—");
+
+const getCredibilityStyle = (credibility) => {
+    switch (credibility) {
+        case "authentic":
+            return "bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300";
+        case "satirical":
+            return "bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300";
+        case "fake":
+            return "bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300";
+        default:
+            return "bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300";
+    }
+};
+
+// Every search term must appear somewhere in the entry's text
+const matchesSearch = (entry, terms) => {
+    if (terms.length === 0) return true;
+    const haystack = [
+        entry.source?.title,
+        entry.source?.url,
+        entry.summary,
+        entry.type,
+        entry.analysis?.articleText,
+    ].filter(Boolean).join(" ").toLowerCase();
+    return terms.every((term) => haystack.includes(term));
+};
+
+const matchesDateRange = (entry, from, to) => {
+    const day = entry.createdAt.slice(0, 10);
+    return (!from || day >= from) && (!to || day <= to);
+};
+
+const selectStyles =
+    "px-3 py-2 rounded-xl bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-600 text-sm text-gray-700 dark:text-gray-300 outline-none focus:border-indigo-500";
+
+export default function HistoryDashboard() {
+    const router = useRouter();
+    const [entries, setEntries] = useState([]);
+    const [isLoaded, setIsLoaded] = useState(false);
+    const [syncEnabled, setSyncEnabled] = useState(false);
+    const [openError, setOpenError] = useState("");
+    const [filters, setFilters] = useState({ search: "", credibility: "", bias: "", from: "", to: "" });
+
+    // Show local history straight away, then refresh it once the server sync has finished
+    useEffect(() => {
+        let cancelled = false;
+
+        const load = async () => {
+            try {
+                const localEntries = await listHistoryEntries();
+                if (!cancelled) setEntries(localEntries);
+            } catch (error) {
+                console.error("Failed to load history:", error);
+            } finally {
+                if (!cancelled) setIsLoaded(true);
+            }
+
+            try {
+                const enabled = await syncHistory();
+                if (cancelled) return;
+                setSyncEnabled(enabled);
+                if (enabled) setEntries(await listHistoryEntries());
+            } catch (error) {
+                console.warn("History sync failed:", error);
+            }
+        };
+
+        load();
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const filteredEntries = useMemo(() => {
+        const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+        return entries.filter((entry) =>
+            matchesSearch(entry, terms) &&
+            (!filters.credibility || entry.credibility === filters.credibility) &&
+            (!filters.bias || entry.bias === filters.bias) &&
+            matchesDateRange(entry, filters.from, filters.to)
+        );
+    }, [entries, filters]);
+
+    const updateFilter = (name, value) => setFilters((prev) => ({ ...prev, [name]: value }));
+
+    // Re-opens an entry on the home page, which restores analysisData from sessionStorage
+    const openEntry = async (entry) => {
+        setOpenError("");
+        let analysis = entry.analysis;
+
+        // Entries synced from another device only carry metadata; load the stored report instead
+        if (!analysis && entry.reportId) {
+            try {
+                const response = await fetch(`/api/reports/${entry.reportId}`);
+                if (response.ok) {
+                    const report = await response.json();
+                    analysis = {
+                        ...report.analysis,
+                        report: { id: report.id, createdAt: report.createdAt, expiresAt: report.expiresAt },
+                    };
+                }
+            } catch (error) {
+                console.error("Failed to load report:", error);
+            }
+        }
+
+        if (!analysis) {
+            setOpenError("This analysis is no longer available. Its shared report may have expired.");
+            return;
+        }
+
+        sessionStorage.setItem("analysisData", JSON.stringify(analysis));
+        router.push("/");
+    };
+
+    const deleteEntry = async (entry) => {
+        if (!window.confirm("Remove this analysis from your history?")) return;
+
+        try {
+            await removeHistoryEntry(entry.id);
+            setEntries((prev) => prev.filter((item) => item.id !== entry.id));
+        } catch (error) {
+            console.error("Failed to delete history entry:", error);
+        }
+    };
+
+    return (
+        <div className="w-full max-w-4xl mx-auto space-y-4">
+            {/* Filters */}
+            <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-700 p-4 sm:p-6 space-y-3">
+                <div className="flex items-center gap-2 px-3 py-2 rounded-xl bg-gray-50 dark:bg-gray-700/50 border border-gray-200 dark:border-gray-600 focus-within:border-indigo-500">
+                    <Search className="h-4 w-4 text-gray-400" />
+                    <input
+                        type="search"
+                        value={filters.search}
+                        onChange={(e) => updateFilter("search", e.target.value)}
+                        placeholder="Search titles, URLs, summaries and article text..."
+                        className="flex-1 bg-transparent outline-none text-sm text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400"
+                    />
+                </div>
+
+                <div className="flex flex-wrap gap-2">
+                    <select value={filters.credibility} onChange={(e) => updateFilter("credibility", e.target.value)} className={selectStyles}>
+                        <option value="">All verdicts</option>
+                        {CREDIBILITY_OPTIONS.map((option) => (
+                            <option key={option} value={option}>{formatLabel(option)}</option>
+                        ))}
+                    </select>
+                    <select value={filters.bias} onChange={(e) => updateFilter("bias", e.target.value)} className={selectStyles}>
+                        <option value="">All bias</option>
+                        {BIAS_OPTIONS.map((option) => (
+                            <option key={option} value={option}>{formatLabel(option)}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="date"
+                        value={filters.from}
+                        onChange={(e) => updateFilter("from", e.target.value)}
+                        className={selectStyles}
+                        aria-label="From date"
+                    />
+                    <input
+                        type="date"
+                        value={filters.to}
+                        onChange={(e) => updateFilter("to", e.target.value)}
+                        className={selectStyles}
+                        aria-label="To date"
+                    />
+                </div>
+
+                <p className="flex items-center gap-1 text-xs text-gray-500 dark:text-gray-400">
+                    {syncEnabled ? <Cloud className="h-3 w-3" /> : <HardDrive className="h-3 w-3" />}
+                    {syncEnabled ? "Synced with the server" : "Stored on this device only"} · {filteredEntries.length} of {entries.length} analyses
+                </p>
+            </div>
+
+            {openError && (
+                <div className="px-4 py-3 rounded-xl bg-red-50 dark:bg-red-900/20 text-sm text-red-600 dark:text-red-300">
+                    {openError}
+                </div>
+            )}
+
+            {/* Entries */}
+            {isLoaded && filteredEntries.length === 0 && (
+                <p className="py-12 text-center text-gray-500 dark:text-gray-400">
+                    {entries.length === 0 ? "No analyses yet. Completed analyses will appear here." : "No analyses match these filters."}
+                </p>
+            )}
+
+            <ul className="space-y-3">
+                {filteredEntries.map((entry) => {
+                    const SourceIcon = SOURCE_ICONS[entry.source?.mode] || Type;
+                    const canOpen = Boolean(entry.analysis || entry.reportId);
+
+                    return (
+                        <li
+                            key={entry.id}
+                            className="bg-white dark:bg-gray-800 rounded-2xl shadow-md border border-gray-200 dark:border-gray-700 p-4 sm:p-5"
+                        >
+                            <div className="flex items-start gap-3">
+                                <div className="p-2 rounded-xl bg-indigo-50 dark:bg-indigo-900/30 text-indigo-500 flex-shrink-0">
+                                    <SourceIcon className="h-4 w-4" />
+                                </div>
+
+                                <div className="flex-1 min-w-0">
+                                    <h3 className="font-semibold text-sm md:text-base text-gray-800 dark:text-gray-100 truncate">
+                                        {entry.source?.title || entry.summary || "Untitled analysis"}
+                                    </h3>
+                                    {entry.source?.url && (
+                                        <p className="text-xs text-gray-500 dark:text-gray-400 truncate">{entry.source.url}</p>
+                                    )}
+                                    <p className="text-xs text-gray-400 dark:text-gray-500 mt-0.5">
+                                        {new Date(entry.createdAt).toLocaleString()}
+                                    </p>
+
+                                    <div className="flex flex-wrap gap-2 mt-2 text-xs">
+                                        <span className={`font-bold capitalize px-2 py-0.5 rounded-full ${getCredibilityStyle(entry.credibility)}`}>
+                                            {formatLabel(entry.credibility)}
+                                        </span>
+                                        <span className="capitalize px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                                            {formatLabel(entry.type)}
+                                        </span>
+                                        <span className="capitalize px-2 py-0.5 rounded-full bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">
+                                            {formatLabel(entry.bias)}
+                                        </span>
+                                    </div>
+                                </div>
+
+                                <div className="flex items-center gap-1 flex-shrink-0">
+                                    {canOpen && (
+                                        <button
+                                            onClick={() => openEntry(entry)}
+                                            className="p-2 rounded-md text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-indigo-500 transition-all duration-300"
+                                            title="Open analysis"
+                                        >
+                                            <ExternalLink className="h-4 w-4" />
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => deleteEntry(entry)}
+                                        className="p-2 rounded-md text-gray-500 dark:text-gray-400 hover:bg-gray-200 dark:hover:bg-gray-600 hover:text-red-500 transition-all duration-300"
+                                        title="Delete from history"
+                                    >
+                                        <Trash2 className="h-4 w-4" />
+                                    </button>
+                                </div>
+                            </div>
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
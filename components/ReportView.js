@@ -0,0 +1,16 @@
+// components/ReportView.js
+"use client";
+
+import { useRouter } from "next/navigation";
+import AnalysisResult from "./AnalysisResult";
+
+export default function ReportView({ analysis }) {
+    const router = useRouter();
+
+    return (
+        <AnalysisResult
+            analysis={analysis}
+            onReportDeleted={() => router.replace("/")}
+        />
+    );
+}
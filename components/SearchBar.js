@@ -2,11 +2,14 @@
 "use client";
 
 import { useState, useRef, useEffect } from "react";
-import { Search, X, Link, Type, Camera, Upload } from "lucide-react";
+import { Search, X, Link, Type, Camera, Upload, ListChecks, FileSpreadsheet, Square, FileText } from "lucide-react";
 import DOMPurify from 'dompurify';
 import Image from 'next/image';
 
 import ValidationModal from "./modals/ValidationModal";
+import { readEventStream } from "../lib/read-event-stream";
+import { recordAnalysis } from "../lib/history-sync";
+import { rememberDeleteToken } from "../lib/report-tokens";
 
 // Helper function for URL validation
 const isValidUrl = (string) => {
@@ -19,6 +22,15 @@ const isValidUrl = (string) => {
 };
 
 const MAX_FILE_SIZE_MB = 10;
+const MAX_CSV_SIZE_KB = 512;
+
+// Browsers often leave File.type empty for EPUB (and sometimes DOCX), so fall back to the extension
+const DOCUMENT_TYPES = {
+    pdf: "application/pdf",
+    docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    epub: "application/epub+zip",
+};
+const getDocumentType = (file) => DOCUMENT_TYPES[file.name.toLowerCase().split(".").pop()] || null;
 
 const resizeImage = (file, maxWidth, maxHeight, quality = 0.8) => {
     return new Promise((resolve, reject) => {
@@ -61,11 +73,155 @@ const resizeImage = (file, maxWidth, maxHeight, quality = 0.8) => {
     });
 };
 
-export default function SearchBar({ setAnalysisData }) {
+// Labels for politicalBiasBERT's output classes
+const BIAS_LABELS = { LABEL_0: "left", LABEL_1: "center", LABEL_2: "right" };
+
+const MODEL_STEPS = ["zeroShot", "sarcasm", "politicalBias"];
+
+const IMAGE_VERDICT_LABELS = {
+    ai_generated: "AI-generated",
+    possibly_edited: "Possibly edited",
+    no_signs: "No signs of editing",
+};
+
+const SOCIAL_PLATFORM_LABELS = {
+    twitter: "X post",
+    reddit: "Reddit post",
+    mastodon: "Mastodon post",
+    telegram: "Telegram post",
+};
+
+// Formats the analyze API accepts as-is; anything else (e.g. HEIC) is converted to JPEG first
+const UPLOADABLE_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/bmp"];
+
+// Builds the live step list shown in the loading modal for a given mode
+const buildProgressSteps = (mode) => {
+    const extractLabel = {
+        link: "Extracting article content",
+        text: "Checking your text",
+        photo: "Reading text from image",
+        document: "Extracting document text",
+    }[mode];
+
+    return [
+        ...(mode === "link" ? [{ id: "fetched", label: "Fetching the page" }] : []),
+        { id: "extracted", label: extractLabel },
+        ...(mode === "photo" ? [{ id: "image", label: "Checking the image" }] : []),
+        { id: "zeroShot", label: "Credibility & content type" },
+        { id: "sarcasm", label: "Sarcasm detection" },
+        { id: "politicalBias", label: "Political bias" },
+        { id: "claims", label: "Extracting claims" },
+        { id: "synthesis", label: "Writing the analysis" },
+    ].map((step, index) => ({ ...step, status: index === 0 || step.id === "image" ? "active" : "pending", detail: "" }));
+};
+
+const toPct = (value) => `${Math.round((value ?? 0) * 100)}%`;
+
+// Short, human-readable summary of a partial model result
+const describeModelResult = (model, result) => {
+    if (model === "sarcasm") {
+        return `${toPct(result?.score)} sarcastic`;
+    }
+    if (model === "zeroShot" && result?.labels?.length) {
+        return `${result.labels[0].replace("_", " ")} (${toPct(result.scores[0])})`;
+    }
+    if (model === "politicalBias" && Array.isArray(result?.raw?.[0])) {
+        const top = [...result.raw[0]].sort((a, b) => b.score - a.score)[0];
+        return top ? `${BIAS_LABELS[top.label] || top.label} (${toPct(top.score)})` : "";
+    }
+    return "";
+};
+
+// Advances the step list in response to one streamed progress event
+const applyProgressEvent = (steps, event, data) => {
+    const update = (id, changes) => {
+        steps = steps.map((step) => (step.id === id ? { ...step, ...changes } : step));
+    };
+
+    switch (event) {
+        case "fetched":
+            update("fetched", { status: "done" });
+            update("extracted", { status: "active" });
+            break;
+        case "ocr":
+            update("extracted", { detail: `OCR page ${data.page} of ${data.pages}` });
+            break;
+        case "media":
+            update("extracted", { detail: `Checking image ${data.index} of ${data.total}` });
+            break;
+        case "social":
+            update("fetched", { detail: [SOCIAL_PLATFORM_LABELS[data.platform], data.author?.handle].filter(Boolean).join(" · ") });
+            break;
+        case "source":
+            update("fetched", { detail: `${data.domain} · ${data.verdict}` });
+            break;
+        case "image":
+            update("image", data
+                ? { status: "done", detail: IMAGE_VERDICT_LABELS[data.verdict] }
+                : { status: "error", detail: "Unavailable" });
+            break;
+        case "extracted":
+            update("extracted", {
+                status: "done",
+                detail: data?.condensed
+                    ? `${data.condensed.method === "summary" ? "Condensed" : "Truncated"} from ${data.condensed.originalLength} characters`
+                    : data?.title || `${data?.length ?? 0} characters`,
+            });
+            [...MODEL_STEPS, "claims"].forEach((id) => update(id, { status: "active" }));
+            break;
+        case "claims":
+            update("claims", data?.claims
+                ? { status: "done", detail: `${data.claims.length} found` }
+                : { status: "error", detail: "Unavailable" });
+            break;
+        case "model":
+            update(data.model, data.status === "fulfilled"
+                ? { status: "done", detail: describeModelResult(data.model, data.result) }
+                : { status: "error", detail: "Model unavailable" });
+            if (steps.every((step) => !MODEL_STEPS.includes(step.id) || step.status !== "active")) {
+                update("synthesis", { status: "active" });
+            }
+            break;
+        case "synthesis":
+            update("synthesis", { status: data?.synthesis?.error ? "error" : "done" });
+            break;
+        case "cached":
+            steps = steps.map((step) => ({ ...step, status: "done", detail: step.status === "done" ? step.detail : "cached" }));
+            break;
+        default:
+            break;
+    }
+
+    return steps;
+};
+
+// Applies one streamed batch event to the batch table state
+const applyBatchEvent = (batch, event, data) => {
+    const updateItem = (changes) => ({
+        ...batch,
+        items: batch.items.map((item) => (item.index === data.index ? { ...item, ...changes } : item)),
+    });
+
+    switch (event) {
+        case "queued":
+            return { ...batch, items: data.items.map((item) => ({ ...item, status: "queued" })) };
+        case "item":
+            return updateItem({ ...data, stage: null });
+        case "item-progress":
+            return updateItem({ stage: data.stage });
+        default:
+            return batch;
+    }
+};
+
+export default function SearchBar({ setAnalysisData, setBatchData, refreshRequest = 0 }) {
     // Initialize with default values - no sessionStorage check during initialization
     const [mode, setMode] = useState("link");
-    const [queries, setQueries] = useState({ link: "", text: "" });
+    const [queries, setQueries] = useState({ link: "", text: "", batch: "" });
     const [file, setFile] = useState(null);
+    const [documentFile, setDocumentFile] = useState(null);
+    const [batchCsv, setBatchCsv] = useState(null);
+    const [batchRunning, setBatchRunning] = useState(false);
     const [focused, setFocused] = useState(false);
     const [dragOver, setDragOver] = useState(false);
     const [modalData, setModalData] = useState({
@@ -75,9 +231,13 @@ export default function SearchBar({ setAnalysisData }) {
         message: "",
     });
     const [isHydrated, setIsHydrated] = useState(false);
+    const [progressSteps, setProgressSteps] = useState([]);
 
     const abortControllerRef = useRef(null);
+    const handleSubmitRef = useRef(null);
     const fileInputRef = useRef(null);
+    const documentInputRef = useRef(null);
+    const csvInputRef = useRef(null);
     const textareaRef = useRef(null);
 
     const getCurrentQuery = () => queries[mode] || "";
@@ -115,12 +275,12 @@ export default function SearchBar({ setAnalysisData }) {
 
     // Auto-resize textarea
     useEffect(() => {
-        if (textareaRef.current && mode === "text") {
+        if (textareaRef.current && (mode === "text" || mode === "batch")) {
             const newHeight = Math.min(textareaRef.current.scrollHeight, 300);
             textareaRef.current.style.height = `${newHeight}px`;
             textareaRef.current.style.overflowY = textareaRef.current.scrollHeight > 300 ? "auto" : "hidden";
         }
-    }, [queries.text, mode]);
+    }, [queries.text, queries.batch, mode]);
 
     const handleStop = () => {
         if (abortControllerRef.current) {
@@ -169,7 +329,136 @@ export default function SearchBar({ setAnalysisData }) {
         }
     };
 
-    const handleSubmit = async () => {
+    const validateAndSetDocument = (selectedFile) => {
+        if (!getDocumentType(selectedFile)) {
+            setModalData({
+                show: true,
+                status: "error",
+                title: "Unsupported File",
+                message: "Please upload a PDF, DOCX or EPUB document.",
+            });
+            return false;
+        }
+        if (selectedFile.size > MAX_FILE_SIZE_MB * 1024 * 1024) {
+            setModalData({
+                show: true,
+                status: "error",
+                title: "File Too Large",
+                message: `Please upload a document smaller than ${MAX_FILE_SIZE_MB}MB.`,
+            });
+            return false;
+        }
+        setDocumentFile(selectedFile);
+        return true;
+    };
+
+    const handleDocumentChange = (e) => {
+        const selectedFile = e.target.files[0];
+        e.target.value = "";
+        if (selectedFile) {
+            validateAndSetDocument(selectedFile);
+        }
+    };
+
+    const handleDocumentDrop = (e) => {
+        e.preventDefault();
+        setDragOver(false);
+        const droppedFile = e.dataTransfer.files[0];
+        if (droppedFile) {
+            validateAndSetDocument(droppedFile);
+        }
+    };
+
+    const handleCsvChange = async (e) => {
+        const selectedFile = e.target.files[0];
+        e.target.value = "";
+        if (!selectedFile) return;
+
+        if (selectedFile.size > MAX_CSV_SIZE_KB * 1024) {
+            setModalData({
+                show: true,
+                status: "error",
+                title: "File Too Large",
+                message: `Please upload a CSV file smaller than ${MAX_CSV_SIZE_KB}KB.`,
+            });
+            return;
+        }
+        setBatchCsv({ name: selectedFile.name, text: await selectedFile.text() });
+    };
+
+    // Batch mode streams per-URL progress straight into the results table instead of the modal
+    const handleBatchSubmit = async ({ fresh = false } = {}) => {
+        abortControllerRef.current = new AbortController();
+        setAnalysisData?.(null);
+        setBatchData?.({ items: [] });
+        setBatchRunning(true);
+
+        try {
+            const response = await fetch('/api/analyze/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    urls: queries.batch || "",
+                    ...(batchCsv && { csv: batchCsv.text }),
+                    ...(fresh && { fresh: true }),
+                }),
+                signal: abortControllerRef.current.signal
+            });
+
+            let streamError = null;
+            if (!response.ok) {
+                streamError = (await response.json()).error;
+            } else {
+                await readEventStream(response, (event, data) => {
+                    if (event === "error") {
+                        streamError = data.error;
+                    } else {
+                        // Keep the report's delete token in this browser, as a single analysis does
+                        if (event === "item" && data.reportId && data.deleteToken) {
+                            rememberDeleteToken(data.reportId, data.deleteToken);
+                        }
+                        setBatchData?.((prev) => (prev ? applyBatchEvent(prev, event, data) : prev));
+                    }
+                });
+            }
+
+            if (streamError) {
+                setModalData({
+                    show: true,
+                    status: "error",
+                    title: "Batch Error",
+                    message: DOMPurify.sanitize(streamError),
+                });
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+
+            console.error("Batch submit error:", error);
+            setModalData({
+                show: true,
+                status: "error",
+                title: "Network Error",
+                message: "Failed to connect to the server. Please try again.",
+            });
+        } finally {
+            setBatchRunning(false);
+            // Items that never finished (stopped or failed stream) should not look like they are still running
+            setBatchData?.((prev) => prev && {
+                ...prev,
+                items: prev.items.map((item) => (item.status === "queued" || item.status === "running"
+                    ? { ...item, status: "error", error: "Not analyzed" }
+                    : item)),
+            });
+        }
+    };
+
+    const handleSubmit = async ({ fresh = false } = {}) => {
+        if (mode === "batch") {
+            return handleBatchSubmit({ fresh });
+        }
+
         let currentQuery = getCurrentQuery();
 
         // Client-side validation
@@ -210,47 +499,76 @@ export default function SearchBar({ setAnalysisData }) {
             title: "Processing...",
             message: "Your content is being analyzed.",
         });
+        setProgressSteps(buildProgressSteps(mode));
 
         setAnalysisData?.(null);
+        setBatchData?.(null);
 
         try {
-            let requestData = { mode };
+            let requestData = { mode, ...(fresh && { fresh: true }) };
 
             if (mode === "link") {
                 requestData.query = currentQuery;
             } else if (mode === "text") {
                 requestData.content = currentQuery;
             } else if (mode === "photo" && file) {
-                console.log("Original file size:", (file.size / 1024 / 1024).toFixed(2), "MB");
-                // Resize the image to a max of 1024x1024 with 80% quality
-                const resizedFile = await resizeImage(file, 1024, 1024);
-                console.log("Resized file size:", (resizedFile.size / 1024 / 1024).toFixed(2), "MB");
-
+                // Image forensics needs the original bytes: re-encoding strips the metadata and
+                // content credentials and resets compression artifacts. Only convert formats the API rejects.
+                const uploadFile = UPLOADABLE_IMAGE_TYPES.includes(file.type)
+                    ? file
+                    : await resizeImage(file, 1024, 1024);
 
                 const base64 = await new Promise((resolve) => {
                     const reader = new FileReader();
                     reader.onload = () => resolve(reader.result);
-                    reader.readAsDataURL(resizedFile); // Use the resized file
+                    reader.readAsDataURL(uploadFile);
                 });
                 requestData.photo = {
                     data: base64,
-                    name: resizedFile.name,
-                    size: resizedFile.size,
-                    type: resizedFile.type
+                    name: uploadFile.name,
+                    size: uploadFile.size,
+                    type: uploadFile.type
+                };
+            } else if (mode === "document" && documentFile) {
+                const base64 = await new Promise((resolve) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.readAsDataURL(documentFile);
+                });
+                requestData.document = {
+                    data: base64,
+                    name: documentFile.name,
+                    size: documentFile.size,
+                    type: getDocumentType(documentFile),
                 };
             }
 
-            const response = await fetch('/api/analyze', {
+            const response = await fetch('/api/analyze/stream', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(requestData),
                 signal: abortControllerRef.current.signal
             });
 
-            const result = await response.json();
-
+            // Requests rejected before the stream starts come back as plain JSON
+            let result = null;
+            let streamError = null;
             if (!response.ok) {
-                const sanitizedError = DOMPurify.sanitize(result.error || "An error occurred during validation.");
+                streamError = (await response.json()).error;
+            } else {
+                await readEventStream(response, (event, data) => {
+                    if (event === "complete") {
+                        result = data;
+                    } else if (event === "error") {
+                        streamError = data.error;
+                    } else {
+                        setProgressSteps((prev) => applyProgressEvent(prev, event, data));
+                    }
+                });
+            }
+
+            if (streamError || !result) {
+                const sanitizedError = DOMPurify.sanitize(streamError || "An error occurred during validation.");
                 setModalData({
                     show: true,
                     status: "error",
@@ -265,6 +583,7 @@ export default function SearchBar({ setAnalysisData }) {
                     message: "Content has been successfully analyzed!",
                 });
                 setAnalysisData?.(result);
+                recordAnalysis(result);
             }
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -281,6 +600,14 @@ export default function SearchBar({ setAnalysisData }) {
         }
     };
 
+    // Re-run the current input without the server-side result cache when asked to
+    handleSubmitRef.current = handleSubmit;
+    useEffect(() => {
+        if (refreshRequest > 0) {
+            handleSubmitRef.current?.({ fresh: true });
+        }
+    }, [refreshRequest]);
+
     // Function to handle key presses
     const handleKeyDown = (e) => {
         if (e.key === 'Enter' && !e.shiftKey) {
@@ -288,7 +615,7 @@ export default function SearchBar({ setAnalysisData }) {
                 e.preventDefault();
                 handleSubmit();
             }
-            if (mode === "text" && (e.ctrlKey || e.metaKey)) {
+            if ((mode === "text" || mode === "batch") && (e.ctrlKey || e.metaKey)) {
                 e.preventDefault();
                 handleSubmit();
             }
@@ -299,25 +626,26 @@ export default function SearchBar({ setAnalysisData }) {
         link: { icon: Link, label: "Link" },
         text: { icon: Type, label: "Text" },
         photo: { icon: Camera, label: "Photo" },
-    };
-
-    const hasContent = () => {
-        if (mode === "photo") return file !== null;
-        return getCurrentQuery().trim().length > 0;
+        document: { icon: FileText, label: "Document" },
+        batch: { icon: ListChecks, label: "Batch" },
     };
 
     const hasContentForMode = (m) => {
         if (m === "photo") return file !== null;
+        if (m === "document") return documentFile !== null;
+        if (m === "batch" && batchCsv) return true;
         return queries[m]?.trim().length > 0;
     };
 
-    const isDisabled = modalData.status === "loading" || !hasContent();
-    const isLoading = modalData.status === "loading";
+    const hasContent = () => hasContentForMode(mode);
+
+    const isLoading = modalData.status === "loading" || batchRunning;
+    const isDisabled = isLoading || !hasContent();
 
     const renderAnalyzeButton = () => (
         <button
             type="button"
-            onClick={handleSubmit}
+            onClick={() => handleSubmit()}
             disabled={isDisabled}
             className={`
                 flex items-center justify-center p-2 sm:p-3 rounded-xl transition-all duration-300
@@ -527,7 +855,7 @@ export default function SearchBar({ setAnalysisData }) {
 
                         <button
                             type="button"
-                            onClick={handleSubmit}
+                            onClick={() => handleSubmit()}
                             disabled={isDisabled}
                             className={`
                                 w-full flex items-center justify-center gap-3 py-4 sm:py-5 px-6 rounded-2xl 
@@ -543,6 +871,181 @@ export default function SearchBar({ setAnalysisData }) {
                         </button>
                     </div>
                 )}
+
+                {/* Document Mode */}
+                {mode === "document" && (
+                    <div className="space-y-4 sm:space-y-6">
+                        <div
+                            className={`
+                                bg-white dark:bg-gray-800 rounded-2xl shadow-xl border-2 border-dashed transition-all duration-300 cursor-pointer
+                                ${dragOver
+                                    ? "border-indigo-500 bg-indigo-50 dark:bg-indigo-900/20 scale-[1.02]"
+                                    : documentFile
+                                        ? "border-green-400 bg-green-50 dark:bg-green-900/20"
+                                        : "border-gray-300 dark:border-gray-600 hover:border-indigo-400 dark:hover:border-indigo-600 hover:bg-gray-50 dark:hover:bg-gray-700/30"
+                                }
+                            `}
+                            onClick={!documentFile ? () => documentInputRef.current?.click() : undefined}
+                            onDragOver={handleDragOver}
+                            onDragLeave={handleDragLeave}
+                            onDrop={handleDocumentDrop}
+                        >
+                            <input
+                                ref={documentInputRef}
+                                type="file"
+                                accept={`.pdf,.docx,.epub,${Object.values(DOCUMENT_TYPES).join(",")}`}
+                                onChange={handleDocumentChange}
+                                disabled={isLoading}
+                                className="hidden"
+                            />
+
+                            {!documentFile ? (
+                                <div className="p-8 sm:p-12 text-center">
+                                    <div
+                                        className={`
+                                        inline-flex p-4 rounded-2xl mb-4 transition-all duration-300
+                                        ${dragOver
+                                                ? "bg-indigo-600 text-white scale-125"
+                                                : "bg-gray-100 dark:bg-gray-700 text-gray-500 hover:bg-indigo-100 dark:hover:bg-indigo-900/50 hover:text-indigo-600 hover:scale-110"
+                                            }
+                                    `}
+                                    >
+                                        <Upload className="h-8 w-8" />
+                                    </div>
+                                    <h3 className="text-lg sm:text-2xl font-bold text-gray-800 dark:text-gray-200 mb-2">
+                                        {dragOver ? "Drop it here!" : "Upload your document"}
+                                    </h3>
+                                    <p className="text-xs sm:text-base text-gray-600 dark:text-gray-400">
+                                        PDF, DOCX or EPUB. Drag & drop or click to browse (Max {MAX_FILE_SIZE_MB}MB).
+                                    </p>
+                                    <p className="text-[11px] sm:text-base text-gray-600 dark:text-gray-400">
+                                        Long documents are condensed before analysis.
+                                    </p>
+                                </div>
+                            ) : (
+                                <div className="p-6 sm:p-8">
+                                    <div className="relative flex items-center gap-4 bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4">
+                                        <div className="p-3 rounded-xl bg-indigo-100 dark:bg-indigo-900/50 text-indigo-600 flex-shrink-0">
+                                            <FileText className="h-6 w-6" />
+                                        </div>
+                                        <div className="flex-1 min-w-0">
+                                            <p className="font-semibold text-gray-800 dark:text-gray-200 truncate">{documentFile.name}</p>
+                                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                                                {(documentFile.size / 1024 / 1024).toFixed(2)} MB
+                                            </p>
+                                        </div>
+                                        {!isLoading && (
+                                            <button
+                                                type="button"
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    setDocumentFile(null);
+                                                }}
+                                                className="p-2 rounded-xl bg-red-500 text-white hover:bg-red-600 shadow-lg transition-all duration-300"
+                                                aria-label="Remove document"
+                                            >
+                                                <X className="h-5 w-5" />
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+
+                        <button
+                            type="button"
+                            onClick={() => handleSubmit()}
+                            disabled={isDisabled}
+                            className={`
+                                w-full flex items-center justify-center gap-3 py-4 sm:py-5 px-6 rounded-2xl 
+                                font-bold text-base sm:text-lg transition-all duration-300
+                                ${isDisabled
+                                    ? "bg-gray-200 dark:bg-gray-700 text-gray-500 cursor-not-allowed opacity-60"
+                                    : "bg-indigo-600 hover:bg-indigo-400 text-white shadow-xl hover:shadow-lg hover:scale-[1.02] active:scale-[0.98]"
+                                }
+                            `}
+                        >
+                            <Search className={`h-5 w-5 transition-all duration-300 ${isLoading ? 'animate-spin' : ''}`} />
+                            <span>{isLoading ? 'Processing...' : 'Analyze Document'}</span>
+                        </button>
+                    </div>
+                )}
+
+                {/* Batch Mode */}
+                {mode === "batch" && (
+                    <div
+                        className={`
+                            bg-white dark:bg-gray-800 rounded-2xl shadow-xl border transition-all duration-300
+                            ${focused
+                                ? "border-indigo-500 shadow-lg scale-[1.005]"
+                                : "border-gray-200 dark:border-gray-700 hover:border-indigo-300 dark:hover:border-indigo-600"
+                            }
+                        `}
+                    >
+                        <textarea
+                            ref={textareaRef}
+                            rows={6}
+                            value={queries.batch || ""}
+                            onChange={(e) => setCurrentQuery(e.target.value)}
+                            onFocus={() => setFocused(true)}
+                            onBlur={() => setFocused(false)}
+                            onKeyDown={handleKeyDown}
+                            placeholder="Paste article URLs here, one per line..."
+                            className="w-full p-4 sm:p-6 resize-none bg-transparent text-gray-900 dark:text-gray-100 placeholder-gray-500 dark:placeholder-gray-400 text-sm sm:text-base leading-relaxed min-h-[160px] max-h-[300px] overflow-y-auto transition-all duration-300 outline-none"
+                            disabled={isLoading}
+                            style={{ transition: 'height 0.3s ease-out' }}
+                        />
+
+                        <div className="flex items-center justify-between gap-3 px-4 pb-4 sm:px-6">
+                            <input
+                                ref={csvInputRef}
+                                type="file"
+                                accept=".csv,text/csv,text/plain"
+                                onChange={handleCsvChange}
+                                disabled={isLoading}
+                                className="hidden"
+                            />
+
+                            {batchCsv ? (
+                                <div className="flex items-center gap-2 min-w-0 px-3 py-2 rounded-xl bg-green-50 dark:bg-green-900/20 text-sm text-gray-700 dark:text-gray-300">
+                                    <FileSpreadsheet className="h-4 w-4 flex-shrink-0 text-green-600" />
+                                    <span className="truncate">{batchCsv.name}</span>
+                                    {!isLoading && (
+                                        <button
+                                            type="button"
+                                            onClick={() => setBatchCsv(null)}
+                                            className="p-1 rounded-md hover:text-red-500"
+                                            aria-label="Remove CSV file"
+                                        >
+                                            <X className="h-4 w-4" />
+                                        </button>
+                                    )}
+                                </div>
+                            ) : (
+                                <button
+                                    type="button"
+                                    onClick={() => csvInputRef.current?.click()}
+                                    disabled={isLoading}
+                                    className="flex items-center gap-2 px-3 py-2 rounded-xl text-sm text-gray-600 dark:text-gray-400 hover:text-indigo-600 dark:hover:text-indigo-400 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-all duration-300"
+                                >
+                                    <FileSpreadsheet className="h-4 w-4" />
+                                    <span>Upload CSV</span>
+                                </button>
+                            )}
+
+                            {batchRunning ? (
+                                <button
+                                    type="button"
+                                    onClick={handleStop}
+                                    className="flex items-center justify-center p-2 sm:p-3 rounded-xl bg-red-500 hover:bg-red-600 text-white shadow-lg transition-all duration-300"
+                                    aria-label="Stop batch"
+                                >
+                                    <Square className="h-5 w-5" />
+                                </button>
+                            ) : renderAnalyzeButton()}
+                        </div>
+                    </div>
+                )}
             </div>
 
             <ValidationModal
@@ -551,6 +1054,7 @@ export default function SearchBar({ setAnalysisData }) {
                 status={modalData.status}
                 title={modalData.title}
                 message={modalData.message}
+                steps={isLoading ? progressSteps : null}
                 isLoading={isLoading}
             />
         </div>
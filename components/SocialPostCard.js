@@ -0,0 +1,122 @@
+// components/SocialPostCard.js
+import {
+  FaTwitter,
+  FaRedditAlien,
+  FaMastodon,
+  FaTelegramPlane,
+  FaExternalLinkAlt,
+  FaHeart,
+  FaRetweet,
+  FaComment,
+  FaEye,
+  FaArrowUp,
+} from 'react-icons/fa';
+
+const PLATFORMS = {
+  twitter: { name: 'X (Twitter)', icon: FaTwitter },
+  reddit: { name: 'Reddit', icon: FaRedditAlien },
+  mastodon: { name: 'Mastodon', icon: FaMastodon },
+  telegram: { name: 'Telegram', icon: FaTelegramPlane },
+};
+
+const IMAGE_VERDICTS = {
+  ai_generated: { label: 'AI-generated', style: 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300' },
+  possibly_edited: { label: 'Possibly edited', style: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300' },
+  no_signs: { label: 'No signs of editing', style: 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300' },
+};
+
+const formatCount = (value) => new Intl.NumberFormat(undefined, { notation: 'compact' }).format(value);
+
+const formatDateTime = (isoDate) =>
+  new Date(isoDate).toLocaleString(undefined, { year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+export default function SocialPostCard({ post }) {
+  const { platform, url, title, link, community, author, publishedAt, engagement, media, sensitive } = post;
+  const { name: platformName, icon: PlatformIcon } = PLATFORMS[platform] || { name: platform, icon: FaExternalLinkAlt };
+
+  const counts = [
+    { icon: FaArrowUp, value: engagement.score, label: 'score' },
+    { icon: FaHeart, value: engagement.likes, label: 'likes' },
+    { icon: FaRetweet, value: engagement.reposts, label: 'reposts' },
+    { icon: FaComment, value: engagement.replies, label: platform === 'reddit' ? 'comments' : 'replies' },
+    { icon: FaEye, value: engagement.views, label: 'views' },
+  ].filter((count) => count.value != null);
+
+  return (
+    <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700/50 border border-gray-100 dark:border-gray-600/50">
+      <div className="flex items-center gap-2 text-xs uppercase tracking-wide text-indigo-500 font-semibold">
+        <PlatformIcon className="h-3.5 w-3.5" />
+        <span>{platformName} post</span>
+        {community && <span className="text-gray-400 dark:text-gray-500 normal-case">· {community}</span>}
+        {sensitive && <span className="text-yellow-600 dark:text-yellow-400">· Sensitive</span>}
+      </div>
+
+      <div className="mt-1 flex flex-wrap items-baseline gap-x-2 md:text-base text-sm">
+        {author.name && <span className="font-bold text-gray-800 dark:text-gray-100">{author.name}</span>}
+        {author.handle && (author.url ? (
+          <a href={author.url} target="_blank" rel="noopener noreferrer" className="text-gray-500 dark:text-gray-400 hover:text-indigo-500 transition-colors duration-300">
+            {author.handle}
+          </a>
+        ) : (
+          <span className="text-gray-500 dark:text-gray-400">{author.handle}</span>
+        ))}
+      </div>
+
+      {title && <p className="mt-1 md:text-lg text-sm font-bold text-gray-800 dark:text-gray-100">{title}</p>}
+
+      <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 md:text-sm text-xs text-gray-600 dark:text-gray-300">
+        {publishedAt ? (
+          <span>{formatDateTime(publishedAt)}</span>
+        ) : (
+          <span className="text-gray-400 dark:text-gray-500">Post date unknown</span>
+        )}
+        {counts.map(({ icon: Icon, value, label }) => (
+          <span key={label} className="flex items-center gap-1" title={`${value.toLocaleString()} ${label}`}>
+            <Icon className="h-3 w-3 text-gray-400" />
+            {formatCount(value)}
+          </span>
+        ))}
+        <a
+          href={url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="flex items-center gap-1 hover:text-indigo-500 transition-colors duration-300"
+        >
+          View post
+          <FaExternalLinkAlt className="h-3 w-3" />
+        </a>
+      </div>
+
+      {link && (
+        <a
+          href={link}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="mt-2 block md:text-sm text-xs text-indigo-500 hover:underline break-all"
+        >
+          {link}
+        </a>
+      )}
+
+      {media.length > 0 && (
+        <ul className="mt-3 space-y-1 md:text-sm text-xs text-gray-600 dark:text-gray-300">
+          {media.map((item, i) => (
+            <li key={`${item.url}-${i}`} className="flex flex-wrap items-center gap-2">
+              <a href={item.url} target="_blank" rel="noopener noreferrer" className="capitalize hover:text-indigo-500 transition-colors duration-300">
+                {item.type} {i + 1}
+              </a>
+              {item.forensics && (
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${IMAGE_VERDICTS[item.forensics.verdict]?.style}`}>
+                  {IMAGE_VERDICTS[item.forensics.verdict]?.label}
+                </span>
+              )}
+              {item.ocr?.text && <span className="text-gray-400 dark:text-gray-500">Text read and analyzed</span>}
+              {item.error && <span className="text-gray-400 dark:text-gray-500">{item.error}</span>}
+              {item.alt && <span className="w-full text-gray-400 dark:text-gray-500 italic line-clamp-1">{item.alt}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
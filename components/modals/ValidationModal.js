@@ -4,7 +4,7 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { AiOutlineCloseCircle, AiOutlineCheckCircle, AiOutlineLoading3Quarters } from 'react-icons/ai';
 
-const ValidationModal = ({ show, onClose, status, title, message, isLoading = false }) => {
+const ValidationModal = ({ show, onClose, status, title, message, steps = null, isLoading = false }) => {
     const dialogRef = useRef(null);
 
     useEffect(() => {
@@ -49,6 +49,19 @@ const ValidationModal = ({ show, onClose, status, title, message, isLoading = fa
         }
     };
 
+    const getStepIcon = (stepStatus) => {
+        switch (stepStatus) {
+            case "active":
+                return <AiOutlineLoading3Quarters className="w-4 h-4 text-indigo-500 animate-spin" />;
+            case "done":
+                return <AiOutlineCheckCircle className="w-4 h-4 text-green-500" />;
+            case "error":
+                return <AiOutlineCloseCircle className="w-4 h-4 text-red-500" />;
+            default:
+                return <span className="block w-4 h-4 rounded-full border-2 border-gray-300 dark:border-gray-600" />;
+        }
+    };
+
     const getButtonText = () => {
         return isLoading ? "Stop" : "Close";
     };
@@ -75,6 +88,21 @@ const ValidationModal = ({ show, onClose, status, title, message, isLoading = fa
                 {status && <div className="mb-4">{getIcon()}</div>}
                 {title && <h3 className="text-lg sm:text-xl font-bold mb-2">{title}</h3>}
                 {message && <p className="text-sm sm:text-base text-gray-600 dark:text-gray-300">{message}</p>}
+                {steps?.length > 0 && (
+                    <ul className="mt-4 w-full space-y-2 text-left">
+                        {steps.map((step) => (
+                            <li key={step.id} className="flex items-center gap-3 text-xs sm:text-sm">
+                                <span className="flex-shrink-0">{getStepIcon(step.status)}</span>
+                                <span className={step.status === "pending" ? "text-gray-400 dark:text-gray-500" : "text-gray-700 dark:text-gray-200"}>
+                                    {step.label}
+                                </span>
+                                {step.detail && (
+                                    <span className="ml-auto truncate max-w-[45%] text-gray-500 dark:text-gray-400 capitalize">{step.detail}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
                 <div className="mt-6 flex justify-center">
                     <button
                         onClick={onClose}
@@ -0,0 +1,48 @@
+// lib/batch-export.js
+// Serializes batch results and hands them to the browser as a file download.
+
+export const BATCH_COLUMNS = [
+    { key: 'url', label: 'URL' },
+    { key: 'title', label: 'Title' },
+    { key: 'status', label: 'Status' },
+    { key: 'credibility', label: 'Credibility' },
+    { key: 'type', label: 'Type' },
+    { key: 'bias', label: 'Bias' },
+    { key: 'confidence', label: 'Confidence' },
+    { key: 'claims', label: 'Claims' },
+    { key: 'reportId', label: 'Report ID' },
+    { key: 'error', label: 'Error' },
+];
+
+// Cells starting with these run as formulas in Excel and Sheets; titles and URLs come from untrusted pages
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(text)) {
+        return `"'${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const batchToCsv = (items) => [
+    BATCH_COLUMNS.map(({ label }) => label).join(','),
+    ...items.map((item) => BATCH_COLUMNS.map(({ key }) => escapeCsvCell(item[key])).join(',')),
+].join('\r\n');
+
+export const batchToJson = (items) => JSON.stringify(
+    items.map((item) => Object.fromEntries(BATCH_COLUMNS.map(({ key }) => [key, item[key] ?? null]))),
+    null,
+    2
+);
+
+export const downloadFile = (filename, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
@@ -0,0 +1,84 @@
+// lib/history-db.js
+// Past analyses kept in IndexedDB so they survive new analyses and browser restarts.
+
+const DB_NAME = 'checkmatic';
+const DB_VERSION = 1;
+const STORE_NAME = 'history';
+const MAX_LOCAL_ENTRIES = 500;
+
+let dbPromise = null;
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call retry if the database could not be opened
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs `operation` against the history store and resolves with its request's result once the transaction commits
+const runTransaction = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const byNewest = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+/**
+ * Builds a history entry from a finished analysis. The searchable metadata is
+ * copied to the top level; the full analysis is kept for re-opening.
+ */
+export const buildHistoryEntry = (analysis) => {
+    const synthesis = analysis?.synthesis || {};
+    return {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        source: analysis?.source || { mode: 'text', url: null, title: null },
+        summary: synthesis.summary || null,
+        credibility: synthesis.primary_classification?.type || null,
+        type: synthesis.secondary_classification?.type || null,
+        bias: synthesis.tertiary_classification?.type || null,
+        confidence: synthesis.primary_classification?.llm_confidence ?? null,
+        reportId: analysis?.report?.id || null,
+        analysis,
+    };
+};
+
+export const listHistoryEntries = async () =>
+    ((await runTransaction('readonly', (store) => store.getAll())) || []).sort(byNewest);
+
+export const getHistoryEntry = (id) => runTransaction('readonly', (store) => store.get(id));
+
+export const deleteHistoryEntry = (id) => runTransaction('readwrite', (store) => store.delete(id));
+
+// Saves an entry and drops the oldest ones beyond MAX_LOCAL_ENTRIES
+export const addHistoryEntry = async (entry) => {
+    await runTransaction('readwrite', (store) => store.put(entry));
+
+    const entries = await listHistoryEntries();
+    await Promise.all(entries.slice(MAX_LOCAL_ENTRIES).map((stale) => deleteHistoryEntry(stale.id)));
+};
+
+export const putHistoryEntries = async (entries) => {
+    if (entries.length === 0) return;
+    await runTransaction('readwrite', (store) => {
+        entries.forEach((entry) => store.put(entry));
+    });
+};
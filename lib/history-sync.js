@@ -0,0 +1,103 @@
+// lib/history-sync.js
+// Mirrors local history to the server when report storage is configured there.
+// The browser is identified by a random client ID kept in localStorage; no account is needed.
+import { addHistoryEntry, buildHistoryEntry, deleteHistoryEntry, listHistoryEntries, putHistoryEntries } from './history-db';
+
+const CLIENT_ID_KEY = 'historyClientId';
+
+const getClientId = () => {
+    let clientId = localStorage.getItem(CLIENT_ID_KEY);
+    if (!clientId) {
+        const bytes = crypto.getRandomValues(new Uint8Array(24));
+        clientId = btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        localStorage.setItem(CLIENT_ID_KEY, clientId);
+    }
+    return clientId;
+};
+
+const historyRequest = (method, { query = '', body } = {}) =>
+    fetch(`/api/history${query}`, {
+        method,
+        headers: {
+            'X-History-Client': getClientId(),
+            ...(body && { 'Content-Type': 'application/json' }),
+        },
+        ...(body && { body: JSON.stringify(body) }),
+    });
+
+// The full analysis stays on this device; the server keeps only the metadata
+const withoutLocalFields = ({ analysis, synced, ...entry }) => entry;
+
+// Uploads entries and flags them as synced. Resolves false when sync is disabled on the server.
+const pushEntries = async (entries) => {
+    if (entries.length === 0) return true;
+
+    const response = await historyRequest('PUT', { body: { entries: entries.map(withoutLocalFields) } });
+    if (response.status === 503) return false;
+    if (!response.ok) {
+        throw new Error(`History sync failed with status ${response.status}`);
+    }
+
+    await putHistoryEntries(entries.map((entry) => ({ ...entry, synced: true })));
+    return true;
+};
+
+/**
+ * Saves a finished analysis to history and mirrors it to the server.
+ * Failed analyses are not recorded. Errors are logged, never thrown.
+ * @param {object} analysis - The analysis returned by the API.
+ */
+export const recordAnalysis = async (analysis) => {
+    if (!analysis?.synthesis || analysis.synthesis.error) return;
+
+    try {
+        const entry = buildHistoryEntry(analysis);
+        await addHistoryEntry(entry);
+        await pushEntries([entry]);
+    } catch (error) {
+        console.warn('Failed to record analysis in history:', error);
+    }
+};
+
+/**
+ * Two-way sync. Pulls entries made on other devices, uploads local entries that were
+ * never synced, and drops entries that another device has deleted. Entries the server no
+ * longer lists because they expired or fell off its cap are kept here.
+ * @returns {Promise<boolean>} Whether server sync is enabled.
+ */
+export const syncHistory = async () => {
+    const response = await historyRequest('GET');
+    if (!response.ok) {
+        throw new Error(`History sync failed with status ${response.status}`);
+    }
+
+    const { enabled, entries: remoteEntries, deleted = [] } = await response.json();
+    if (!enabled) return false;
+
+    const localEntries = await listHistoryEntries();
+    const localIds = new Set(localEntries.map((entry) => entry.id));
+    const deletedIds = new Set(deleted);
+
+    // Local entries win on conflicts because only they hold the full analysis
+    await putHistoryEntries(
+        remoteEntries.filter((entry) => !localIds.has(entry.id) && !deletedIds.has(entry.id)).map((entry) => ({ ...entry, synced: true }))
+    );
+
+    const deletedElsewhere = localEntries.filter((entry) => deletedIds.has(entry.id));
+    await Promise.all(deletedElsewhere.map((entry) => deleteHistoryEntry(entry.id)));
+
+    return await pushEntries(localEntries.filter((entry) => !entry.synced && !deletedIds.has(entry.id)));
+};
+
+/**
+ * Deletes an entry locally and, when synced, on the server.
+ * @param {string} id - The history entry ID.
+ */
+export const removeHistoryEntry = async (id) => {
+    await deleteHistoryEntry(id);
+
+    const response = await historyRequest('DELETE', { query: `?id=${encodeURIComponent(id)}` });
+    if (!response.ok && ![404, 503].includes(response.status)) {
+        console.warn(`Failed to delete synced history entry: status ${response.status}`);
+    }
+};
@@ -0,0 +1,41 @@
+// lib/read-event-stream.js
+
+/**
+ * Reads a text/event-stream response body and calls `onEvent(event, data)` for every
+ * complete frame. Resolves when the server closes the stream; rejects with an
+ * AbortError if the fetch was aborted.
+ * @param {Response} response - A fetch response whose body is an SSE stream.
+ * @param {(event: string, data: any) => void} onEvent
+ */
+export async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            for (const line of frame.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            }
+
+            if (data) {
+                onEvent(event, JSON.parse(data));
+            }
+        }
+    }
+}
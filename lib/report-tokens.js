@@ -0,0 +1,23 @@
+// lib/report-tokens.js
+// Delete tokens for reports created in this browser, kept in localStorage by report ID.
+
+const STORAGE_KEY = 'reportDeleteTokens';
+
+const readTokens = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+        return {};
+    }
+};
+
+export const rememberDeleteToken = (id, token) => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readTokens(), [id]: token }));
+};
+
+export const getDeleteToken = (id) => readTokens()[id] || null;
+
+export const forgetDeleteToken = (id) => {
+    const { [id]: _removed, ...rest } = readTokens();
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rest));
+};
@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+    // pdf.js and tesseract.js load their workers, and canvas its native binding, at runtime; keep them out of the server bundle
+    serverExternalPackages: ['pdfjs-dist', 'canvas', 'tesseract.js'],
+};
 
 export default nextConfig;
@@ -0,0 +1,91 @@
+// scripts/check-fixture-replay.mjs
+// Checks that MODEL_FIXTURES=replay runs the detection pipeline with no API keys and no network.
+// Records one analysis against the default hosted endpoints (Hugging Face and Gemini), answered
+// by an in-process stand-in built on the fake provider, then replays it with every key removed
+// and fetch disabled, and compares the two results. Exits with status 1 on any difference.
+//
+// Usage: node scripts/check-fixture-replay.mjs
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectContent } from '../app/api/detection/detection-logic.js';
+import { ZERO_SHOT_LABELS } from '../app/api/analyze/analyze-logic.js';
+import { fake } from '../app/api/detection/fake-provider.js';
+import { getFixtureStats } from '../app/api/detection/model-fixtures.js';
+
+const ARTICLE = `City council approves new budget for public parks
+
+The city council voted 7 to 2 on Tuesday to approve a $4.5 million budget for public parks, the mayor's office said. The plan funds 12 new playgrounds and repairs to the riverside trail, which closed in 2023 after flooding. Council member Ana Ruiz, who voted against it, said the money should go to road repairs first.`;
+
+const KEY_VARIABLES = ['HF_ACCESS_TOKEN', 'LLM_API_KEY', 'OPENAI_API_KEY'];
+const SLOT_PREFIXES = ['ZERO_SHOT', 'ZERO_SHOT_MULTILINGUAL', 'SARCASM', 'POLITICAL_BIAS', 'POLITICAL_BIAS_MULTILINGUAL', 'SYNTHESIS'];
+
+// Every slot on its default hosted provider, with no keys or self-hosted endpoints
+for (const prefix of SLOT_PREFIXES) {
+    for (const name of ['PROVIDER', 'MODEL', 'ENDPOINT', 'API_KEY']) delete process.env[`${prefix}_${name}`];
+}
+KEY_VARIABLES.forEach((name) => delete process.env[name]);
+delete process.env.MODEL_PROVIDER;
+
+// Answers the hosted Hugging Face and Gemini APIs the way they would, from the fake provider
+async function hostedStandIn(url, options) {
+    const body = JSON.parse(options.body);
+    let output;
+    if (url.includes('generativelanguage.googleapis.com')) {
+        const text = await fake.generate({ slot: 'synthesis' }, body.contents[0].parts[0].text);
+        output = { candidates: [{ content: { parts: [{ text }] } }] };
+    } else if (body.parameters?.candidate_labels) {
+        output = await fake.zeroShot({ slot: 'zeroShot' }, body.inputs, body.parameters.candidate_labels);
+    } else {
+        output = await fake.classify({ slot: url.includes('politicalBias') ? 'politicalBias' : 'sarcasm' }, body.inputs);
+    }
+    return new Response(JSON.stringify(output), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Only the fields that come from the models; timestamps and ids differ between runs
+const outcome = (result) => JSON.stringify({
+    synthesis: result.synthesis,
+    claims: result.claims?.map(({ claim, verdict }) => ({ claim, verdict })),
+    zeroShot: result.zeroShotAnalysis,
+    sarcasm: result.sarcasmAnalysis,
+    politicalBias: result.politicalBiasAnalysis,
+    ensemble: result.ensemble?.probabilities,
+});
+
+const dir = await mkdtemp(join(tmpdir(), 'checkmatic-fixtures-'));
+process.env.MODEL_FIXTURES_DIR = dir;
+const liveFetch = globalThis.fetch;
+const failures = [];
+
+try {
+    process.env.MODEL_FIXTURES = 'record';
+    KEY_VARIABLES.forEach((name) => { process.env[name] = 'recording-only'; });
+    globalThis.fetch = hostedStandIn;
+    const recorded = await detectContent(ARTICLE, ZERO_SHOT_LABELS);
+    const { recorded: recordedCalls } = getFixtureStats();
+    console.log(`Recorded ${recordedCalls} model responses.`);
+    if (recorded.synthesis?.error) failures.push(`The recording run failed: ${recorded.synthesis.error}`);
+
+    process.env.MODEL_FIXTURES = 'replay';
+    KEY_VARIABLES.forEach((name) => delete process.env[name]);
+    globalThis.fetch = async (url) => {
+        throw new Error(`Network access during replay: ${url}`);
+    };
+    const replayed = await detectContent(ARTICLE, ZERO_SHOT_LABELS);
+    const { replayed: replayedCalls, missing } = getFixtureStats();
+    console.log(`Replayed ${replayedCalls} model responses, ${missing} missing.`);
+
+    if (replayed.synthesis?.error) failures.push(`The replay run failed: ${replayed.synthesis.error} ${JSON.stringify(replayed.synthesis.details ?? '')}`);
+    if (missing > 0) failures.push(`${missing} model calls had no recorded response.`);
+    if (replayedCalls !== recordedCalls) failures.push(`Recorded ${recordedCalls} calls but replayed ${replayedCalls}.`);
+    if (outcome(replayed) !== outcome(recorded)) failures.push('The replayed analysis differs from the recorded one.');
+} finally {
+    globalThis.fetch = liveFetch;
+    await rm(dir, { recursive: true, force: true });
+}
+
+if (failures.length) {
+    failures.forEach((failure) => console.error(failure));
+    process.exit(1);
+}
+console.log('Replay ran without API keys or network access.');
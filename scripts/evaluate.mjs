@@ -0,0 +1,176 @@
+// scripts/evaluate.mjs
+// Runs the detection pipeline over a labeled dataset and reports accuracy, macro-F1, expected
+// calibration error and a confusion matrix for each classification tier.
+//
+// Usage: node scripts/evaluate.mjs <dataset.jsonl> [--limit N] [--concurrency N]
+//            [--record fixtures-dir | --replay fixtures-dir]
+//            [--out report.json] [--baseline report.json] [--fail-on-regression]
+//            [--analyses analyses.jsonl]
+//
+// Each dataset line is { "id", "text", "label", "type", "bias" } (any label may be left out) or a
+// LIAR / FakeNewsNet record; see scripts/evaluation/datasets.mjs. --record saves every hosted model
+// call to a fixtures folder while running against the configured providers; --replay serves them back
+// with no network access or API keys (MODEL_FIXTURES, see app/api/detection/model-fixtures.js).
+// --baseline compares against an earlier --out report; with --fail-on-regression the
+// script exits with status 1 when any tier's macro-F1 drops. --analyses writes { label, result }
+// lines that scripts/fit-ensemble-calibration.mjs can fit on.
+import { appendFileSync, readFileSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { detectContent } from '../app/api/detection/detection-logic.js';
+import { ZERO_SHOT_LABELS } from '../app/api/analyze/analyze-logic.js';
+import { validateInput } from '../app/api/analyze/input-validation.js';
+import { loadDataset } from './evaluation/datasets.mjs';
+import { diffReports, scoreTier } from './evaluation/metrics.mjs';
+import { getFixtureStats } from '../app/api/detection/model-fixtures.js';
+
+const USAGE = 'Usage: node scripts/evaluate.mjs <dataset.jsonl> [--limit N] [--concurrency N] [--record dir | --replay dir] [--out report.json] [--baseline report.json] [--fail-on-regression] [--analyses file]';
+
+// Which gold label each tier is scored against
+const TIERS = {
+    primary: 'primary',
+    ensemble: 'primary',
+    secondary: 'secondary',
+    tertiary: 'tertiary',
+};
+
+// === Arguments ===
+
+const [datasetPath, ...flags] = process.argv.slice(2);
+const option = (name) => {
+    const index = flags.indexOf(name);
+    return index === -1 ? null : flags[index + 1] ?? '';
+};
+
+const limit = option('--limit') === null ? Infinity : Number(option('--limit'));
+const concurrency = Number(option('--concurrency') ?? 1);
+const recordPath = option('--record');
+const replayPath = option('--replay');
+
+if (!datasetPath || datasetPath.startsWith('--') || (recordPath !== null && replayPath !== null)
+    || !(limit > 0) || !(Number.isInteger(concurrency) && concurrency > 0)
+    || [recordPath, replayPath, option('--out'), option('--baseline'), option('--analyses')].some((value) => value === '')) {
+    console.error(USAGE);
+    process.exit(1);
+}
+
+// === Run ===
+
+// Fixture settings are read on every model call, so they can be set after the imports
+const fixturesPath = recordPath ?? replayPath;
+if (fixturesPath) {
+    process.env.MODEL_FIXTURES = recordPath ? 'record' : 'replay';
+    process.env.MODEL_FIXTURES_DIR = resolve(fixturesPath);
+}
+const replay = replayPath !== null;
+
+const { items, skipped } = loadDataset(datasetPath, { limit });
+console.log(`Evaluating ${items.length} items from ${datasetPath} (${skipped} skipped)${replay ? ' with replayed model outputs' : ''}.`);
+
+// Mirrors the app: the pipeline only ever sees validated text
+async function evaluateItem(item) {
+    const predicted = { primary: null, ensemble: null, secondary: null, tertiary: null };
+    const confidence = { primary: null, ensemble: null, secondary: null, tertiary: null };
+    try {
+        const { text } = validateInput(item.text);
+        const result = await detectContent(text, ZERO_SHOT_LABELS);
+        const synthesis = result.synthesis || {};
+        for (const tier of ['primary', 'secondary', 'tertiary']) {
+            const classification = synthesis[`${tier}_classification`];
+            if (!classification) continue;
+            predicted[tier] = tier === 'secondary' ? classification.type.toLowerCase().replace(/_/g, ' ') : classification.type;
+            confidence[tier] = classification.llm_confidence ?? null;
+        }
+        if (result.ensemble) {
+            predicted.ensemble = result.ensemble.verdict;
+            confidence.ensemble = result.ensemble.confidence;
+        }
+        return { id: item.id, gold: item.labels, predicted, confidence, error: synthesis.error ?? null, result };
+    } catch (error) {
+        return { id: item.id, gold: item.labels, predicted, confidence, error: error.message, result: null };
+    }
+}
+
+const outcomes = new Array(items.length);
+let next = 0;
+let done = 0;
+await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+        const index = next++;
+        outcomes[index] = await evaluateItem(items[index]);
+        done++;
+        if (outcomes[index].error) console.warn(`[${done}/${items.length}] ${items[index].id}: ${outcomes[index].error}`);
+        else if (done % 10 === 0 || done === items.length) console.log(`[${done}/${items.length}]`);
+    }
+}));
+
+// === Report ===
+
+const tiers = {};
+for (const [tier, goldTier] of Object.entries(TIERS)) {
+    const pairs = outcomes
+        .filter((outcome) => outcome.gold[goldTier])
+        .map((outcome) => ({ gold: outcome.gold[goldTier], predicted: outcome.predicted[tier], confidence: outcome.confidence[tier] }));
+    if (pairs.length) tiers[tier] = scoreTier(pairs);
+}
+
+const report = {
+    dataset: datasetPath,
+    createdAt: new Date().toISOString(),
+    replayed: replay,
+    count: items.length,
+    failed: outcomes.filter((outcome) => outcome.error).length,
+    tiers,
+    items: outcomes.map(({ id, gold, predicted, confidence, error }) => ({
+        id,
+        gold: { ...gold, ensemble: gold.primary },
+        predicted,
+        confidence,
+        error,
+    })),
+};
+
+const format = (value) => (value === null ? '-' : value.toFixed(3));
+const formatDelta = (value) => (value === null ? '' : ` (${value >= 0 ? '+' : ''}${value.toFixed(3)})`);
+
+const baseline = option('--baseline') ? JSON.parse(readFileSync(option('--baseline'), 'utf8')) : null;
+const diff = baseline ? diffReports(report, baseline) : null;
+
+console.log(`\n${report.count} items, ${report.failed} failed.`);
+for (const [tier, metrics] of Object.entries(tiers)) {
+    const delta = diff?.tiers[tier] ?? { accuracy: null, macroF1: null, ece: null };
+    console.log(`\n== ${tier} (${metrics.count} labeled) ==`);
+    console.log(`accuracy ${format(metrics.accuracy)}${formatDelta(delta.accuracy)}  macro-F1 ${format(metrics.macroF1)}${formatDelta(delta.macroF1)}  ECE ${format(metrics.ece)}${formatDelta(delta.ece)}`);
+
+    const { labels, matrix } = metrics.confusion;
+    const width = Math.max(6, ...labels.map((label) => label.length)) + 2;
+    console.log(`${'gold \\ predicted'.padEnd(width)}${labels.map((label) => label.padStart(width)).join('')}`);
+    matrix.forEach((row, i) => console.log(`${labels[i].padEnd(width)}${row.map((value) => String(value).padStart(width)).join('')}`));
+}
+
+if (diff) {
+    console.log(`\nAgainst ${option('--baseline')}: ${diff.fixed.length} predictions fixed, ${diff.broken.length} broken.`);
+    diff.broken.forEach((change) => console.log(`  broken ${change.tier} ${change.id}: ${change.before} -> ${change.after ?? 'none'} (gold ${change.gold})`));
+    diff.fixed.forEach((change) => console.log(`  fixed  ${change.tier} ${change.id}: ${change.before ?? 'none'} -> ${change.after}`));
+}
+
+const fixtureStats = getFixtureStats();
+if (recordPath) console.log(`\nRecorded ${fixtureStats.recorded} model responses to ${recordPath}.`);
+if (fixtureStats.missing) console.warn(`\n${fixtureStats.missing} model calls had no recorded response in ${replayPath}; re-record to cover them.`);
+
+if (option('--out')) {
+    writeFileSync(option('--out'), `${JSON.stringify(report, null, 4)}\n`);
+    console.log(`Wrote ${option('--out')}`);
+}
+
+if (option('--analyses')) {
+    writeFileSync(option('--analyses'), '');
+    outcomes
+        .filter((outcome) => outcome.result && outcome.gold.primary)
+        .forEach((outcome) => appendFileSync(option('--analyses'), `${JSON.stringify({ id: outcome.id, label: outcome.gold.primary, result: outcome.result })}\n`));
+    console.log(`Wrote ${option('--analyses')}`);
+}
+
+if (diff && flags.includes('--fail-on-regression') && Object.values(diff.tiers).some((delta) => delta.macroF1 < 0)) {
+    console.error('\nMacro-F1 dropped against the baseline.');
+    process.exit(1);
+}
@@ -0,0 +1,60 @@
+// scripts/evaluation/datasets.mjs
+// Loads labeled JSONL datasets for the evaluation harness. Accepts our own format
+// ({ id, text, label, type, bias }) and LIAR- or FakeNewsNet-style records
+// ({ statement, label: "pants-fire" } or { title, text, label: "real" }).
+import { readFileSync } from 'fs';
+import { toVerdictLabel } from '../../app/api/detection/ensemble.js';
+
+const BIAS_ALIASES = {
+    left: 'left_leaning', left_leaning: 'left_leaning', liberal: 'left_leaning',
+    right: 'right_leaning', right_leaning: 'right_leaning', conservative: 'right_leaning',
+    center: 'neutral', centre: 'neutral', neutral: 'neutral',
+};
+
+const normalizeLabel = (value) => (typeof value === 'string' && value.trim() ? value.trim().toLowerCase().replace(/_/g, ' ') : null);
+
+function toItem(record, lineNumber) {
+    const body = record.text ?? record.statement ?? record.content ?? '';
+    const text = record.title && body && !body.startsWith(record.title) ? `${record.title}\n\n${body}` : body || record.title || '';
+    return {
+        id: String(record.id ?? record.news_id ?? lineNumber),
+        text,
+        labels: {
+            primary: record.label === undefined && record.verdict === undefined ? null : toVerdictLabel(record.label ?? record.verdict),
+            secondary: normalizeLabel(record.type ?? record.content_type),
+            tertiary: BIAS_ALIASES[String(record.bias ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_')] ?? null,
+        },
+    };
+}
+
+/**
+ * Reads a JSONL dataset. Records without text or without any usable label are skipped.
+ * @param {string} path - The dataset file.
+ * @param {object} [options]
+ * @param {number} [options.limit] - Reads at most this many items.
+ * @returns {{ items: { id: string, text: string, labels: { primary: string | null, secondary: string | null, tertiary: string | null } }[], skipped: number }}
+ */
+export function loadDataset(path, { limit = Infinity } = {}) {
+    const items = [];
+    let skipped = 0;
+
+    const lines = readFileSync(path, 'utf8').split('\n');
+    for (let i = 0; i < lines.length && items.length < limit; i++) {
+        if (!lines[i].trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(lines[i]);
+        } catch {
+            skipped++;
+            continue;
+        }
+        const item = toItem(record, i + 1);
+        if (!item.text.trim() || !Object.values(item.labels).some(Boolean)) {
+            skipped++;
+            continue;
+        }
+        items.push(item);
+    }
+
+    return { items, skipped };
+}
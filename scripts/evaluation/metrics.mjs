@@ -0,0 +1,101 @@
+// scripts/evaluation/metrics.mjs
+// Classification metrics for the evaluation harness and the comparison against a baseline.
+
+const CALIBRATION_BINS = 10;
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+// Predictions missing because the pipeline failed count as this label
+export const NO_PREDICTION = 'none';
+
+/**
+ * Scores one classification tier.
+ * @param {{ gold: string, predicted: string | null, confidence: number | null }[]} pairs
+ * @returns {{
+ *   count: number, accuracy: number, macroF1: number, ece: number | null,
+ *   confusion: { labels: string[], matrix: number[][] }
+ * }} `matrix[i][j]` counts items with gold label `labels[i]` predicted as `labels[j]`.
+ *   `ece` is null when no prediction carried a confidence.
+ */
+export function scoreTier(pairs) {
+    const predictions = pairs.map((pair) => ({ ...pair, predicted: pair.predicted ?? NO_PREDICTION }));
+    const goldLabels = [...new Set(predictions.map((pair) => pair.gold))].sort();
+    const labels = [...goldLabels, ...[...new Set(predictions.map((pair) => pair.predicted))].filter((label) => !goldLabels.includes(label)).sort()];
+
+    const matrix = labels.map(() => labels.map(() => 0));
+    predictions.forEach(({ gold, predicted }) => {
+        matrix[labels.indexOf(gold)][labels.indexOf(predicted)]++;
+    });
+
+    const correct = predictions.filter(({ gold, predicted }) => gold === predicted).length;
+    // Macro-F1 averages over the gold classes, so predicting an unseen class only costs recall
+    const f1s = goldLabels.map((label) => {
+        const i = labels.indexOf(label);
+        const truePositives = matrix[i][i];
+        const predictedCount = matrix.reduce((sum, row) => sum + row[i], 0);
+        const goldCount = matrix[i].reduce((sum, value) => sum + value, 0);
+        const precision = predictedCount ? truePositives / predictedCount : 0;
+        const recall = goldCount ? truePositives / goldCount : 0;
+        return precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    });
+
+    return {
+        count: predictions.length,
+        accuracy: round(predictions.length ? correct / predictions.length : 0),
+        macroF1: round(f1s.length ? f1s.reduce((sum, value) => sum + value, 0) / f1s.length : 0),
+        ece: round(calibrationError(predictions)),
+        confusion: { labels, matrix },
+    };
+}
+
+// Expected calibration error over the predictions that carry a confidence
+function calibrationError(predictions) {
+    const scored = predictions.filter((pair) => Number.isFinite(pair.confidence));
+    if (scored.length === 0) return null;
+
+    const bins = Array.from({ length: CALIBRATION_BINS }, () => ({ confidence: 0, correct: 0 }));
+    for (const { gold, predicted, confidence } of scored) {
+        const bin = bins[Math.min(CALIBRATION_BINS - 1, Math.floor(confidence * CALIBRATION_BINS))];
+        bin.confidence += confidence;
+        bin.correct += gold === predicted ? 1 : 0;
+    }
+    return bins.reduce((sum, bin) => sum + Math.abs(bin.confidence - bin.correct), 0) / scored.length;
+}
+
+/**
+ * Compares a report against a baseline report: metric deltas per tier and the items whose
+ * prediction changed from wrong to right (fixed) or right to wrong (broken).
+ * @param {object} report - The current evaluation report.
+ * @param {object} baseline - A report saved from an earlier run.
+ * @returns {{ tiers: Record<string, { accuracy: number, macroF1: number, ece: number | null }>, fixed: object[], broken: object[] }}
+ */
+export function diffReports(report, baseline) {
+    const tiers = {};
+    for (const [tier, metrics] of Object.entries(report.tiers)) {
+        const before = baseline.tiers?.[tier];
+        if (!before) continue;
+        tiers[tier] = {
+            accuracy: round(metrics.accuracy - before.accuracy),
+            macroF1: round(metrics.macroF1 - before.macroF1),
+            ece: metrics.ece === null || before.ece === null ? null : round(metrics.ece - before.ece),
+        };
+    }
+
+    const previous = new Map((baseline.items || []).map((item) => [item.id, item]));
+    const fixed = [];
+    const broken = [];
+    for (const item of report.items) {
+        const old = previous.get(item.id);
+        if (!old) continue;
+        for (const tier of Object.keys(item.gold)) {
+            const gold = item.gold[tier];
+            if (!gold || old.gold?.[tier] !== gold) continue;
+            const wasRight = old.predicted?.[tier] === gold;
+            const isRight = item.predicted[tier] === gold;
+            const change = { id: item.id, tier, gold, before: old.predicted?.[tier] ?? null, after: item.predicted[tier] };
+            if (!wasRight && isRight) fixed.push(change);
+            if (wasRight && !isRight) broken.push(change);
+        }
+    }
+
+    return { tiers, fixed, broken };
+}
@@ -0,0 +1,57 @@
+// scripts/fit-ensemble-calibration.mjs
+// Fits the ensemble calibration (temperature and per-verdict offsets) on a labeled set of finished
+// analyses and writes a weights file with the new calibration.
+//
+// Usage: node scripts/fit-ensemble-calibration.mjs <dataset.jsonl> [--out weights.json]
+//
+// Each line is { "label": "fake", "result": { ...analysis result } } or an analysis result with a
+// "label" field. Labels may use LIAR or FakeNewsNet names (pants-fire, real, ...); lines whose label
+// has no clear verdict are skipped. Point ENSEMBLE_WEIGHTS_FILE at the output to use it.
+import { readFileSync, writeFileSync } from 'fs';
+import { featuresFromResult, fitCalibration, getEnsembleWeights, toVerdictLabel } from '../app/api/detection/ensemble.js';
+
+const [datasetPath, ...flags] = process.argv.slice(2);
+const outIndex = flags.indexOf('--out');
+const outPath = outIndex === -1 ? null : flags[outIndex + 1];
+
+if (!datasetPath || (outIndex !== -1 && !outPath)) {
+    console.error('Usage: node scripts/fit-ensemble-calibration.mjs <dataset.jsonl> [--out weights.json]');
+    process.exit(1);
+}
+
+const samples = [];
+let skipped = 0;
+readFileSync(datasetPath, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+        record = JSON.parse(line);
+    } catch {
+        console.warn(`Line ${index + 1}: not valid JSON, skipped.`);
+        skipped++;
+        return;
+    }
+    const label = toVerdictLabel(record.label);
+    const features = featuresFromResult(record.result || record);
+    if (!label || Object.keys(features).length === 0) {
+        skipped++;
+        return;
+    }
+    samples.push({ features, label });
+});
+
+const weights = getEnsembleWeights();
+const { calibration, before, after } = fitCalibration(samples, weights);
+
+console.log(`Fitted on ${samples.length} samples (${skipped} skipped).`);
+console.log(`Log loss: ${before.logLoss} -> ${after.logLoss}`);
+console.log(`Expected calibration error: ${before.ece} -> ${after.ece}`);
+console.log(`Temperature ${calibration.temperature}, offsets ${JSON.stringify(calibration.offsets)}`);
+
+const calibrated = JSON.stringify({ ...weights, calibration }, null, 4);
+if (outPath) {
+    writeFileSync(outPath, `${calibrated}\n`);
+    console.log(`Wrote ${outPath}`);
+} else {
+    console.log(calibrated);
+}